@@ -1,12 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { Routes, Route, Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { Routes, Route, Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import UrlInput from './components/UrlInput';
 import RomTable from './components/RomTable';
 import DownloadQueue from './components/DownloadQueue';
 import Settings from './components/Settings';
+import DirectoryBrowser from './components/DirectoryBrowser';
 import './App.css';
 
+// Ids only need to be unique among this client's in-flight scrapes
+const createScrapeJobId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Crawl options travel in the query string so a recursive listing survives a reload
+const crawlOptionsFromSearchParams = (searchParams) => {
+  if (searchParams.get('recursive') !== '1') return null;
+  return {
+    recursive: true,
+    maxDepth: searchParams.get('depth') ? parseInt(searchParams.get('depth')) : undefined,
+    include: searchParams.get('include') || undefined,
+    exclude: searchParams.get('exclude') || undefined
+  };
+};
+
+const crawlOptionsToQueryString = (crawlOptions) => {
+  if (!crawlOptions || !crawlOptions.recursive) return '';
+  const searchParams = new URLSearchParams({ recursive: '1' });
+  if (crawlOptions.maxDepth !== undefined) searchParams.set('depth', String(crawlOptions.maxDepth));
+  if (crawlOptions.include) searchParams.set('include', crawlOptions.include);
+  if (crawlOptions.exclude) searchParams.set('exclude', crawlOptions.exclude);
+  return `?${searchParams.toString()}`;
+};
+
 // Component to handle ROM routes with URL parameters
 const RomRouteHandler = ({
   roms,
@@ -15,9 +40,11 @@ const RomRouteHandler = ({
   onStartDownload,
   onReset,
   loading,
+  listingCachedAt,
   onUrlSubmit
 }) => {
   const params = useParams();
+  const [searchParams] = useSearchParams();
   const [isLoading, setIsLoading] = useState(false);
   const [hasAttemptedLoad, setHasAttemptedLoad] = useState(false);
   const [abortController, setAbortController] = useState(null);
@@ -39,7 +66,7 @@ const RomRouteHandler = ({
 
       console.log(`🔄 Loading ROMs for URL: ${decodedUrl}`);
 
-      onUrlSubmit(decodedUrl, controller.signal)
+      onUrlSubmit(decodedUrl, controller.signal, crawlOptionsFromSearchParams(searchParams))
         .finally(() => {
           if (!controller.signal.aborted) {
             setIsLoading(false);
@@ -55,6 +82,15 @@ const RomRouteHandler = ({
     };
   }, [urlParam, roms.length, onUrlSubmit, hasAttemptedLoad]);
 
+  // Re-scrape the current listing, bypassing the server-side cache
+  const handleRefresh = () => {
+    if (!urlParam) return;
+    onUrlSubmit(decodeURIComponent(urlParam), null, {
+      ...crawlOptionsFromSearchParams(searchParams),
+      forceRefresh: true
+    });
+  };
+
   const handleBackToBrowse = () => {
     // Cancel the ongoing request
     if (abortController) {
@@ -105,6 +141,8 @@ const RomRouteHandler = ({
         onSelectionChange={onSelectionChange}
         onStartDownload={onStartDownload}
         onReset={onReset}
+        onRefresh={handleRefresh}
+        cachedAt={listingCachedAt}
         loading={loading}
       />
     );
@@ -126,6 +164,7 @@ function App() {
   const [roms, setRoms] = useState([]);
   const [selectedRoms, setSelectedRoms] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [listingCachedAt, setListingCachedAt] = useState(null);
   const [error, setError] = useState(null);
   const [socket, setSocket] = useState(null);
   const [queueCount, setQueueCount] = useState(0);
@@ -270,42 +309,58 @@ console.log({ socketUrl })
 
 
 
-  const handleUrlSubmit = async (url, abortSignal = null) => {
+  // scrapeOptions: the archive's source and scraper, plus crawl options for a recursive scrape
+  const handleUrlSubmit = async (url, abortSignal = null, scrapeOptions = null) => {
     setLoading(true);
     setError(null);
 
+    // The job id lets the server stop the scrape when this request is aborted
+    const jobId = createScrapeJobId();
+    const cancelJob = () => {
+      fetch(`/api/scrape-jobs/${jobId}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+    };
+
     try {
       const fetchOptions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, jobId, ...(scrapeOptions || {}) }),
       };
 
       // Add abort signal if provided
       if (abortSignal) {
         fetchOptions.signal = abortSignal;
+        abortSignal.addEventListener('abort', cancelJob, { once: true });
       }
 
       const response = await fetch('/api/scrape', fetchOptions);
 
       if (!response.ok) {
-        throw new Error('Failed to scrape ROM list');
+        const errorData = await response.json().catch(() => ({}));
+        if (errorData.cancelled) {
+          return;
+        }
+        throw new Error(errorData.error || 'Failed to scrape ROM list');
       }
 
       const data = await response.json();
       // sessionId is now the same as userRoomId, so we don't need to set it separately
       setRoms(data.roms);
+      setListingCachedAt(data.cachedAt || null);
       // Encode the URL to make it safe for use in the route
       const encodedUrl = encodeURIComponent(url);
-      navigate(`/roms/${encodedUrl}`);
+      navigate(`/roms/${encodedUrl}${crawlOptionsToQueryString(scrapeOptions)}`);
     } catch (err) {
       // Don't set error if the request was aborted
       if (err.name !== 'AbortError') {
         setError(err.message);
       }
     } finally {
+      // Once the scrape is over there is no job left to cancel
+      abortSignal?.removeEventListener('abort', cancelJob);
+
       // Don't set loading to false if the request was aborted
       if (!abortSignal || !abortSignal.aborted) {
         setLoading(false);
@@ -323,7 +378,12 @@ console.log({ socketUrl })
     console.log('🚀 Starting download with selectedRoms:', selectedRoms.length, 'ROMs');
     console.log('🚀 Selected ROM names for download:', selectedRoms.map(rom => rom.name));
 
-    if (selectedRoms.length === 0) {
+    await queueRoms(selectedRoms, ruleset);
+  };
+
+  // Add ROMs to the shared download queue and show the queue page
+  const queueRoms = async (romsToQueue, ruleset = null) => {
+    if (romsToQueue.length === 0) {
       setError('Please select at least one ROM to download');
       return;
     }
@@ -340,7 +400,7 @@ console.log({ socketUrl })
     try {
       const requestBody = {
         sessionId: SHARED_ROOM_ID, // Use shared room ID
-        selectedRoms,
+        selectedRoms: romsToQueue,
       };
 
       // Add ruleset if provided
@@ -403,6 +463,12 @@ console.log({ socketUrl })
             >
               📁 Browse ROMs
             </Link>
+            <Link
+              to="/directories"
+              className={`nav-button ${location.pathname === '/directories' ? 'active' : ''}`}
+            >
+              🗂️ Directories
+            </Link>
             <Link
               to="/queue"
               className={`nav-button ${location.pathname === '/queue' ? 'active' : ''}`}
@@ -453,10 +519,20 @@ console.log({ socketUrl })
                 onStartDownload={handleStartDownload}
                 onReset={handleReset}
                 loading={loading}
+                listingCachedAt={listingCachedAt}
                 onUrlSubmit={handleUrlSubmit}
               />
             }
           />
+          <Route
+            path="/directories"
+            element={
+              <DirectoryBrowser
+                onRomsSelected={(romsToQueue) => queueRoms(romsToQueue)}
+                onBack={() => navigate('/')}
+              />
+            }
+          />
           <Route
             path="/queue"
             element={
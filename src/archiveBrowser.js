@@ -0,0 +1,76 @@
+import { RomDownloader } from './romDownloader.js';
+
+const DEFAULT_ROOT_URL = 'https://myrient.erista.me/files/';
+
+/**
+ * Archive browser - walks a remote directory tree relative to a configured root
+ * and returns typed directory/file entries for the DirectoryBrowser UI
+ */
+export class ArchiveBrowser {
+    constructor(options = {}) {
+        const rootUrl = options.rootUrl || process.env.BROWSE_ROOT_URL || DEFAULT_ROOT_URL;
+        this.rootUrl = rootUrl.endsWith('/') ? rootUrl : `${rootUrl}/`;
+        this.rootName = options.rootName || process.env.BROWSE_ROOT_NAME ||
+            (this.rootUrl === DEFAULT_ROOT_URL ? 'Myrient' : new URL(this.rootUrl).hostname);
+        this.timeout = options.timeout || 30000;
+        this.scraper = options.scraper;
+        this.cache = options.cache || null;
+    }
+
+    // Split a relative path into clean segments, rejecting anything that could escape the root
+    resolvePath(relativePath = '') {
+        if (typeof relativePath !== 'string') {
+            return null;
+        }
+
+        const segments = relativePath.split('/').filter(Boolean);
+        if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\'))) {
+            return null;
+        }
+
+        const encodedPath = segments.map(segment => encodeURIComponent(segment)).join('/');
+        return {
+            path: segments.join('/'),
+            segments,
+            url: encodedPath ? `${this.rootUrl}${encodedPath}/` : this.rootUrl
+        };
+    }
+
+    // List a directory relative to the root
+    async browse(relativePath = '', options = {}) {
+        const resolved = this.resolvePath(relativePath);
+        if (!resolved) {
+            throw new Error(`Invalid path: ${relativePath}`);
+        }
+
+        console.log(`📂 Browsing archive directory: ${resolved.url}`);
+
+        const downloader = new RomDownloader({
+            timeout: this.timeout,
+            scraper: this.scraper,
+            cache: this.cache
+        });
+
+        try {
+            const { directories, files, cachedAt } = await downloader.listDirectory(resolved.url, options);
+
+            const withPath = (entry) => ({
+                ...entry,
+                path: [...resolved.segments, entry.name].join('/')
+            });
+
+            console.log(`📊 Found ${directories.length} directories and ${files.length} files in /${resolved.path}`);
+
+            return {
+                root: { name: this.rootName, url: this.rootUrl },
+                path: resolved.path,
+                url: resolved.url,
+                cachedAt: cachedAt || null,
+                directories: directories.map(withPath),
+                files: files.map(withPath)
+            };
+        } finally {
+            await downloader.close();
+        }
+    }
+}
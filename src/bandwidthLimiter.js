@@ -0,0 +1,170 @@
+import { Transform } from 'stream';
+
+const RATE_UNITS = {
+    b: 1,
+    k: 1024, kb: 1024, kib: 1024,
+    m: 1024 ** 2, mb: 1024 ** 2, mib: 1024 ** 2,
+    g: 1024 ** 3, gb: 1024 ** 3, gib: 1024 ** 3
+};
+
+// Bytes per second from 2097152, "2MB", "512 KB/s"...; 0, empty or "unlimited" means no cap
+export function parseRate(value) {
+    if (value === undefined || value === null || value === '' || value === false) return 0;
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid bandwidth limit: ${value}`);
+        }
+        return Math.floor(value);
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (['unlimited', 'none', 'off'].includes(text)) return 0;
+
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(b|[kmg]i?b?)?\s*(?:\/s|ps)?$/);
+    if (!match) {
+        throw new Error(`Invalid bandwidth limit: ${value}`);
+    }
+    return Math.floor(parseFloat(match[1]) * RATE_UNITS[match[2] || 'b']);
+}
+
+// "07:30" -> minutes after midnight ("24:00" is allowed as the end of the day)
+export function parseTimeOfDay(value) {
+    const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+    if (!match || parseInt(match[2]) > 59 || minutes > 24 * 60) {
+        throw new Error(`Invalid time of day '${value}' (expected HH:MM)`);
+    }
+    return minutes;
+}
+
+// Validate the bandwidth section of settings.yaml; limits come back as bytes per second
+export function normalizeBandwidthSettings(settings = {}) {
+    if (settings.schedule !== undefined && settings.schedule !== null && !Array.isArray(settings.schedule)) {
+        throw new Error('Bandwidth schedule must be a list of { from, to, limit } windows');
+    }
+
+    return {
+        limit: parseRate(settings.limit),
+        schedule: (settings.schedule || []).map((window) => {
+            parseTimeOfDay(window.from);
+            parseTimeOfDay(window.to);
+            return { from: String(window.from), to: String(window.to), limit: parseRate(window.limit) };
+        })
+    };
+}
+
+/**
+ * Global bandwidth cap shared by every active transfer. Downloaders pass their data
+ * through take()/throttle(), a token bucket refilled at the current limit, so the total
+ * rate stays under the cap however many files are downloading. The limit can follow a
+ * time-of-day schedule, and configure() applies a new one to transfers already running.
+ */
+export class BandwidthLimiter {
+    constructor(settings = {}) {
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        this.waiters = [];
+        this.timer = null;
+        this.configure(settings);
+    }
+
+    configure(settings = {}) {
+        const { limit, schedule } = normalizeBandwidthSettings(settings);
+        this.defaultLimit = limit;
+        this.schedule = schedule.map(window => ({
+            ...window,
+            fromMinutes: parseTimeOfDay(window.from),
+            toMinutes: parseTimeOfDay(window.to)
+        }));
+
+        // Waiting transfers pick up the new rate straight away
+        this.pump();
+        return this.status();
+    }
+
+    activeWindow(date = new Date()) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return this.schedule.find(({ fromMinutes, toMinutes }) => {
+            if (fromMinutes === toMinutes) return true;
+            return fromMinutes < toMinutes
+                ? minutes >= fromMinutes && minutes < toMinutes
+                : minutes >= fromMinutes || minutes < toMinutes; // crosses midnight
+        }) || null;
+    }
+
+    // Bytes per second allowed right now; 0 means unlimited
+    currentLimit(date = new Date()) {
+        const window = this.activeWindow(date);
+        return window ? window.limit : this.defaultLimit;
+    }
+
+    status(date = new Date()) {
+        const window = this.activeWindow(date);
+        return {
+            limit: window ? window.limit : this.defaultLimit,
+            source: window ? 'schedule' : 'default',
+            window: window ? { from: window.from, to: window.to } : null,
+            defaultLimit: this.defaultLimit,
+            schedule: this.schedule.map(({ from, to, limit }) => ({ from, to, limit }))
+        };
+    }
+
+    // Resolves once `bytes` may be passed on
+    take(bytes) {
+        if (this.currentLimit() === 0 && this.waiters.length === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            this.waiters.push({ bytes, resolve });
+            this.pump();
+        });
+    }
+
+    // Release waiters while there are tokens. A chunk may overdraw the bucket; the debt
+    // is paid off before the next one goes through, so the average rate stays at the limit.
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const limit = this.currentLimit();
+
+        if (limit === 0) {
+            this.tokens = 0;
+            this.lastRefill = now;
+            for (const waiter of this.waiters.splice(0)) waiter.resolve();
+            return;
+        }
+
+        // Allow a quarter-second burst so short stalls don't waste bandwidth
+        const burst = Math.max(limit / 4, 16 * 1024);
+        this.tokens = Math.min(burst, this.tokens + ((now - this.lastRefill) / 1000) * limit);
+        this.lastRefill = now;
+
+        while (this.waiters.length > 0 && this.tokens > 0) {
+            const waiter = this.waiters.shift();
+            this.tokens -= waiter.bytes;
+            waiter.resolve();
+        }
+
+        if (this.waiters.length > 0) {
+            // Check at least once a second so schedule changes apply promptly
+            const wait = Math.ceil((-this.tokens / limit) * 1000);
+            this.timer = setTimeout(() => this.pump(), Math.min(Math.max(wait, 10), 1000));
+        }
+    }
+
+    // Transform stream that holds each chunk until the bucket allows it
+    throttle() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.take(chunk.length).then(() => callback(null, chunk));
+            }
+        });
+    }
+}
+
+// Process-wide limiter shared by every downloader
+export const bandwidthLimiter = new BandwidthLimiter();
@@ -0,0 +1,275 @@
+import { chromium } from 'playwright';
+import { proxyKey, toPlaywrightProxy } from './proxy.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-features=TranslateUI',
+    '--disable-ipc-flooding-protection',
+    '--memory-pressure-off'
+];
+
+// Errors Playwright raises when the browser or page went away underneath us
+function isBrowserGoneError(error) {
+    return /Target (page, context or browser )?(has been )?closed|Browser has been closed|browser has disconnected|crashed/i
+        .test(error?.message || '');
+}
+
+/**
+ * Shared Chromium pool. Scrapers lease a page, use it and release it; browsers are
+ * launched lazily up to maxBrowsers, closed after sitting idle, and dropped from the
+ * pool when they crash so the next lease gets a fresh one. Each browser keeps one
+ * context per proxy route, so pages for differently proxied sources can share it.
+ */
+export class BrowserPool {
+    constructor(options = {}) {
+        this.maxBrowsers = options.maxBrowsers || parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+        this.maxPagesPerBrowser = options.maxPagesPerBrowser || parseInt(process.env.BROWSER_MAX_PAGES) || 4;
+        this.idleTimeout = options.idleTimeout ?? (parseInt(process.env.BROWSER_IDLE_TIMEOUT) || 60000);
+        this.headless = options.headless !== false;
+
+        this.entries = [];
+        this.waiters = [];
+        this.closing = false;
+    }
+
+    launchOptions() {
+        const launchOptions = {
+            headless: this.headless,
+            args: LAUNCH_ARGS
+        };
+
+        // Use system Chromium if specified via environment variable
+        if (process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH) {
+            launchOptions.executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
+            console.log(`🔧 Using system Chromium at: ${process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH}`);
+        } else {
+            console.log('📦 Using bundled Chromium');
+        }
+
+        return launchOptions;
+    }
+
+    // Add a browser slot to the pool; the slot counts against maxBrowsers while it launches
+    launchEntry() {
+        const entry = { browser: null, contexts: new Map(), leases: 0, idleTimer: null, ready: null };
+        this.entries.push(entry);
+
+        entry.ready = (async () => {
+            console.log(`🌐 Launching pooled browser (${this.entries.length}/${this.maxBrowsers})...`);
+            entry.browser = await chromium.launch(this.launchOptions());
+
+            entry.browser.on('disconnected', () => {
+                if (this.entries.includes(entry)) {
+                    console.log('⚠️ Pooled browser disconnected - removing it from the pool');
+                    this.removeEntry(entry);
+                }
+            });
+
+            console.log('✅ Browser launched');
+        })().catch((error) => {
+            this.removeEntry(entry);
+            throw error;
+        });
+
+        return entry;
+    }
+
+    removeEntry(entry) {
+        clearTimeout(entry.idleTimer);
+        this.entries = this.entries.filter(candidate => candidate !== entry);
+
+        // A freed slot lets the next waiter launch a replacement
+        this.wakeWaiter();
+    }
+
+    wakeWaiter() {
+        const waiter = this.waiters.shift();
+        if (waiter) waiter();
+    }
+
+    // Find a browser with spare capacity, launch one, or wait for a lease to be released
+    async claimEntry() {
+        while (true) {
+            if (this.closing) {
+                throw new Error('Browser pool is shutting down');
+            }
+
+            const entry = this.entries.find(candidate => candidate.leases < this.maxPagesPerBrowser)
+                || (this.entries.length < this.maxBrowsers ? this.launchEntry() : null);
+
+            if (entry) {
+                entry.leases++;
+                clearTimeout(entry.idleTimer);
+                try {
+                    await entry.ready;
+                } catch (error) {
+                    entry.leases--;
+                    throw error;
+                }
+                return entry;
+            }
+
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    // The browser context for a proxy route (from proxyResolver.forUrl) and request profile
+    // (from requestProfiles.contextOptionsFor), created on first use
+    contextFor(entry, proxy, profile) {
+        const key = `${proxyKey(proxy)}|${profile ? profile.key : 'default'}`;
+        if (!entry.contexts.has(key)) {
+            const context = (async () => {
+                const created = await entry.browser.newContext({
+                    userAgent: profile?.userAgent || USER_AGENT,
+                    viewport: { width: 1280, height: 720 },
+                    proxy: toPlaywrightProxy(proxy),
+                    extraHTTPHeaders: profile?.extraHTTPHeaders,
+                    httpCredentials: profile?.httpCredentials
+                });
+                if (profile?.cookies.length > 0) {
+                    await created.addCookies(profile.cookies);
+                }
+                return created;
+            })();
+            context.catch(() => entry.contexts.delete(key));
+            entry.contexts.set(key, context);
+        }
+        return entry.contexts.get(key);
+    }
+
+    // Lease a fresh page; call release() when done (closing the page is handled for you)
+    async acquirePage(options = {}) {
+        const entry = await this.claimEntry();
+
+        let page;
+        try {
+            const context = await this.contextFor(entry, options.proxy, options.profile);
+            page = await context.newPage();
+        } catch (error) {
+            this.releaseEntry(entry);
+            if (isBrowserGoneError(error)) {
+                this.discardEntry(entry);
+            }
+            throw error;
+        }
+
+        if (options.timeout) {
+            page.setDefaultTimeout(options.timeout);
+        }
+
+        let released = false;
+        const release = async () => {
+            if (released) return;
+            released = true;
+            await page.close().catch(() => {});
+            this.releaseEntry(entry);
+        };
+
+        return { page, release };
+    }
+
+    releaseEntry(entry) {
+        entry.leases = Math.max(0, entry.leases - 1);
+
+        if (entry.leases === 0 && this.entries.includes(entry) && this.idleTimeout > 0) {
+            clearTimeout(entry.idleTimer);
+            entry.idleTimer = setTimeout(() => {
+                if (entry.leases === 0) {
+                    console.log('💤 Closing idle pooled browser');
+                    this.discardEntry(entry);
+                }
+            }, this.idleTimeout);
+            entry.idleTimer.unref?.();
+        }
+
+        this.wakeWaiter();
+    }
+
+    discardEntry(entry) {
+        this.removeEntry(entry);
+        if (entry.browser) {
+            entry.browser.close().catch(() => {});
+        }
+    }
+
+    // Run fn(page) on a leased page, retrying once on a fresh browser if the old one crashed.
+    // Aborting options.signal closes the page, which stops any pending navigation or evaluation.
+    async withPage(fn, options = {}) {
+        const { signal } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+
+            const { page, release } = await this.acquirePage(options);
+            const onAbort = () => page.close().catch(() => {});
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            try {
+                return await fn(page);
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                if (attempt < 2 && isBrowserGoneError(error) && !this.closing) {
+                    console.log(`⚠️ Browser crashed (${error.message}) - retrying on a fresh browser`);
+                    const entry = this.entries.find(candidate => candidate.browser === page.context().browser());
+                    if (entry) this.discardEntry(entry);
+                    continue;
+                }
+                throw error;
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                await release();
+            }
+        }
+    }
+
+    stats() {
+        return {
+            browsers: this.entries.length,
+            maxBrowsers: this.maxBrowsers,
+            activePages: this.entries.reduce((total, entry) => total + entry.leases, 0),
+            maxPagesPerBrowser: this.maxPagesPerBrowser,
+            waiting: this.waiters.length
+        };
+    }
+
+    async shutdown() {
+        this.closing = true;
+        console.log(`🛑 Closing ${this.entries.length} pooled browser(s)`);
+
+        const entries = [...this.entries];
+        this.entries = [];
+        while (this.waiters.length > 0) this.wakeWaiter();
+
+        await Promise.all(entries.map(async (entry) => {
+            clearTimeout(entry.idleTimer);
+            try {
+                await entry.ready;
+            } catch (error) {
+                return;
+            }
+            await entry.browser.close().catch(() => {});
+        }));
+    }
+}
+
+// Process-wide pool shared by every RomDownloader
+export const browserPool = new BrowserPool();
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import Fuse from 'fuse.js';
 import './DirectoryBrowser.css';
 
@@ -43,12 +43,20 @@ const DirectoryBrowser = ({ onRomsSelected, onBack }) => {
     return fileFuse.search(fileSearchTerm).map(result => result.item);
   }, [files, fileSearchTerm, fileFuse]);
 
+  // In-flight listing request; aborting it lets the server stop scraping
+  const loadControllerRef = useRef(null);
+
   // Start at the root directory
   useEffect(() => {
     loadDirectory('');
+    return () => loadControllerRef.current?.abort();
   }, []);
 
   const loadDirectory = async (path) => {
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+
     setLoading(true);
     setError(null);
     setSelectedFiles([]);
@@ -56,48 +64,56 @@ const DirectoryBrowser = ({ onRomsSelected, onBack }) => {
     setFileSearchTerm('');
 
     try {
-      const response = await fetch('http://localhost:3001/api/browse-directory', {
+      const response = await fetch('/api/browse-directory', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ path }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error('Failed to load directory');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to load directory');
       }
 
       const data = await response.json();
-      setCurrentPath(path);
+      const loadedPath = data.path || '';
+      setCurrentPath(loadedPath);
       setDirectories(data.directories || []);
       setFiles(data.files || []);
       
-      // Update breadcrumbs
-      const pathParts = path ? path.split('/').filter(Boolean) : [];
+      // Update breadcrumbs (paths from the server are already decoded)
+      const pathParts = loadedPath.split('/').filter(Boolean);
       const newBreadcrumbs = [
-        { name: 'Myrient', path: '' }
+        { name: data.root?.name || 'Archive', path: '' }
       ];
       
       let currentBreadcrumbPath = '';
       pathParts.forEach(part => {
         currentBreadcrumbPath += (currentBreadcrumbPath ? '/' : '') + part;
         newBreadcrumbs.push({
-          name: decodeURIComponent(part),
+          name: part,
           path: currentBreadcrumbPath
         });
       });
       
       setBreadcrumbs(newBreadcrumbs);
     } catch (err) {
-      setError(err.message);
+      // A newer navigation replaced this request
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
     } finally {
-      setLoading(false);
+      if (loadControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
   };
 
   const handleDirectoryClick = (directory) => {
-    const newPath = currentPath ? `${currentPath}/${directory.name}` : directory.name;
+    const newPath = directory.path || (currentPath ? `${currentPath}/${directory.name}` : directory.name);
     loadDirectory(newPath);
   };
 
@@ -133,7 +149,9 @@ const DirectoryBrowser = ({ onRomsSelected, onBack }) => {
     const romsToDownload = selectedFiles.map(file => ({
       name: file.name,
       size: file.size,
-      url: file.url
+      sizeBytes: file.sizeBytes,
+      url: file.url,
+      downloadUrl: file.url
     }));
 
     console.log('📦 DirectoryBrowser: Converted ROMs:', romsToDownload);
@@ -317,8 +335,12 @@ const DirectoryBrowser = ({ onRomsSelected, onBack }) => {
                 <div className="file-card-content">
                   <div className="file-name" title={file.name}>{file.name}</div>
                   <div className="file-meta">
-                    <span className="file-size">{formatFileSize(file.size)}</span>
-                    {file.date && <span className="file-date">{file.date}</span>}
+                    <span className="file-size">{formatFileSize(file.sizeBytes)}</span>
+                    {file.modifiedAt && (
+                      <span className="file-date" title={file.date}>
+                        {new Date(file.modifiedAt).toLocaleDateString()}
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
@@ -3,6 +3,21 @@ import Organizer from './Organizer';
 import SpeedChart from './SpeedChart';
 import './DownloadQueue.css';
 
+// Names of the ROMs being transferred; older servers only report a single currentRom
+const getActiveRomNames = (roomData) => {
+  if (Array.isArray(roomData?.currentRoms)) return roomData.currentRoms;
+  return roomData?.currentRom ? [roomData.currentRom] : [];
+};
+
+// Statuses still waiting to download; these can be prioritised and reordered
+const QUEUED_STATUSES = ['available', 'pending', 'paused', 'retrying', 'scheduled'];
+
+const PRIORITY_OPTIONS = [
+  { value: 1, label: 'High' },
+  { value: 0, label: 'Normal' },
+  { value: -1, label: 'Low' }
+];
+
 const DownloadQueue = ({ socket, userRoomId }) => {
   const [queueData, setQueueData] = useState(null);
   const [completedDownloads, setCompletedDownloads] = useState([]);
@@ -15,8 +30,10 @@ const DownloadQueue = ({ socket, userRoomId }) => {
   const [socketConnected, setSocketConnected] = useState(false);
   const [socketConnecting, setSocketConnecting] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [fileProgress, setFileProgress] = useState(null);
+  const [fileProgress, setFileProgress] = useState({}); // latest progress per active ROM, keyed by romName
   const [speedHistory, setSpeedHistory] = useState([]);
+  const [draggedRom, setDraggedRom] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { name, placement: 'before' | 'after' }
 
   useEffect(() => {
     // Fetch initial queue data and completed downloads (show loading for initial load)
@@ -34,6 +51,12 @@ const DownloadQueue = ({ socket, userRoomId }) => {
         // Update queue data directly from room update
         setQueueData(roomData);
 
+        // Forget progress for ROMs that are no longer transferring
+        const activeRoms = getActiveRomNames(roomData);
+        setFileProgress(prev => Object.fromEntries(
+          Object.entries(prev).filter(([romName]) => activeRoms.includes(romName))
+        ));
+
         // Check if there's an active download
         const hasActiveDownload = roomData.status === 'downloading' && roomData.currentRom;
         setIsActiveDownload(hasActiveDownload);
@@ -69,16 +92,23 @@ const DownloadQueue = ({ socket, userRoomId }) => {
       // Listen for individual file download progress
       socket.on('fileProgress', (progress) => {
         console.log('📁 DownloadQueue received file progress:', progress);
-        setFileProgress(progress);
+        setFileProgress(prev => ({ ...prev, [progress.romName]: progress }));
+
+        // Chart the combined speed of all active transfers when the server sends it
+        const totalSpeed = progress.sessionStats?.currentDownloadSpeed || progress.currentSpeed;
 
         // Add speed data point to history if we have speed data
-        if (progress.currentSpeed && progress.currentSpeed > 0) {
+        if (totalSpeed && totalSpeed > 0) {
           const timestamp = Date.now();
-          const speedMBps = progress.currentSpeed / (1024 * 1024);
+          const speedMBps = totalSpeed / (1024 * 1024);
 
           setSpeedHistory(prev => {
-            const newHistory = [...prev, { timestamp, speed: speedMBps }];
-            // Keep only last 60 data points (about 1 minute of data if updated every second)
+            // Progress arrives several times a second (per ROM); keep one point per second
+            const last = prev[prev.length - 1];
+            const newHistory = last && timestamp - last.timestamp < 1000
+              ? [...prev.slice(0, -1), { timestamp: last.timestamp, speed: speedMBps }]
+              : [...prev, { timestamp, speed: speedMBps }];
+            // Keep only last 60 data points (about 1 minute of data)
             return newHistory.slice(-60);
           });
         }
@@ -220,6 +250,9 @@ const DownloadQueue = ({ socket, userRoomId }) => {
       case 'complete': return '✅';
       case 'needs-rescrape': return '🔄';
       case 'corrupted': return '💥';
+      case 'paused': return '⏸️';
+      case 'retrying': return '🔁';
+      case 'scheduled': return '🕒';
       default: return '❓';
     }
   };
@@ -235,6 +268,9 @@ const DownloadQueue = ({ socket, userRoomId }) => {
       case 'complete': return '#28a745';
       case 'needs-rescrape': return '#fd7e14';
       case 'corrupted': return '#e83e8c';
+      case 'paused': return '#6f42c1';
+      case 'retrying': return '#17a2b8';
+      case 'scheduled': return '#20c997';
       default: return '#6c757d';
     }
   };
@@ -281,6 +317,36 @@ const DownloadQueue = ({ socket, userRoomId }) => {
 
 
 
+  // Bytes still to transfer for queued and in-flight ROMs
+  const getRemainingQueueBytes = () => {
+    if (!queueData || !queueData.roms) return 0;
+
+    return queueData.roms
+      .filter(rom => ['available', 'pending', 'downloading'].includes(rom.status))
+      .reduce((total, rom) => {
+        const romBytes = rom.sizeBytes || 0;
+        const romProgress = fileProgress[rom.name];
+        if (rom.status === 'downloading' && romProgress) {
+          return total + Math.max(0, (romProgress.totalBytes || romBytes) - (romProgress.downloadedBytes || 0));
+        }
+        return total + romBytes;
+      }, 0);
+  };
+
+  const getQueueETA = () => {
+    const speed = queueData?.sessionStats?.averageSessionSpeed || queueData?.sessionStats?.currentDownloadSpeed;
+    const remainingBytes = getRemainingQueueBytes();
+    if (!speed || !remainingBytes) return null;
+    return formatETA(remainingBytes / speed);
+  };
+
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+  };
+
   const getCompletedDownloads = () => {
     return completedDownloads;
   };
@@ -368,6 +434,104 @@ const DownloadQueue = ({ socket, userRoomId }) => {
     }
   };
 
+  // Pause/resume a single ROM or the whole queue; the room update that follows refreshes the list
+  const sendQueueCommand = async (url, body, failureMessage) => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body || {})
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || failureMessage);
+      }
+
+      fetchQueueData();
+    } catch (error) {
+      console.error(`❌ ${failureMessage}:`, error);
+      alert(`${failureMessage}: ${error.message}`);
+    }
+  };
+
+  const handlePauseRom = (romName) =>
+    sendQueueCommand(`/api/rom/${encodeURIComponent(romName)}/pause`, null, 'Failed to pause download');
+
+  const handleResumeRom = (romName) =>
+    sendQueueCommand(`/api/rom/${encodeURIComponent(romName)}/resume`, null, 'Failed to resume download');
+
+  const handlePauseQueue = (mode) =>
+    sendQueueCommand('/api/queue/pause', { mode }, 'Failed to pause queue');
+
+  const handleResumeQueue = () =>
+    sendQueueCommand('/api/queue/resume', null, 'Failed to resume queue');
+
+  const handleStartNow = () =>
+    sendQueueCommand('/api/queue/start-now', null, 'Failed to start downloads');
+
+  // Move a queued ROM or change its priority; the server answers with a room update
+  const sendQueueOrder = async (body) => {
+    try {
+      const response = await fetch('/api/queue/order', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to reorder queue');
+      }
+
+      fetchQueueData();
+    } catch (error) {
+      console.error('❌ Failed to reorder queue:', error);
+      alert(`Failed to reorder queue: ${error.message}`);
+    }
+  };
+
+  const handleDownloadNext = (romName) =>
+    sendQueueOrder({ romName, action: 'next' });
+
+  const handlePriorityChange = (romName, priority) =>
+    sendQueueOrder({ romName, priority: Number(priority) });
+
+  // Drag-and-drop reordering: dropping on the top half of a row places the ROM before it
+  const handleDragStart = (event, romName) => {
+    setDraggedRom(romName);
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', romName);
+  };
+
+  const handleDragOver = (event, romName) => {
+    if (!draggedRom || draggedRom === romName) return;
+    event.preventDefault();
+
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const placement = event.clientY < bounds.top + bounds.height / 2 ? 'before' : 'after';
+    if (dropTarget?.name !== romName || dropTarget?.placement !== placement) {
+      setDropTarget({ name: romName, placement });
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedRom(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = (event, romName) => {
+    event.preventDefault();
+    if (draggedRom && dropTarget && draggedRom !== romName) {
+      sendQueueOrder({ romName: draggedRom, action: dropTarget.placement, target: romName });
+    }
+    handleDragEnd();
+  };
+
   const handleRetryAllFailed = async () => {
     if (!queueData || !queueData.roms) return;
 
@@ -457,6 +621,14 @@ const DownloadQueue = ({ socket, userRoomId }) => {
                         <div className="download-info">
                           <span className="download-size">{download.size}</span>
                           <span className="download-date">{formatTime(download.completedAt)}</span>
+                          {download.checksums && (
+                            <span
+                              className="download-checksum"
+                              title={`SHA-1: ${download.checksums.sha1}\nMD5: ${download.checksums.md5}\nCRC32: ${download.checksums.crc32}`}
+                            >
+                              ✅ CRC32 {download.checksums.crc32}
+                            </span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -485,6 +657,8 @@ const DownloadQueue = ({ socket, userRoomId }) => {
     );
   }
 
+  const activeRoms = getActiveRomNames(queueData);
+
   return (
     <div className="download-queue-container">
       <div className="queue-header">
@@ -531,11 +705,32 @@ const DownloadQueue = ({ socket, userRoomId }) => {
                       {formatSpeed(queueData.sessionStats.peakSpeed)}
                     </span>
                   </div>
+                  <div className="session-stat">
+                    <span className="session-stat-label">Remaining:</span>
+                    <span className="session-stat-value">
+                      {formatBytes(getRemainingQueueBytes())}
+                    </span>
+                  </div>
+                  <div className="session-stat">
+                    <span className="session-stat-label">Queue ETA:</span>
+                    <span className="session-stat-value">
+                      {getQueueETA() || 'N/A'}
+                    </span>
+                  </div>
                 </div>
               </div>
 
               {/* Right half - Speed Chart */}
               <div className="session-stats-chart">
+                {queueData.bandwidthLimit && (
+                  <div
+                    className={`bandwidth-limit ${queueData.bandwidthLimit.limit > 0 ? 'limited' : ''}`}
+                    title="Global download limit (config/settings.yaml)"
+                  >
+                    🚦 Limit: {queueData.bandwidthLimit.limit > 0 ? formatSpeed(queueData.bandwidthLimit.limit) : 'Unlimited'}
+                    {queueData.bandwidthLimit.window && ` (scheduled ${queueData.bandwidthLimit.window.from}–${queueData.bandwidthLimit.window.to})`}
+                  </div>
+                )}
                 <SpeedChart data={speedHistory} sessionStats={queueData.sessionStats} />
               </div>
             </div>
@@ -543,62 +738,69 @@ const DownloadQueue = ({ socket, userRoomId }) => {
         )}
       </div>
 
-      {queueData.currentRom && (
+      {activeRoms.length > 0 && (
         <div className="current-download-section">
           <div className="current-download">
             <div className="current-download-header">
-              <span className="current-label">Currently downloading:</span>
-              <span className="current-rom">📥 {queueData.currentRom}</span>
+              <span className="current-label">
+                {activeRoms.length > 1 ? `Currently downloading (${activeRoms.length}):` : 'Currently downloading:'}
+              </span>
+              {activeRoms.length === 1 && <span className="current-rom">📥 {activeRoms[0]}</span>}
             </div>
 
-            {(queueData.status === 'downloading' && queueData.currentRom) && (
-              <div className="current-download-progress">
-                <div className="file-progress-info">
-                  <div className="progress-info">
-                    <span className="progress-current">
-                      {fileProgress ? (fileProgress.filename || fileProgress.romName) : queueData.currentRom}
-                    </span>
-                    <span className="progress-percentage">
-                      {fileProgress && fileProgress.progress !== undefined ? `${fileProgress.progress}%` : 'Starting...'}
-                    </span>
-                  </div>
-                  <div className="progress-bar-current file-progress-bar">
-                    <div
-                      className="progress-fill-current file-progress-fill"
-                      style={{
-                        width: fileProgress ? `${fileProgress.progress || 0}%` : '0%'
-                      }}
-                    ></div>
-                  </div>
-                  <div className="progress-status">
-                    <div className="progress-size">
-                      {fileProgress && fileProgress.downloadedBytes ? (
-                        fileProgress.totalBytes ?
-                          `${(fileProgress.downloadedBytes / (1024 * 1024)).toFixed(1)} MB / ${(fileProgress.totalBytes / (1024 * 1024)).toFixed(1)} MB` :
-                          `Downloaded ${(fileProgress.downloadedBytes / (1024 * 1024)).toFixed(1)} MB`
-                      ) : 'Preparing download...'}
+            {queueData.status === 'downloading' && activeRoms.map(romName => {
+              const romProgress = fileProgress[romName];
+              return (
+                <div key={romName} className="current-download-progress">
+                  <div className="file-progress-info">
+                    <div className="progress-info">
+                      <span className="progress-current">
+                        {romProgress ? (romProgress.filename || romProgress.romName) : romName}
+                      </span>
+                      <span className="progress-percentage">
+                        {!romProgress ? 'Starting...' :
+                          romProgress.indeterminate ? 'Size unknown' :
+                          `${romProgress.progress ?? 0}%`}
+                      </span>
+                    </div>
+                    <div className={`progress-bar-current file-progress-bar ${romProgress?.indeterminate ? 'indeterminate' : ''}`}>
+                      <div
+                        className="progress-fill-current file-progress-fill"
+                        style={romProgress?.indeterminate ? undefined : {
+                          width: romProgress ? `${romProgress.progress || 0}%` : '0%'
+                        }}
+                      ></div>
                     </div>
-                    {fileProgress && fileProgress.currentSpeed && (
-                      <div className="progress-speed">
-                        <span className="speed-current">
-                          📊 {formatSpeed(fileProgress.currentSpeed)}
-                          {fileProgress.chunks && fileProgress.chunks > 1 && (
-                            <span className="parallel-indicator">
-                              ⚡ {fileProgress.chunks} workers
+                    <div className="progress-status">
+                      <div className="progress-size">
+                        {romProgress && romProgress.downloadedBytes ? (
+                          romProgress.totalBytes ?
+                            `${(romProgress.downloadedBytes / (1024 * 1024)).toFixed(1)} MB / ${(romProgress.totalBytes / (1024 * 1024)).toFixed(1)} MB` :
+                            `Downloaded ${(romProgress.downloadedBytes / (1024 * 1024)).toFixed(1)} MB`
+                        ) : 'Preparing download...'}
+                      </div>
+                      {romProgress && romProgress.currentSpeed && (
+                        <div className="progress-speed">
+                          <span className="speed-current">
+                            📊 {formatSpeed(romProgress.currentSpeed)}
+                            {romProgress.chunks && romProgress.chunks > 1 && (
+                              <span className="parallel-indicator">
+                                ⚡ {romProgress.chunks} workers
+                              </span>
+                            )}
+                          </span>
+                          {romProgress.eta && formatETA(romProgress.eta) && (
+                            <span className="speed-eta">
+                              • ETA: {formatETA(romProgress.eta)}
                             </span>
                           )}
-                        </span>
-                        {fileProgress.eta && formatETA(fileProgress.eta) && (
-                          <span className="speed-eta">
-                            • ETA: {formatETA(fileProgress.eta)}
-                          </span>
-                        )}
-                      </div>
-                    )}
+                        </div>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
+              );
+            })}
           </div>
         </div>
       )}
@@ -640,6 +842,85 @@ const DownloadQueue = ({ socket, userRoomId }) => {
           </div>
         </div>
 
+        {/* Queue-wide pause controls */}
+        <div className="queue-controls">
+          {queueData.queuePaused ? (
+            <>
+              {queueData.queuePauseMode === 'insufficient-space' ? (
+                <span className="queue-paused-label insufficient-space" title="Resumes by itself once there is room">
+                  💾 Queue paused - not enough disk space{queueData.spaceShortage?.message ? `: ${queueData.spaceShortage.message}` : ''}
+                </span>
+              ) : (
+                <span className="queue-paused-label">
+                  ⏸️ Queue paused{queueData.queuePauseMode === 'finish' && activeRoms.length > 0 ? ' - finishing active downloads' : ''}
+                </span>
+              )}
+              <button onClick={handleResumeQueue} className="queue-control-button resume">
+                ▶️ Resume Queue
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => handlePauseQueue('finish')}
+                className="queue-control-button"
+                title="Let active downloads finish, then stop"
+              >
+                ⏸️ Pause After Current
+              </button>
+              <button
+                onClick={() => handlePauseQueue('suspend')}
+                className="queue-control-button"
+                title="Stop active downloads now; they resume from where they left off"
+              >
+                ⏸️ Pause Now
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Free space on the downloads (and organized) volumes */}
+        {queueData.diskSpace?.downloads && (
+          <div className="disk-space" title={`Checked ${new Date(queueData.diskSpace.checkedAt).toLocaleTimeString()}`}>
+            <span className="disk-space-item">
+              💾 Downloads: {formatBytes(queueData.diskSpace.downloads.freeBytes)} free of {formatBytes(queueData.diskSpace.downloads.totalBytes)}
+            </span>
+            {queueData.diskSpace.organized && !queueData.diskSpace.organized.sameVolume && (
+              <span className="disk-space-item">
+                📁 Organized: {formatBytes(queueData.diskSpace.organized.freeBytes)} free of {formatBytes(queueData.diskSpace.organized.totalBytes)}
+              </span>
+            )}
+            {queueData.diskSpace.quotaBytes > 0 && (
+              <span className="disk-space-item">
+                📦 Quota: {formatBytes(queueData.diskSpace.downloads.usedBytes)} of {formatBytes(queueData.diskSpace.quotaBytes)} used
+              </span>
+            )}
+            {queueData.diskSpace.minFreeBytes > 0 && (
+              <span className="disk-space-item">
+                🛟 Keeping {formatBytes(queueData.diskSpace.minFreeBytes)} free
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Download windows - queued ROMs wait as 'scheduled' until the next window opens */}
+        {queueData.downloadWindow?.enabled && (queueData.scheduleOverride || queueData.roms?.some(rom => rom.status === 'scheduled')) && (
+          <div className="queue-controls schedule-controls">
+            {queueData.scheduleOverride ? (
+              <span className="queue-scheduled-label">🕒 Started outside the download windows</span>
+            ) : (
+              <>
+                <span className="queue-scheduled-label">
+                  🕒 Outside the download windows{queueData.scheduledUntil ? ` - resumes ${new Date(queueData.scheduledUntil).toLocaleString()}` : ''}
+                </span>
+                <button onClick={handleStartNow} className="queue-control-button resume">
+                  ▶️ Start Now
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Retry All Failed Button */}
         {queueData.roms && Array.isArray(queueData.roms) && queueData.roms.some(rom => ['failed', 'error', 'needs-rescrape'].includes(rom.status)) && (
           <div className="retry-all-section">
@@ -660,7 +941,10 @@ const DownloadQueue = ({ socket, userRoomId }) => {
               const statusPriority = {
                 'downloading': 1,
                 'available': 2,
-                'pending': 3,
+                'pending': 2,
+                'paused': 2,
+                'retrying': 2,
+                'scheduled': 2,
                 'failed': 4,
                 'error': 4,
                 'needs-rescrape': 4,
@@ -676,66 +960,136 @@ const DownloadQueue = ({ socket, userRoomId }) => {
                 return aPriority - bPriority;
               }
 
+              // Queued ROMs are listed in the order they will download
+              if (QUEUED_STATUSES.includes(a.status)) {
+                return (b.priority || 0) - (a.priority || 0) || (a.position ?? 0) - (b.position ?? 0);
+              }
+
               // Within same status, show newest first (reverse order)
               // Since ROMs are added to the end of the array, higher index = newer
               const aIndex = queueData.roms.indexOf(a);
               const bIndex = queueData.roms.indexOf(b);
               return bIndex - aIndex;
             })
-            .map((rom, index) => (
-              <div key={index} className={`rom-item ${rom.status}`}>
-                <div className="rom-icon">
-                  {getStatusIcon(rom.status)}
-                </div>
-                <div className="rom-details">
-                  <div className="rom-name">{rom.name}</div>
-                  <div className="rom-size">{rom.size}</div>
-                </div>
-                <div className="rom-status">
-                  <span
-                    className="status-badge"
-                    style={{
-                      backgroundColor: getStatusColor(rom.status),
-                      color: 'white'
-                    }}
-                  >
-                    {rom.status}
-                  </span>
-                  {/* Show cancel button for downloading ROMs */}
-                  {rom.status === 'downloading' && (
-                    <button
-                      onClick={() => handleCancelDownload(rom.name)}
-                      className="cancel-download-button"
-                      title="Cancel download"
+            .map((rom, index) => {
+              const queued = QUEUED_STATUSES.includes(rom.status);
+              const dropClass = dropTarget?.name === rom.name ? ` drop-${dropTarget.placement}` : '';
+
+              return (
+                <div
+                  key={index}
+                  className={`rom-item ${rom.status}${queued ? ' draggable' : ''}${draggedRom === rom.name ? ' dragging' : ''}${dropClass}`}
+                  draggable={queued}
+                  onDragStart={queued ? (event) => handleDragStart(event, rom.name) : undefined}
+                  onDragOver={queued ? (event) => handleDragOver(event, rom.name) : undefined}
+                  onDrop={queued ? (event) => handleDrop(event, rom.name) : undefined}
+                  onDragEnd={queued ? handleDragEnd : undefined}
+                >
+                  <div className="rom-icon">
+                    {getStatusIcon(rom.status)}
+                  </div>
+                  <div className="rom-details">
+                    <div className="rom-name">{rom.name}</div>
+                    <div className="rom-size">{rom.size}</div>
+                    {rom.status === 'retrying' && rom.nextRetryAt && (
+                      <div className="rom-retry-info" title={rom.lastError}>
+                        Attempt {(rom.failedAttempts || 0) + 1}{rom.maxAttempts ? `/${rom.maxAttempts}` : ''} at {new Date(rom.nextRetryAt).toLocaleTimeString()}
+                      </div>
+                    )}
+                    {['failed', 'error', 'needs-rescrape', 'corrupted'].includes(rom.status) && rom.lastError && (
+                      <div className="rom-retry-info" title={(rom.attempts || []).map(entry => `#${entry.attempt} ${entry.kind}: ${entry.error}`).join('\n')}>
+                        {rom.lastError}{rom.failedAttempts > 1 ? ` (after ${rom.failedAttempts} attempts)` : ''}
+                      </div>
+                    )}
+                  </div>
+                  <div className="rom-status">
+                    <span
+                      className="status-badge"
+                      style={{
+                        backgroundColor: getStatusColor(rom.status),
+                        color: 'white'
+                      }}
                     >
-                      🚫
-                    </button>
-                  )}
+                      {rom.status}
+                    </span>
+                    {/* Priority and "download next" for ROMs still waiting in the queue */}
+                    {queued && (
+                      <>
+                        <select
+                          value={rom.priority || 0}
+                          onChange={(event) => handlePriorityChange(rom.name, event.target.value)}
+                          className="priority-select"
+                          title="Download priority"
+                        >
+                          {PRIORITY_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleDownloadNext(rom.name)}
+                          className="download-next-button"
+                          title="Download next"
+                        >
+                          ⏭️
+                        </button>
+                      </>
+                    )}
+                    {/* Pause queued or downloading ROMs, resume paused ones */}
+                    {['available', 'pending', 'downloading', 'retrying', 'scheduled'].includes(rom.status) && (
+                      <button
+                        onClick={() => handlePauseRom(rom.name)}
+                        className="pause-rom-button"
+                        title="Pause download"
+                      >
+                        ⏸️
+                      </button>
+                    )}
+                    {rom.status === 'paused' && (
+                      <button
+                        onClick={() => handleResumeRom(rom.name)}
+                        className="pause-rom-button"
+                        title="Resume download"
+                      >
+                        ▶️
+                      </button>
+                    )}
 
-                  {/* Show retry button for failed ROMs */}
-                  {(rom.status === 'failed' || rom.status === 'error' || rom.status === 'needs-rescrape' || rom.status === 'corrupted') && (
-                    <button
-                      onClick={() => handleRetryRom(rom.name)}
-                      className="retry-rom-button"
-                      title={rom.status === 'corrupted' ? 'Re-download corrupted file' : 'Retry download'}
-                    >
-                      {rom.status === 'corrupted' ? '💥' : '🔄'}
-                    </button>
-                  )}
+                    {/* Show cancel button for downloading ROMs */}
+                    {rom.status === 'downloading' && (
+                      <button
+                        onClick={() => handleCancelDownload(rom.name)}
+                        className="cancel-download-button"
+                        title="Cancel download"
+                      >
+                        🚫
+                      </button>
+                    )}
 
-                  {/* Only show remove button for ROMs that aren't currently downloading */}
-                  {rom.status !== 'downloading' && (
-                    <button
-                      onClick={() => handleRemoveRom(rom.name)}
-                      className="remove-rom-button"
-                      title="Remove from queue"
-                    >
-                      🗑️
-                    </button>
-                  )}
+                    {/* Show retry button for failed ROMs */}
+                    {(rom.status === 'failed' || rom.status === 'error' || rom.status === 'needs-rescrape' || rom.status === 'corrupted' || rom.status === 'retrying') && (
+                      <button
+                        onClick={() => handleRetryRom(rom.name)}
+                        className="retry-rom-button"
+                        title={rom.status === 'corrupted' ? 'Re-download corrupted file' : rom.status === 'retrying' ? 'Retry now' : 'Retry download'}
+                      >
+                        {rom.status === 'corrupted' ? '💥' : '🔄'}
+                      </button>
+                    )}
+
+                    {/* Only show remove button for ROMs that aren't currently downloading */}
+                    {rom.status !== 'downloading' && (
+                      <button
+                        onClick={() => handleRemoveRom(rom.name)}
+                        className="remove-rom-button"
+                        title="Remove from queue"
+                      >
+                        🗑️
+                      </button>
+                    )}
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
         </div>
 
         {completedDownloads.length > 0 && (
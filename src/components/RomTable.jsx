@@ -1,7 +1,38 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import './RomTable.css';
 
-const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onReset, loading }) => {
+// Binary (KiB) and decimal-looking (KB) units are both 1024-based in archive listings
+const SIZE_UNITS = {
+  B: 1,
+  K: 1024, KB: 1024, KIB: 1024,
+  M: 1024 ** 2, MB: 1024 ** 2, MIB: 1024 ** 2,
+  G: 1024 ** 3, GB: 1024 ** 3, GIB: 1024 ** 3,
+  T: 1024 ** 4, TB: 1024 ** 4, TIB: 1024 ** 4
+};
+
+const parseSizeToBytes = (sizeStr) => {
+  if (!sizeStr) return 0;
+  const match = String(sizeStr).trim().match(/^([\d.]+)\s*([A-Za-z]*)$/);
+  if (!match) return 0;
+  return parseFloat(match[1]) * (SIZE_UNITS[(match[2] || 'B').toUpperCase()] || 1);
+};
+
+const getRomBytes = (rom) => rom.sizeBytes ?? parseSizeToBytes(rom.size);
+
+const getRomTime = (rom) => {
+  const time = new Date(rom.modifiedAt || rom.date).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Crawled listings can contain the same file name in several folders
+const getRomKey = (rom) => rom.relativePath || rom.name;
+
+const formatRomDate = (rom) => {
+  if (!rom.modifiedAt) return rom.date || '';
+  return new Date(rom.modifiedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onReset, onRefresh, cachedAt, loading }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortField, setSortField] = useState('name');
   const [sortDirection, setSortDirection] = useState('asc');
@@ -34,7 +65,7 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
     // Apply search filter
     if (searchTerm) {
       filtered = roms.filter(rom =>
-        rom.name.toLowerCase().includes(searchTerm.toLowerCase())
+        (rom.relativePath || rom.name).toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
@@ -45,14 +76,14 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
 
       // Handle size sorting (convert to bytes for proper comparison)
       if (sortField === 'size') {
-        aValue = parseSizeToBytes(a.size);
-        bValue = parseSizeToBytes(b.size);
+        aValue = getRomBytes(a);
+        bValue = getRomBytes(b);
       }
 
       // Handle date sorting
       if (sortField === 'date') {
-        aValue = new Date(a.date);
-        bValue = new Date(b.date);
+        aValue = getRomTime(a);
+        bValue = getRomTime(b);
       }
 
       if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
@@ -63,13 +94,6 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
     return filtered;
   }, [roms, searchTerm, sortField, sortDirection]);
 
-  const parseSizeToBytes = (sizeStr) => {
-    const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
-    const match = sizeStr.match(/^([\d.]+)\s*([A-Z]+)$/);
-    if (!match) return 0;
-    return parseFloat(match[1]) * (units[match[2]] || 1);
-  };
-
   const handleSort = (field) => {
     if (sortField === field) {
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
@@ -80,11 +104,11 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
   };
 
   const handleRomToggle = (rom) => {
-    const isSelected = selectedRoms.some(selected => selected.name === rom.name);
+    const isSelected = selectedRoms.some(selected => getRomKey(selected) === getRomKey(rom));
     let newSelection;
 
     if (isSelected) {
-      newSelection = selectedRoms.filter(selected => selected.name !== rom.name);
+      newSelection = selectedRoms.filter(selected => getRomKey(selected) !== getRomKey(rom));
     } else {
       newSelection = [...selectedRoms, rom];
     }
@@ -127,6 +151,16 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
         <div className="header-top">
           <h2>📋 ROM Collection ({filteredAndSortedRoms.length} ROMs)</h2>
           <div className="header-actions">
+            {cachedAt && (
+              <span className="cached-at" title={new Date(cachedAt).toLocaleString()}>
+                Listed {new Date(cachedAt).toLocaleString()}
+              </span>
+            )}
+            {onRefresh && (
+              <button onClick={onRefresh} className="refresh-button" disabled={loading}>
+                🔄 Refresh
+              </button>
+            )}
             <button onClick={onReset} className="reset-button">
               ← Back to Browse
             </button>
@@ -211,7 +245,7 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
           </thead>
           <tbody>
             {filteredAndSortedRoms.map((rom, index) => {
-              const isSelected = selectedRoms.some(selected => selected.name === rom.name);
+              const isSelected = selectedRoms.some(selected => getRomKey(selected) === getRomKey(rom));
               return (
                 <tr 
                   key={index} 
@@ -226,9 +260,16 @@ const RomTable = ({ roms, selectedRoms, onSelectionChange, onStartDownload, onRe
                       onClick={(e) => e.stopPropagation()}
                     />
                   </td>
-                  <td className="rom-name">{rom.name}</td>
-                  <td className="rom-size">{rom.size}</td>
-                  <td className="rom-date">{rom.date}</td>
+                  <td className="rom-name">
+                    {rom.name}
+                    {rom.relativePath && rom.relativePath !== rom.name && (
+                      <div className="rom-path">{rom.relativePath.slice(0, -rom.name.length - 1)}/</div>
+                    )}
+                  </td>
+                  <td className="rom-size" title={rom.sizeBytes ? `${rom.sizeBytes.toLocaleString()} bytes` : undefined}>
+                    {rom.size || '—'}
+                  </td>
+                  <td className="rom-date" title={rom.date || undefined}>{formatRomDate(rom)}</td>
                 </tr>
               );
             })}
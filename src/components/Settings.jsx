@@ -13,11 +13,150 @@ const Settings = () => {
     move: '',
     rename: ''
   });
+  const [sources, setSources] = useState([]);
+  const [adapters, setAdapters] = useState([]);
+  const [editingSource, setEditingSource] = useState(null);
+  const [showSourceForm, setShowSourceForm] = useState(false);
+  const [sourceFormData, setSourceFormData] = useState({
+    name: '',
+    baseUrl: '',
+    description: '',
+    type: 'autoindex',
+    scraper: '',
+    enabled: true
+  });
 
   useEffect(() => {
     fetchRulesets();
+    fetchSources();
   }, []);
 
+  const fetchSources = async () => {
+    try {
+      const response = await fetch('/api/sources');
+      if (!response.ok) {
+        throw new Error('Failed to fetch sources');
+      }
+      const data = await response.json();
+      setSources(data.sources);
+      setAdapters(data.adapters);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSourceSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const url = editingSource
+        ? `/api/sources/${encodeURIComponent(editingSource.id)}`
+        : '/api/sources';
+
+      const method = editingSource ? 'PUT' : 'POST';
+
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(sourceFormData),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save source');
+      }
+
+      await fetchSources();
+      resetSourceForm();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEditSource = (source) => {
+    setEditingSource(source);
+    setSourceFormData({
+      name: source.name,
+      baseUrl: source.baseUrl,
+      description: source.description || '',
+      type: source.type || 'autoindex',
+      scraper: source.scraper || '',
+      enabled: source.enabled !== false
+    });
+    setShowSourceForm(true);
+  };
+
+  const handleDeleteSource = async (source) => {
+    if (!confirm(`Are you sure you want to delete the source "${source.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/sources/${encodeURIComponent(source.id)}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete source');
+      }
+
+      await fetchSources();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Toggle visibility on the browse page without opening the form
+  const handleToggleSource = async (source) => {
+    try {
+      const response = await fetch(`/api/sources/${encodeURIComponent(source.id)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ enabled: source.enabled === false }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update source');
+      }
+
+      await fetchSources();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const resetSourceForm = () => {
+    setSourceFormData({
+      name: '',
+      baseUrl: '',
+      description: '',
+      type: 'autoindex',
+      scraper: '',
+      enabled: true
+    });
+    setEditingSource(null);
+    setShowSourceForm(false);
+  };
+
+  const handleSourceInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setSourceFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const getAdapterName = (type) => adapters.find(adapter => adapter.id === type)?.name || type;
+
   const fetchRulesets = async () => {
     try {
       setLoading(true);
@@ -136,7 +275,7 @@ const Settings = () => {
       <div className="settings-header">
         <h2>⚙️ Settings</h2>
         <p className="settings-subtitle">
-          Manage ROM organization rulesets
+          Manage archive sources and ROM organization rulesets
         </p>
       </div>
 
@@ -148,6 +287,89 @@ const Settings = () => {
       )}
 
       <div className="settings-content">
+        <div className="rulesets-section">
+          <div className="section-header">
+            <h3>🗄️ Archive Sources</h3>
+            <button
+              className="add-button"
+              onClick={() => setShowSourceForm(true)}
+            >
+              ➕ Add Source
+            </button>
+          </div>
+
+          {sources.length === 0 ? (
+            <div className="empty-state">
+              <p>No archive sources configured</p>
+              <p>Add an archive to show it on the browse page</p>
+            </div>
+          ) : (
+            <div className="rulesets-grid">
+              {sources.map((source) => (
+                <div key={source.id} className={`ruleset-card ${source.enabled === false ? 'disabled-card' : ''}`}>
+                  <div className="ruleset-header">
+                    <h4>{source.name}</h4>
+                    <div className="ruleset-actions">
+                      <button
+                        className="edit-button"
+                        onClick={() => handleToggleSource(source)}
+                        title={source.enabled === false ? 'Enable' : 'Disable'}
+                      >
+                        {source.enabled === false ? '👁️‍🗨️' : '👁️'}
+                      </button>
+                      <button
+                        className="edit-button"
+                        onClick={() => handleEditSource(source)}
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        className="delete-button"
+                        onClick={() => handleDeleteSource(source)}
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="ruleset-details">
+                    <div className="detail-item">
+                      <span className="detail-label">Base URL:</span>
+                      <span className="detail-value path">{source.baseUrl}</span>
+                    </div>
+
+                    <div className="detail-item">
+                      <span className="detail-label">Adapter:</span>
+                      <span className="detail-value">{getAdapterName(source.type)}</span>
+                    </div>
+
+                    {source.scraper && (
+                      <div className="detail-item">
+                        <span className="detail-label">Scraper:</span>
+                        <span className="detail-value">{source.scraper}</span>
+                      </div>
+                    )}
+
+                    <div className="detail-item">
+                      <span className="detail-label">Enabled:</span>
+                      <span className={`detail-value ${source.enabled !== false ? 'enabled' : 'disabled'}`}>
+                        {source.enabled !== false ? '✅ Yes' : '❌ No'}
+                      </span>
+                    </div>
+
+                    {source.description && (
+                      <div className="detail-item">
+                        <span className="detail-label">Description:</span>
+                        <span className="detail-value">{source.description}</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
         <div className="rulesets-section">
           <div className="section-header">
             <h3>📋 Organization Rulesets</h3>
@@ -214,6 +436,122 @@ const Settings = () => {
           )}
         </div>
 
+        {showSourceForm && (
+          <div className="form-overlay">
+            <div className="form-modal">
+              <div className="form-header">
+                <h3>
+                  {editingSource ? '✏️ Edit Source' : '➕ Add Source'}
+                </h3>
+                <button
+                  className="close-button"
+                  onClick={resetSourceForm}
+                >
+                  ×
+                </button>
+              </div>
+
+              <form onSubmit={handleSourceSubmit} className="ruleset-form">
+                <div className="form-group">
+                  <label htmlFor="source-name">Name</label>
+                  <input
+                    type="text"
+                    id="source-name"
+                    name="name"
+                    value={sourceFormData.name}
+                    onChange={handleSourceInputChange}
+                    placeholder="e.g., No-Intro Collection"
+                    required
+                  />
+                  <small>Shown on the browse page</small>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="source-baseUrl">Base URL</label>
+                  <input
+                    type="url"
+                    id="source-baseUrl"
+                    name="baseUrl"
+                    value={sourceFormData.baseUrl}
+                    onChange={handleSourceInputChange}
+                    placeholder="e.g., https://myrient.erista.me/files/No-Intro/"
+                    required
+                  />
+                  <small>Directory listing whose subfolders are offered as categories</small>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="source-description">Description</label>
+                  <input
+                    type="text"
+                    id="source-description"
+                    name="description"
+                    value={sourceFormData.description}
+                    onChange={handleSourceInputChange}
+                    placeholder="e.g., Verified ROM dumps with accurate checksums"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="source-type">Adapter</label>
+                  <select
+                    id="source-type"
+                    name="type"
+                    value={sourceFormData.type}
+                    onChange={handleSourceInputChange}
+                  >
+                    {adapters.map((adapter) => (
+                      <option key={adapter.id} value={adapter.id}>
+                        {adapter.name}
+                      </option>
+                    ))}
+                  </select>
+                  <small>How the archive's listings are scraped</small>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="source-scraper">Scraper</label>
+                  <select
+                    id="source-scraper"
+                    name="scraper"
+                    value={sourceFormData.scraper}
+                    onChange={handleSourceInputChange}
+                  >
+                    <option value="">Adapter default ({adapters.find(adapter => adapter.id === sourceFormData.type)?.scraper || 'auto'})</option>
+                    <option value="auto">Auto - plain HTTP, browser when needed</option>
+                    <option value="http">HTTP only</option>
+                    <option value="playwright">Browser (Playwright)</option>
+                  </select>
+                  <small>Use the browser for archives whose listings need JavaScript</small>
+                </div>
+
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      name="enabled"
+                      checked={sourceFormData.enabled}
+                      onChange={handleSourceInputChange}
+                    />
+                    <span className="checkmark"></span>
+                    Enabled
+                  </label>
+                  <small>Disabled sources are hidden from the browse page</small>
+                </div>
+
+                <div className="form-actions">
+                  <button type="button" onClick={resetSourceForm} className="cancel-button">
+                    Cancel
+                  </button>
+                  <button type="submit" className="save-button">
+                    {editingSource ? 'Update' : 'Create'} Source
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
         {showForm && (
           <div className="form-overlay">
             <div className="form-modal">
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './UrlInput.css';
 
 const UrlInput = ({ onSubmit, loading }) => {
@@ -6,28 +6,45 @@ const UrlInput = ({ onSubmit, loading }) => {
   const [archiveCategories, setArchiveCategories] = useState({});
   const [loadingCategories, setLoadingCategories] = useState(false);
   const [categoryFilters, setCategoryFilters] = useState({});
+  const [crawlOptions, setCrawlOptions] = useState({
+    recursive: false,
+    maxDepth: 3,
+    include: '',
+    exclude: ''
+  });
+  const [archives, setArchives] = useState([]);
 
-  // Archive configurations
-  const archives = [
-    {
-      id: 'no-intro',
-      name: 'No-Intro Collection',
-      baseUrl: 'https://myrient.erista.me/files/No-Intro/',
-      description: 'Verified ROM dumps with accurate checksums'
-    },
-    {
-      id: 'redump',
-      name: 'Redump Collection',
-      baseUrl: 'https://myrient.erista.me/files/Redump/',
-      description: 'Disc-based games and systems'
-    },
-    {
-      id: 'tosec',
-      name: 'TOSEC Collection',
-      baseUrl: 'https://myrient.erista.me/files/TOSEC/',
-      description: 'The Old School Emulation Center'
-    }
-  ];
+  // Archives come from the server's catalog (config/sources.yaml) plus any
+  // collections an adapter provides itself, such as local source roots
+  useEffect(() => {
+    const fetchSources = async () => {
+      try {
+        const response = await fetch('/api/sources');
+        if (response.ok) {
+          const data = await response.json();
+          const adapters = data.adapters || [];
+          const catalogArchives = (data.sources || [])
+            .filter(source => source.enabled !== false)
+            .map(source => ({
+              ...source,
+              source: source.type,
+              scraper: source.scraper || adapters.find(adapter => adapter.id === source.type)?.scraper
+            }));
+          const adapterArchives = adapters.flatMap(adapter =>
+            adapter.collections.map(collection => ({
+              ...collection,
+              id: `${adapter.id}/${collection.id}`
+            }))
+          );
+          setArchives([...catalogArchives, ...adapterArchives]);
+        }
+      } catch (error) {
+        console.error('Failed to fetch sources:', error);
+      }
+    };
+
+    fetchSources();
+  }, []);
 
   const fetchArchiveCategories = async (archive) => {
     if (archiveCategories[archive.id]) {
@@ -41,7 +58,7 @@ const UrlInput = ({ onSubmit, loading }) => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: archive.baseUrl }),
+        body: JSON.stringify({ url: archive.baseUrl, source: archive.source, scraper: archive.scraper }),
       });
 
       if (response.ok) {
@@ -67,8 +84,28 @@ const UrlInput = ({ onSubmit, loading }) => {
     }
   };
 
-  const handleCategoryClick = (categoryUrl) => {
-    onSubmit(categoryUrl);
+  // A category is scraped with its archive's source adapter and scraper
+  const handleCategoryClick = (archive, categoryUrl) => {
+    const scrapeOptions = { source: archive.source, scraper: archive.scraper || undefined };
+    if (crawlOptions.recursive) {
+      onSubmit(categoryUrl, null, {
+        ...scrapeOptions,
+        recursive: true,
+        maxDepth: crawlOptions.maxDepth,
+        include: crawlOptions.include.trim() || undefined,
+        exclude: crawlOptions.exclude.trim() || undefined
+      });
+    } else {
+      onSubmit(categoryUrl, null, scrapeOptions);
+    }
+  };
+
+  const handleCrawlOptionChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCrawlOptions(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : (name === 'maxDepth' ? parseInt(value) || 0 : value)
+    }));
   };
 
   const handleFilterChange = (archiveId, filterValue) => {
@@ -106,6 +143,11 @@ const UrlInput = ({ onSubmit, loading }) => {
 
         <div className="suggestions">
           <h3>Popular ROM Archives:</h3>
+          {archives.length === 0 && (
+            <p className="archive-description">
+              No archives configured. Add one under ⚙️ Settings.
+            </p>
+          )}
           <div className="archive-list">
             {archives.map((archive) => (
               <div key={archive.id} className="archive-item">
@@ -142,12 +184,56 @@ const UrlInput = ({ onSubmit, loading }) => {
                             disabled={loading}
                           />
                         </div>
+                        <div className="crawl-options">
+                          <label className="crawl-toggle">
+                            <input
+                              type="checkbox"
+                              name="recursive"
+                              checked={crawlOptions.recursive}
+                              onChange={handleCrawlOptionChange}
+                              disabled={loading}
+                            />
+                            Include subfolders
+                          </label>
+                          {crawlOptions.recursive && (
+                            <div className="crawl-fields">
+                              <label>
+                                Depth
+                                <input
+                                  type="number"
+                                  name="maxDepth"
+                                  min="0"
+                                  max="20"
+                                  value={crawlOptions.maxDepth}
+                                  onChange={handleCrawlOptionChange}
+                                  disabled={loading}
+                                />
+                              </label>
+                              <input
+                                type="text"
+                                name="include"
+                                placeholder="Include, e.g. *.zip, Games/**, /\(USA\)/"
+                                value={crawlOptions.include}
+                                onChange={handleCrawlOptionChange}
+                                disabled={loading}
+                              />
+                              <input
+                                type="text"
+                                name="exclude"
+                                placeholder="Exclude, e.g. *(Demo)*, Manuals/**"
+                                value={crawlOptions.exclude}
+                                onChange={handleCrawlOptionChange}
+                                disabled={loading}
+                              />
+                            </div>
+                          )}
+                        </div>
                         <div className="categories-grid">
                           {getFilteredCategories(archive.id).map((category, index) => (
                             <button
                               key={index}
                               className="category-button"
-                              onClick={() => handleCategoryClick(category.url)}
+                              onClick={() => handleCategoryClick(archive, category.url)}
                               disabled={loading}
                               title={category.name}
                             >
@@ -0,0 +1,27 @@
+// Credentials for curl go through a config read from its stdin ('--config -') rather than
+// its argument list, which any local user can read with ps or from /proc/<pid>/cmdline.
+
+import { spawn } from 'child_process';
+
+// One option of a curl config file. Inside double quotes curl unescapes \\, \", \n, \r and \t.
+export function curlConfigLine(option, value) {
+    const escaped = String(value)
+        .replace(/[\\"]/g, '\\$&')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t');
+    return `${option} = "${escaped}"`;
+}
+
+// spawn('curl', args), handing configLines over on stdin when there are any
+export function spawnCurl(args, configLines = []) {
+    if (configLines.length === 0) {
+        return spawn('curl', args);
+    }
+
+    const curl = spawn('curl', [...args, '--config', '-']);
+    // curl may exit before reading its config (e.g. a bad option); its exit code says why
+    curl.stdin.on('error', () => {});
+    curl.stdin.end(`${configLines.join('\n')}\n`);
+    return curl;
+}
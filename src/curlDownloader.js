@@ -1,18 +1,40 @@
 import fs from 'fs-extra';
-import path from 'path';
 import https from 'https';
 import http from 'http';
+import { pipeline } from 'stream/promises';
+import { bandwidthLimiter } from './bandwidthLimiter.js';
+import { PartialDownload } from './partialDownload.js';
+import { NodeSegmentedDownloader } from './segmentedDownloader.js';
+import { ProgressTracker } from './progressTracker.js';
+import { Checksums } from './integrity.js';
+import { proxyResolver, createProxyAgent } from './proxy.js';
+import { requestProfiles } from './requestProfiles.js';
+import { resolveWithin } from './fileNames.js';
+import { DownloadError, DownloadCancelledError, DownloadTimeoutError, HttpStatusError, NetworkError, MissingDownloadUrlError, classifyError } from './downloadErrors.js';
+
+const USER_AGENT = 'curl/8.0.0';
+const MAX_REDIRECTS = 10;
 
 /**
- * Curl-inspired ROM downloader
- * Optimized for maximum speed with minimal overhead
+ * Curl-style downloader in pure Node - the fallback when the curl binary isn't installed.
+ * It shares the native downloader's behaviour: data goes to a resumable .part file through
+ * the bandwidth limiter, cancelling keeps the partial, and progress events look the same.
  */
 export class CurlDownloader {
     constructor(options = {}) {
         this.downloadDir = options.downloadDir || './downloads';
         this.progressCallback = options.progressCallback;
+        this.bandwidthLimiter = options.bandwidthLimiter || bandwidthLimiter;
+        this.timeout = options.timeout || 30000;
         this.activeDownloads = new Map();
         this.cancelledDownloads = new Set();
+
+        // Splits large files into parallel range requests (MAX_CONCURRENT_CHUNKS, CHUNK_SIZE, ...)
+        this.segmentedDownloader = options.segmentedDownloader || new NodeSegmentedDownloader({
+            bandwidthLimiter: this.bandwidthLimiter,
+            request: (url, requestOptions) => this.request(url, requestOptions),
+            ...options.segments
+        });
     }
 
     async init() {
@@ -22,303 +44,302 @@ export class CurlDownloader {
 
     // Main download method
     async downloadRom(rom) {
-        console.log(`🔄 Starting curl-style download: ${rom.name}`);
+        console.log(`🔄 Starting Node download: ${rom.name}`);
 
         if (!rom.downloadUrl) {
-            throw new Error(`Cannot download ROM without downloadUrl: ${rom.name}`);
+            throw new MissingDownloadUrlError(rom.name);
         }
 
-        const filename = rom.name;
-        const filepath = path.join(this.downloadDir, filename);
-        
-        console.log(`📍 URL: ${rom.downloadUrl}`);
-        console.log(`📁 File: ${filepath}`);
+        try {
+            const filename = rom.name;
+            const filepath = resolveWithin(this.downloadDir, filename);
+
+            console.log(`📍 URL: ${rom.downloadUrl}`);
+            console.log(`📁 File: ${filepath}`);
 
-        return this.curlStyleDownload(rom.downloadUrl, filepath, rom.name);
+            const fileInfo = await this.getFileInfo(rom.downloadUrl);
+            this.throwIfCancelled(rom.name);
+
+            // The .part layout matches the native downloader, so either backend can resume the other's partial
+            const partial = new PartialDownload(filepath);
+            const finalPath = await this.downloadToPartial(rom, partial, fileInfo);
+
+            // Hashes of the verified file, kept on the download history
+            rom.checksums = partial.checksums;
+            return finalPath;
+        } finally {
+            // Don't let this cancel stop a later download of the same name
+            this.clearCancelledStatus(rom.name);
+        }
     }
 
-    // Get file size using HEAD request first
-    async getFileSize(url) {
-        return new Promise((resolve, reject) => {
-            const performHeadRequest = (requestUrl, redirectCount = 0) => {
-                if (redirectCount > 10) {
-                    return reject(new Error('Too many redirects'));
+    // Fetch the data into the .part file (segmented when the file is large enough) and move it into place
+    async downloadToPartial(rom, partial, fileInfo) {
+        if (this.segmentedDownloader.shouldSegment(fileInfo) &&
+            await this.segmentedDownloader.supportsRanges(rom.downloadUrl, fileInfo)) {
+            await partial.prepare(rom.downloadUrl, fileInfo, {
+                mode: 'segmented',
+                chunkSize: this.segmentedDownloader.chunkSize
+            });
+            this.throwIfCancelled(rom.name);
+
+            try {
+                return await this.segmentedDownload(rom.downloadUrl, partial, rom.name, fileInfo.totalBytes);
+            } catch (error) {
+                if (!error.rangeUnsupported || this.isDownloadCancelled(rom.name)) {
+                    throw error;
                 }
+                console.log(`⚠️ ${error.message} - falling back to a single stream`);
+                await partial.discard();
+            }
+        }
 
-                const urlObj = new URL(requestUrl);
-                const protocol = urlObj.protocol === 'https:' ? https : http;
-
-                const options = {
-                    hostname: urlObj.hostname,
-                    port: urlObj.port,
-                    path: urlObj.pathname + urlObj.search,
-                    method: 'HEAD',
-                    headers: {
-                        'User-Agent': 'curl/8.0.0',
-                        'Accept': '*/*',
-                        'Connection': 'close'
-                    },
-                    timeout: 10000
-                };
-
-                console.log(`🔍 Getting file size from ${urlObj.hostname}:${urlObj.port || (protocol === https ? 443 : 80)}`);
-
-                const request = protocol.request(options, (response) => {
-                    console.log(`📡 HEAD ${response.statusCode} ${response.statusMessage}`);
-
-                    // Handle redirects
-                    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                        console.log(`🔄 HEAD redirect to: ${response.headers.location}`);
-                        response.destroy();
-                        return performHeadRequest(response.headers.location, redirectCount + 1);
-                    }
-
-                    if (response.statusCode !== 200) {
-                        console.log(`⚠️ HEAD request failed, will try GET without size info`);
-                        return resolve(0);
-                    }
-
-                    const contentLength = parseInt(response.headers['content-length']) || 0;
-                    if (contentLength > 0) {
-                        console.log(`📊 File size: ${(contentLength / 1024 / 1024).toFixed(2)} MB`);
-                    } else {
-                        console.log(`⚠️ No Content-Length header found`);
-                    }
-
-                    response.destroy();
-                    resolve(contentLength);
-                });
-
-                request.on('error', (error) => {
-                    console.log(`⚠️ HEAD request error, will try GET without size info:`, error.message);
-                    resolve(0);
-                });
-
-                request.on('timeout', () => {
-                    console.log(`⚠️ HEAD request timeout, will try GET without size info`);
-                    request.destroy();
-                    resolve(0);
-                });
-
-                request.end();
-            };
+        await partial.prepare(rom.downloadUrl, fileInfo, { mode: 'stream' });
+        this.throwIfCancelled(rom.name);
 
-            performHeadRequest(url);
-        });
+        // A previous attempt may have finished the data but not the rename
+        if (fileInfo.totalBytes > 0 && partial.meta.resumedBytes >= fileInfo.totalBytes) {
+            console.log(`✅ Partial download already complete: ${rom.name}`);
+            return partial.finalize();
+        }
+
+        return this.streamDownload(rom.downloadUrl, partial, rom.name, fileInfo.totalBytes);
     }
 
-    // Curl-inspired download implementation
-    curlStyleDownload(url, filepath, romName) {
-        return new Promise(async (resolve, reject) => {
-            const startTime = process.hrtime.bigint();
-            let downloadedBytes = 0;
-            let totalBytes = 0;
+    // Download a large file as parallel range requests. Segments already recorded in the
+    // sidecar are skipped, so an interrupted download picks up where it left off.
+    async segmentedDownload(url, partial, romName, totalBytes) {
+        const startTime = Date.now();
+        const job = { processes: new Set(), filepath: partial.partPath, startTime };
+        const tracker = new ProgressTracker((data) => this.emitProgress(romName, data), {
+            label: romName,
+            totalBytes,
+            resumedBytes: partial.meta.resumedBytes
+        });
 
-            try {
-                // First, try to get file size with HEAD request
-                totalBytes = await this.getFileSize(url);
-                if (totalBytes > 0) {
-                    console.log(`✅ Pre-download file size detected: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+        // Track this download for cancellation
+        this.activeDownloads.set(romName, job);
+
+        tracker.start();
+
+        try {
+            await this.segmentedDownloader.download(url, partial.partPath, totalBytes, job, {
+                completedSegments: partial.meta.completedSegments,
+                onSegmentComplete: (index) => partial.markSegmentComplete(index),
+                isCancelled: () => this.isDownloadCancelled(romName),
+                onProgress: (downloadedBytes, activeSegments) => {
+                    tracker.update(downloadedBytes, { chunks: activeSegments });
                 }
-            } catch (error) {
-                console.log(`⚠️ Could not get file size, proceeding with download:`, error.message);
+            });
+        } catch (error) {
+            // Finished segments stay on disk in the .part file for the next attempt
+            if (this.isDownloadCancelled(romName)) {
+                throw new DownloadCancelledError(romName);
+            }
+            throw error;
+        } finally {
+            this.activeDownloads.delete(romName);
+        }
+
+        let filepath;
+        try {
+            filepath = await partial.finalize();
+        } catch (error) {
+            console.error(`❌ Could not verify or move finished download into place: ${error.message}`);
+            throw classifyError(error);
+        }
+
+        tracker.update(totalBytes);
+        const { averageSpeed } = tracker.complete();
+        const elapsed = (Date.now() - startTime) / 1000;
+
+        console.log(`✅ Download complete: ${(totalBytes / 1024 / 1024).toFixed(2)} MB in ${elapsed.toFixed(2)}s`);
+        console.log(`🚀 Average speed: ${(averageSpeed / 1024 / 1024).toFixed(2)} MB/s`);
+
+        return filepath;
+    }
+
+    // Send a request, following redirects like curl -L. Resolves with the final response.
+    request(url, options = {}, redirectCount = 0) {
+        return new Promise((resolve, reject) => {
+            if (redirectCount > MAX_REDIRECTS) {
+                return reject(new DownloadError('Too many redirects', { kind: 'http', retryable: false }));
             }
 
-            // Follow redirects like curl does
-            const performRequest = (requestUrl, redirectCount = 0) => {
-                if (redirectCount > 10) {
-                    return reject(new Error('Too many redirects'));
+            const urlObj = new URL(url);
+            const protocol = urlObj.protocol === 'https:' ? https : http;
+
+            const request = protocol.request(urlObj, {
+                method: options.method || 'GET',
+                // The source's request profile is looked up per hop, so a redirect elsewhere drops its credentials
+                headers: requestProfiles.headersFor(url, {
+                    'User-Agent': USER_AGENT,
+                    'Accept': '*/*',
+                    'Accept-Encoding': 'identity', // No compression, so byte counts match the file
+                    'Connection': 'close',
+                    ...options.headers
+                }),
+                agent: createProxyAgent(proxyResolver.forUrl(url), url), // decided per hop, redirects included
+                timeout: options.timeout || this.timeout
+            }, (response) => {
+                if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                    response.resume();
+                    const location = new URL(response.headers.location, url).href;
+                    console.log(`🔄 Redirect to: ${location}`);
+                    return resolve(this.request(location, options, redirectCount + 1));
                 }
+                resolve(response);
+            });
+
+            options.onRequest?.(request);
+
+            // Also covers a stalled transfer after the response arrived: the body stream errors out
+            request.on('timeout', () => {
+                request.destroy(new DownloadTimeoutError(`No data from ${urlObj.hostname} for ${(options.timeout || this.timeout) / 1000}s`));
+            });
+            request.on('error', (error) => reject(classifyError(error)));
+            request.end();
+        });
+    }
 
-                const urlObj = new URL(requestUrl);
-                const protocol = urlObj.protocol === 'https:' ? https : http;
-
-                // Curl-style request options - minimal and fast
-                const options = {
-                    hostname: urlObj.hostname,
-                    port: urlObj.port,
-                    path: urlObj.pathname + urlObj.search,
-                    method: 'GET',
-                    headers: {
-                        'User-Agent': 'curl/8.0.0', // Mimic curl user agent
-                        'Accept': '*/*',
-                        'Accept-Encoding': 'identity', // No compression for speed
-                        'Connection': 'close' // Simple connection handling
-                    },
-                    timeout: 30000
-                };
-
-                console.log(`🌐 Connecting to ${urlObj.hostname}:${urlObj.port || (protocol === https ? 443 : 80)}`);
-
-                const request = protocol.request(options, (response) => {
-                    console.log(`📡 HTTP ${response.statusCode} ${response.statusMessage}`);
-
-                    // Handle redirects like curl
-                    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                        console.log(`🔄 Redirect to: ${response.headers.location}`);
-                        response.destroy();
-                        return performRequest(response.headers.location, redirectCount + 1);
-                    }
-
-                    if (response.statusCode !== 200) {
-                        return reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    }
-
-                    // Use HEAD request size, or fall back to Content-Length from GET request
-                    const responseContentLength = parseInt(response.headers['content-length']) || 0;
-                    if (totalBytes > 0) {
-                        console.log(`📊 Using file size from HEAD request: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
-                    } else if (responseContentLength > 0) {
-                        totalBytes = responseContentLength;
-                        console.log(`📊 HEAD request failed, using Content-Length from GET request: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
-                    } else {
-                        console.log(`⚠️ No file size available from either HEAD or GET request - progress will be indeterminate`);
-                    }
-
-                    // Create file descriptor directly (like curl's file handling)
-                    const fileHandle = fs.createWriteStream(filepath, {
-                        flags: 'w',
-                        highWaterMark: 64 * 1024 // 64KB buffer like curl
-                    });
-
-                    // Track download for cancellation
-                    this.activeDownloads.set(romName, {
-                        request: request,
-                        response: response,
-                        fileHandle: fileHandle,
-                        filepath: filepath
-                    });
-
-                    // Initial progress callback to show total bytes immediately
-                    if (this.progressCallback) {
-                        this.progressCallback({
-                            type: 'fileProgress',
-                            romName: romName,
-                            filename: romName,
-                            progress: 0,
-                            downloadedBytes: 0,
-                            totalBytes: totalBytes > 0 ? totalBytes : null,
-                            status: 'downloading',
-                            currentSpeed: 0,
-                            averageSpeed: 0,
-                            overallAverageSpeed: 0
-                        });
-                    }
-
-                    // Progress tracking variables
-                    let lastProgressTime = Date.now();
-                    let lastProgressBytes = 0;
-
-                    // Pure data transfer - no processing overhead
-                    response.on('data', (chunk) => {
-                        // Check cancellation with minimal overhead
-                        if (this.isDownloadCancelled(romName)) {
-                            response.destroy();
-                            fileHandle.destroy();
-                            return;
-                        }
-
-                        downloadedBytes += chunk.length;
-                        fileHandle.write(chunk);
-
-                        // Progress callback (throttled to avoid performance impact)
-                        const now = Date.now();
-                        if (this.progressCallback && now - lastProgressTime >= 1000) { // Update every second
-                            const timeDiff = (now - lastProgressTime) / 1000;
-                            const bytesDiff = downloadedBytes - lastProgressBytes;
-                            const currentSpeed = bytesDiff / timeDiff;
-                            const overallElapsed = (Number(process.hrtime.bigint() - startTime) / 1e9);
-                            const overallSpeed = overallElapsed > 0 ? downloadedBytes / overallElapsed : 0;
-
-                            // Calculate progress percentage if we have total bytes
-                            let progressPercentage = 50; // Default indeterminate
-                            if (totalBytes > 0) {
-                                progressPercentage = Math.min(99, Math.round((downloadedBytes / totalBytes) * 100));
-                            }
-
-                            this.progressCallback({
-                                type: 'fileProgress',
-                                romName: romName,
-                                filename: romName,
-                                progress: progressPercentage,
-                                downloadedBytes: downloadedBytes,
-                                totalBytes: totalBytes > 0 ? totalBytes : null,
-                                status: 'downloading',
-                                currentSpeed: currentSpeed,
-                                averageSpeed: overallSpeed,
-                                overallAverageSpeed: overallSpeed
-                            });
-
-                            lastProgressTime = now;
-                            lastProgressBytes = downloadedBytes;
-                        }
-                    });
-
-                    response.on('end', () => {
-                        fileHandle.end();
-                        
-                        // Calculate final statistics
-                        const endTime = process.hrtime.bigint();
-                        const durationNs = endTime - startTime;
-                        const durationSeconds = Number(durationNs) / 1e9;
-                        const speedBps = downloadedBytes / durationSeconds;
-                        const speedMBps = speedBps / (1024 * 1024);
-
-                        console.log(`✅ Download complete: ${(downloadedBytes / 1024 / 1024).toFixed(2)} MB in ${durationSeconds.toFixed(2)}s`);
-                        console.log(`🚀 Average speed: ${speedMBps.toFixed(2)} MB/s`);
-
-                        // Clean up tracking
-                        this.activeDownloads.delete(romName);
-
-                        // Final progress callback
-                        if (this.progressCallback) {
-                            this.progressCallback({
-                                type: 'fileProgress',
-                                romName: romName,
-                                filename: romName,
-                                progress: 100,
-                                downloadedBytes: downloadedBytes,
-                                totalBytes: totalBytes > 0 ? totalBytes : downloadedBytes,
-                                status: 'complete',
-                                currentSpeed: speedBps,
-                                averageSpeed: speedBps,
-                                overallAverageSpeed: speedBps
-                            });
-                        }
-
-                        resolve(filepath);
-                    });
-
-                    response.on('error', (error) => {
-                        fileHandle.destroy();
-                        fs.unlink(filepath).catch(() => {});
-                        this.activeDownloads.delete(romName);
-                        reject(error);
-                    });
-
-                    fileHandle.on('error', (error) => {
-                        response.destroy();
-                        this.activeDownloads.delete(romName);
-                        reject(error);
-                    });
-                });
-
-                request.on('error', (error) => {
-                    this.activeDownloads.delete(romName);
-                    reject(error);
-                });
-
-                request.on('timeout', () => {
-                    request.destroy();
-                    this.activeDownloads.delete(romName);
-                    reject(new Error('Request timeout'));
-                });
-
-                request.end();
+    // Get file size, range support and validators with a HEAD request (same shape as the native downloader)
+    async getFileInfo(url) {
+        console.log(`🔍 Getting file size for: ${url}`);
+
+        try {
+            const response = await this.request(url, { method: 'HEAD', timeout: 10000 });
+            response.resume();
+            console.log(`📡 HEAD ${response.statusCode} ${response.statusMessage}`);
+
+            if (response.statusCode !== 200) {
+                // e.g. HEAD not allowed - the server is there, we just don't know the size
+                console.log(`⚠️ HEAD request failed, will proceed without size info`);
+                return { totalBytes: 0, acceptRanges: null, etag: null, lastModified: null, unreachable: false };
+            }
+
+            const contentLength = parseInt(response.headers['content-length']) || 0;
+            if (contentLength > 0) {
+                console.log(`📊 File size detected: ${(contentLength / 1024 / 1024).toFixed(2)} MB`);
+            } else {
+                console.log(`⚠️ No Content-Length header found in HEAD response`);
+            }
+
+            return {
+                totalBytes: contentLength,
+                acceptRanges: response.headers['accept-ranges']?.toLowerCase() || null,
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null
             };
+        } catch (error) {
+            console.log(`⚠️ HEAD request error, will proceed without size info:`, error.message);
+            return { totalBytes: 0, acceptRanges: null, etag: null, lastModified: null, unreachable: error.kind !== 'http' };
+        }
+    }
+
+    // Stream the response through the bandwidth limiter into the .part file, resuming with a
+    // Range request when data is already on disk. The file is only moved into place once complete.
+    async streamDownload(url, partial, romName, knownTotalBytes = 0) {
+        const startTime = Date.now();
+        const resumedBytes = partial.meta?.resumedBytes || 0;
+        const job = { request: null, response: null, filepath: partial.partPath, startTime };
+        const tracker = new ProgressTracker((data) => this.emitProgress(romName, data), {
+            label: romName,
+            totalBytes: knownTotalBytes,
+            resumedBytes
+        });
+
+        let checksums = null;
+
+        // Track this download for cancellation
+        this.activeDownloads.set(romName, job);
+
+        try {
+            const response = await this.request(url, {
+                headers: resumedBytes > 0 ? { Range: `bytes=${resumedBytes}-` } : {},
+                onRequest: (request) => { job.request = request; }
+            });
+            job.response = response;
+            console.log(`📡 HTTP ${response.statusCode} ${response.statusMessage}`);
+
+            if (resumedBytes > 0 && response.statusCode === 416) {
+                response.resume();
+                console.log(`🗑️ Server cannot resume ${romName} - discarding partial download`);
+                await partial.discard().catch(() => {});
+                throw new DownloadError(`Server cannot resume ${romName} (HTTP 416)`, { kind: 'http' });
+            }
+
+            if (response.statusCode !== 200 && response.statusCode !== 206) {
+                response.resume();
+                throw new HttpStatusError(response.statusCode, `HTTP ${response.statusCode}: ${response.statusMessage}`);
+            }
+
+            // A 200 to a Range request means the server sent the whole file again
+            if (resumedBytes > 0 && response.statusCode === 200) {
+                console.log(`⚠️ Server ignored the resume request - downloading ${romName} from the start`);
+                tracker.reset(0);
+            }
+
+            const contentLength = parseInt(response.headers['content-length']) || 0;
+            if (!tracker.totalBytes && contentLength > 0) {
+                tracker.setTotal(tracker.downloadedBytes + contentLength);
+            }
+
+            // Hash while writing; data kept from an earlier attempt is hashed first
+            checksums = new Checksums();
+            await checksums.updateFromFile(partial.partPath, tracker.downloadedBytes);
+
+            // Initial progress callback to show total bytes immediately
+            tracker.start();
+
+            await pipeline(
+                response,
+                this.bandwidthLimiter.throttle(),
+                tracker.counter(),
+                checksums.stream(),
+                fs.createWriteStream(partial.partPath, { flags: tracker.downloadedBytes > 0 ? 'a' : 'w' })
+            );
+
+            if (this.isDownloadCancelled(romName)) {
+                throw new DownloadCancelledError(romName);
+            }
+            if (tracker.totalBytes > 0 && tracker.downloadedBytes < tracker.totalBytes) {
+                throw new NetworkError(`Connection closed early: received ${tracker.downloadedBytes} of ${tracker.totalBytes} bytes`);
+            }
+        } catch (error) {
+            // The .part file is kept so the next attempt resumes from it
+            if (this.isDownloadCancelled(romName)) {
+                throw new DownloadCancelledError(romName);
+            }
+            throw classifyError(error);
+        } finally {
+            this.activeDownloads.delete(romName);
+        }
+
+        let filepath;
+        try {
+            filepath = await partial.finalize({ checksums, expectedBytes: tracker.totalBytes });
+        } catch (error) {
+            console.error(`❌ Could not verify or move finished download into place: ${error.message}`);
+            throw classifyError(error);
+        }
+
+        const { averageSpeed, downloadedBytes } = tracker.complete();
+        const elapsed = (Date.now() - startTime) / 1000;
+
+        console.log(`✅ Download complete: ${(downloadedBytes / 1024 / 1024).toFixed(2)} MB in ${elapsed.toFixed(2)}s`);
+        console.log(`🚀 Average speed: ${(averageSpeed / 1024 / 1024).toFixed(2)} MB/s`);
+
+        return filepath;
+    }
+
+    emitProgress(romName, data) {
+        if (!this.progressCallback) return;
 
-            // Start the request
-            performRequest(url);
+        this.progressCallback({
+            type: 'fileProgress',
+            romName: romName,
+            filename: romName,
+            ...data
         });
     }
 
@@ -329,19 +350,28 @@ export class CurlDownloader {
 
         const downloadInfo = this.activeDownloads.get(romName);
         if (downloadInfo) {
-            if (downloadInfo.request) downloadInfo.request.destroy();
             if (downloadInfo.response) downloadInfo.response.destroy();
-            if (downloadInfo.fileHandle) downloadInfo.fileHandle.destroy();
-            
-            // Clean up partial file
-            if (downloadInfo.filepath) {
-                fs.unlink(downloadInfo.filepath).catch(() => {});
+            if (downloadInfo.request) downloadInfo.request.destroy();
+
+            // Segmented downloads run one request per active range
+            if (downloadInfo.processes) {
+                for (const transfer of downloadInfo.processes) {
+                    transfer.kill();
+                }
             }
-            
+
+            // The partial file stays on disk so a retry can resume it
             this.activeDownloads.delete(romName);
         }
     }
 
+    // Stop before starting a transfer that was cancelled (or paused) while we were probing the server
+    throwIfCancelled(romName) {
+        if (this.isDownloadCancelled(romName)) {
+            throw new DownloadCancelledError(romName);
+        }
+    }
+
     // Check if a download is cancelled
     isDownloadCancelled(romName) {
         return this.cancelledDownloads.has(romName);
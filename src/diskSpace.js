@@ -0,0 +1,162 @@
+// Free space checks for the downloads and organized directories. The queue runs a
+// preflight before each download so a full volume pauses the queue with a clear message
+// instead of failing halfway through with a write error.
+
+import fs from 'fs-extra';
+import { statfs } from 'fs/promises';
+import path from 'path';
+import { parseSizeToBytes } from './listingParser.js';
+import { InsufficientSpaceError } from './downloadErrors.js';
+import { PART_EXTENSION } from './partialDownload.js';
+
+// Byte count from 1073741824, "1GB", "500 MiB"...; 0 or empty means no limit
+export function parseByteSize(value) {
+    if (value === undefined || value === null || value === '' || value === false) return 0;
+
+    const bytes = parseSizeToBytes(typeof value === 'string' ? value.trim() : value);
+    if (bytes === null || bytes < 0) {
+        throw new Error(`Invalid size: ${value} (expected bytes or a size like 500MB or 2GB)`);
+    }
+    return bytes;
+}
+
+// Validate the storage section of settings.yaml; sizes come back as bytes
+export function normalizeStorageSettings(settings = {}) {
+    return {
+        minFreeBytes: parseByteSize(settings.minFreeSpace),
+        quotaBytes: parseByteSize(settings.downloadsQuota)
+    };
+}
+
+// Free and total bytes on the volume holding dir (or its nearest existing parent)
+export async function getVolumeInfo(dir) {
+    let target = path.resolve(dir);
+    while (!await fs.pathExists(target) && path.dirname(target) !== target) {
+        target = path.dirname(target);
+    }
+
+    const [stats, { dev }] = await Promise.all([statfs(target), fs.stat(target)]);
+    return {
+        path: path.resolve(dir),
+        device: dev,
+        freeBytes: stats.bavail * stats.bsize,
+        totalBytes: stats.blocks * stats.bsize
+    };
+}
+
+// Total size of the files under dir
+export async function directorySize(dir) {
+    let total = 0;
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await directorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+        }
+    }
+    return total;
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Checks there is room for a download before it starts. A download needs its remaining
+ * bytes free on the downloads volume, plus the same again on the organized volume when a
+ * ruleset will move it to a different volume, while keeping minFreeBytes (the low-water
+ * mark) free on both.
+ * With a quota, everything in the downloads directory plus the new file must fit under it.
+ */
+export class DiskSpaceGuard {
+    constructor(options = {}) {
+        this.downloadsDir = options.downloadsDir || './downloads';
+        this.organizedDir = options.organizedDir || null;
+        this.lastStatus = null;
+        this.configure(options.settings);
+    }
+
+    configure(settings = {}) {
+        const { minFreeBytes, quotaBytes } = normalizeStorageSettings(settings);
+        this.minFreeBytes = minFreeBytes;
+        this.quotaBytes = quotaBytes;
+    }
+
+    // Free space figures for the queue page; also kept as lastStatus for synchronous readers
+    async status() {
+        const downloads = await getVolumeInfo(this.downloadsDir);
+        const organized = this.organizedDir ? await getVolumeInfo(this.organizedDir) : null;
+
+        this.lastStatus = {
+            minFreeBytes: this.minFreeBytes,
+            quotaBytes: this.quotaBytes,
+            downloads: {
+                path: downloads.path,
+                freeBytes: downloads.freeBytes,
+                totalBytes: downloads.totalBytes,
+                usedBytes: this.quotaBytes > 0 ? await directorySize(this.downloadsDir) : null
+            },
+            organized: organized && {
+                path: organized.path,
+                freeBytes: organized.freeBytes,
+                totalBytes: organized.totalBytes,
+                sameVolume: organized.device === downloads.device
+            },
+            checkedAt: new Date().toISOString()
+        };
+        return this.lastStatus;
+    }
+
+    /**
+     * Throw InsufficientSpaceError when the file can't be downloaded (and organized) without
+     * going under the low-water mark or over the quota.
+     * options: { expectedBytes, organize } - expectedBytes may be unknown (0), in which case
+     * only the low-water mark and quota are checked.
+     */
+    async preflight(filename, options = {}) {
+        const { expectedBytes = 0, organize = false } = options;
+        const status = await this.status();
+
+        // Data already in the .part file doesn't need room again
+        const partial = await fs.stat(path.join(this.downloadsDir, filename + PART_EXTENSION)).catch(() => null);
+        const remainingBytes = Math.max(0, expectedBytes - (partial ? partial.size : 0));
+
+        const check = (volume, requiredBytes, label) => {
+            const neededBytes = requiredBytes + this.minFreeBytes;
+            if (volume.freeBytes < neededBytes) {
+                throw new InsufficientSpaceError(
+                    `Not enough space on the ${label} volume for ${filename}: ${formatSize(volume.freeBytes)} free, ` +
+                    (requiredBytes > 0 ? `${formatSize(requiredBytes)} needed` : 'size unknown') +
+                    (this.minFreeBytes > 0 ? `, ${formatSize(this.minFreeBytes)} kept free` : ''),
+                    { volume: label, path: volume.path, freeBytes: volume.freeBytes, requiredBytes: neededBytes }
+                );
+            }
+        };
+
+        check(status.downloads, remainingBytes, 'downloads');
+
+        // On the same volume, organizing is a rename and needs no room of its own
+        if (status.organized && organize && !status.organized.sameVolume) {
+            check(status.organized, expectedBytes, 'organized');
+        }
+
+        if (this.quotaBytes > 0 && (status.downloads.usedBytes >= this.quotaBytes || status.downloads.usedBytes + remainingBytes > this.quotaBytes)) {
+            throw new InsufficientSpaceError(
+                `Downloads quota full for ${filename}: ${formatSize(status.downloads.usedBytes)} of ${formatSize(this.quotaBytes)} used, ` +
+                (remainingBytes > 0 ? `${formatSize(remainingBytes)} needed` : 'size unknown'),
+                { volume: 'quota', path: status.downloads.path, usedBytes: status.downloads.usedBytes, quotaBytes: this.quotaBytes, requiredBytes: remainingBytes }
+            );
+        }
+
+        return status;
+    }
+}
@@ -0,0 +1,198 @@
+// Typed download errors and the retry policy applied to each kind.
+// Downloaders throw these so the queue processor can decide what happens next
+// without guessing from error messages.
+
+/**
+ * Base class for download failures. kind picks the retry policy; status is what the
+ * queue item becomes once retries are used up (or straight away when not retryable).
+ */
+export class DownloadError extends Error {
+    constructor(message, { kind = 'unknown', retryable = true, status = 'failed', cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'DownloadError';
+        this.kind = kind;
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+// The server answered with an error status. 408/429 and 5xx are worth retrying, other 4xx are not.
+export class HttpStatusError extends DownloadError {
+    constructor(statusCode, message = `HTTP ${statusCode}`) {
+        super(message, {
+            kind: 'http',
+            retryable: statusCode === 408 || statusCode === 429 || statusCode >= 500
+        });
+        this.name = 'HttpStatusError';
+        this.statusCode = statusCode;
+    }
+}
+
+// DNS failures, refused or reset connections, TLS errors - the server was never reached or went away
+export class NetworkError extends DownloadError {
+    constructor(message, cause) {
+        super(message, { kind: 'network', cause });
+        this.name = 'NetworkError';
+    }
+}
+
+export class DownloadTimeoutError extends DownloadError {
+    constructor(message = 'Download timed out', cause) {
+        super(message, { kind: 'timeout', cause });
+        this.name = 'DownloadTimeoutError';
+    }
+}
+
+// Retrying won't help until someone frees up space
+export class DiskFullError extends DownloadError {
+    constructor(message = 'Not enough disk space to write the download', cause) {
+        super(message, { kind: 'disk-full', retryable: false, cause });
+        this.name = 'DiskFullError';
+    }
+}
+
+// The preflight found too little room (or the quota would be exceeded) - nothing was written
+export class InsufficientSpaceError extends DiskFullError {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'InsufficientSpaceError';
+        this.details = details;
+    }
+}
+
+// The data on disk doesn't match what was expected; the partial data is discarded before retrying
+export class ChecksumMismatchError extends DownloadError {
+    constructor(message, cause) {
+        super(message, { kind: 'checksum', status: 'corrupted', cause });
+        this.name = 'ChecksumMismatchError';
+    }
+}
+
+// The queue item has no usable download URL - only a re-scrape can fix it
+export class MissingDownloadUrlError extends DownloadError {
+    constructor(romName, message = `Cannot download ROM without downloadUrl: ${romName}. Please re-scrape the ROM list to get updated download URLs.`) {
+        super(message, {
+            kind: 'missing-url',
+            retryable: false,
+            status: 'needs-rescrape'
+        });
+        this.name = 'MissingDownloadUrlError';
+    }
+}
+
+// A file name or path that would land outside the downloads (or organized) directory
+export class UnsafePathError extends DownloadError {
+    constructor(message) {
+        super(message, { kind: 'unsafe-path', retryable: false });
+        this.name = 'UnsafePathError';
+    }
+}
+
+export class DownloadCancelledError extends DownloadError {
+    constructor(romName) {
+        super(`Download cancelled: ${romName}`, { kind: 'cancelled', retryable: false });
+        this.name = 'DownloadCancelledError';
+        this.cancelled = true;
+    }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ECONNABORTED'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const DISK_FULL_ERROR_CODES = ['ENOSPC', 'EDQUOT'];
+
+// Map a curl exit code (and its stderr) onto a typed error
+export function curlExitError(code, stderr = '') {
+    // curl repeats the error for each of its own retries; the last line is the one that counts
+    const lines = stderr.trim().split('\n').filter(Boolean);
+    const detail = lines[lines.length - 1] || `curl failed with exit code ${code}`;
+
+    switch (code) {
+        case 22: {
+            const statusMatch = detail.match(/returned error:\s*(\d{3})/);
+            return statusMatch
+                ? new HttpStatusError(parseInt(statusMatch[1]), detail)
+                : new DownloadError(detail, { kind: 'http' });
+        }
+        case 5:  // couldn't resolve proxy
+        case 6:  // couldn't resolve host
+        case 7:  // couldn't connect
+        case 16: // HTTP/2 framing
+        case 18: // partial file - connection closed early
+        case 35: // TLS handshake
+        case 52: // empty reply
+        case 55: // send failure
+        case 56: // receive failure
+            return new NetworkError(detail);
+        case 28:
+            return new DownloadTimeoutError(detail);
+        case 23:
+            return /no space|quota/i.test(detail)
+                ? new DiskFullError(detail)
+                : new DownloadError(detail, { kind: 'disk-write' });
+        default:
+            return new DownloadError(detail);
+    }
+}
+
+// Wrap whatever was thrown in a DownloadError. Raw errors are recognised by their Node
+// error code (or the statusCode an HTTP failure carries), never by their message.
+export function classifyError(error) {
+    if (error instanceof DownloadError) return error;
+
+    const message = error?.message || String(error);
+    const code = error?.code;
+
+    if (DISK_FULL_ERROR_CODES.includes(code)) return new DiskFullError(message, error);
+    if (TIMEOUT_ERROR_CODES.includes(code)) return new DownloadTimeoutError(message, error);
+    if (NETWORK_ERROR_CODES.includes(code)) return new NetworkError(message, error);
+    if (code === 'Z_DATA_ERROR') return new ChecksumMismatchError(message, error);
+    if (Number.isInteger(error?.statusCode)) return new HttpStatusError(error.statusCode, message);
+
+    return new DownloadError(message, { cause: error });
+}
+
+// maxAttempts counts the first try. Delays double with each attempt up to maxDelay.
+export const DEFAULT_RETRY_POLICIES = {
+    network: { maxAttempts: 5, baseDelay: 5000, maxDelay: 300000 },
+    timeout: { maxAttempts: 5, baseDelay: 10000, maxDelay: 300000 },
+    http: { maxAttempts: 4, baseDelay: 30000, maxDelay: 600000 },
+    checksum: { maxAttempts: 2, baseDelay: 1000, maxDelay: 1000 },
+    'disk-write': { maxAttempts: 2, baseDelay: 30000, maxDelay: 30000 },
+    unknown: { maxAttempts: 3, baseDelay: 10000, maxDelay: 120000 }
+};
+
+/**
+ * Decides whether and when a failed download is tried again. DOWNLOAD_MAX_ATTEMPTS and
+ * DOWNLOAD_RETRY_BASE_DELAY override every kind's attempt limit and starting delay.
+ */
+export class RetryPolicy {
+    constructor(options = {}) {
+        this.policies = { ...DEFAULT_RETRY_POLICIES, ...options.policies };
+        this.maxAttempts = options.maxAttempts ?? (parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS) || null);
+        this.baseDelay = options.baseDelay ?? (parseInt(process.env.DOWNLOAD_RETRY_BASE_DELAY) || null);
+        this.jitter = options.jitter ?? 0.2;
+    }
+
+    policyFor(error) {
+        return this.policies[error.kind] || this.policies.unknown;
+    }
+
+    // Delay in ms before attempt number `attempt + 1`, or null when the ROM should stay failed
+    nextRetryDelay(error, attempt) {
+        if (!error.retryable) return null;
+
+        const policy = this.policyFor(error);
+        const maxAttempts = this.maxAttempts ?? policy.maxAttempts;
+        if (attempt >= maxAttempts) return null;
+
+        const baseDelay = this.baseDelay ?? policy.baseDelay;
+        const maxDelay = Math.max(policy.maxDelay, baseDelay);
+        const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+        const spread = delay * this.jitter;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    }
+
+    maxAttemptsFor(error) {
+        return error.retryable ? (this.maxAttempts ?? this.policyFor(error).maxAttempts) : 1;
+    }
+}
@@ -0,0 +1,121 @@
+import { parseTimeOfDay } from './bandwidthLimiter.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function parseDay(value) {
+    const day = DAY_NAMES.indexOf(String(value).trim().toLowerCase().slice(0, 3));
+    if (day === -1) {
+        throw new Error(`Invalid day '${value}' (expected mon, tue, ... sun)`);
+    }
+    return day;
+}
+
+// ["mon", "wed"], "mon-fri" or "sat,sun" -> day numbers (0 = Sunday); missing means every day
+export function parseDays(value) {
+    if (value === undefined || value === null || value === '') return ALL_DAYS;
+
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    const days = new Set();
+    for (const part of parts) {
+        const [start, end] = String(part).split('-');
+        if (end === undefined) {
+            days.add(parseDay(start));
+            continue;
+        }
+        // Ranges may wrap round the week, e.g. fri-mon
+        for (let day = parseDay(start); ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === parseDay(end)) break;
+        }
+    }
+    return [...days].sort();
+}
+
+// Validate the downloadWindows section of settings.yaml
+export function normalizeDownloadWindows(windows) {
+    if (windows === undefined || windows === null) return [];
+    if (!Array.isArray(windows)) {
+        throw new Error('Download windows must be a list of { days, from, to } entries');
+    }
+
+    return windows.map((window) => ({
+        days: parseDays(window.days),
+        fromMinutes: parseTimeOfDay(window.from),
+        toMinutes: parseTimeOfDay(window.to),
+        from: String(window.from),
+        to: String(window.to)
+    }));
+}
+
+/**
+ * When the queue processor may start new downloads. Each window covers from-to on the
+ * listed days; a window that crosses midnight belongs to the day it starts on. With no
+ * windows configured downloads may start at any time.
+ */
+export class DownloadSchedule {
+    constructor(windows = []) {
+        this.configure(windows);
+    }
+
+    configure(windows = []) {
+        this.windows = normalizeDownloadWindows(windows);
+    }
+
+    get enabled() {
+        return this.windows.length > 0;
+    }
+
+    isOpen(date = new Date()) {
+        if (!this.enabled) return true;
+
+        const day = date.getDay();
+        const yesterday = (day + 6) % 7;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        return this.windows.some(({ days, fromMinutes, toMinutes }) => {
+            if (fromMinutes === toMinutes) return days.includes(day);
+            if (fromMinutes < toMinutes) {
+                return days.includes(day) && minutes >= fromMinutes && minutes < toMinutes;
+            }
+            // Overnight: the evening part today, or the early-morning tail of yesterday's window
+            return (days.includes(day) && minutes >= fromMinutes) ||
+                (days.includes(yesterday) && minutes < toMinutes);
+        });
+    }
+
+    // When the next window opens (now if one is open), or null with no windows
+    nextOpen(date = new Date()) {
+        if (!this.enabled) return null;
+        if (this.isOpen(date)) return date;
+
+        let next = null;
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(date);
+            day.setDate(date.getDate() + offset);
+
+            for (const { days, fromMinutes } of this.windows) {
+                if (!days.includes(day.getDay())) continue;
+
+                const start = new Date(day);
+                start.setHours(Math.floor(fromMinutes / 60), fromMinutes % 60, 0, 0);
+                if (start > date && (!next || start < next)) {
+                    next = start;
+                }
+            }
+            if (next) break;
+        }
+        return next;
+    }
+
+    status(date = new Date()) {
+        const open = this.isOpen(date);
+        const nextOpen = open ? null : this.nextOpen(date);
+        return {
+            enabled: this.enabled,
+            open,
+            nextOpen: nextOpen ? nextOpen.toISOString() : null,
+            windows: this.windows.map(({ days, from, to }) => ({ days: days.map(day => DAY_NAMES[day]), from, to }))
+        };
+    }
+}
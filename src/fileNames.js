@@ -0,0 +1,152 @@
+// Safe names and paths for the files we write. Names come from link text and URLs on
+// scraped pages, so they are cleaned up before use, and every path built from one is
+// checked to still be inside the directory it belongs to.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { UnsafePathError } from './downloadErrors.js';
+
+// ext4, NTFS and APFS all limit a single name to 255 bytes
+const MAX_NAME_BYTES = 255;
+
+// Longest extension kept when a name has to be shortened; anything longer is just part of the name
+const MAX_EXTENSION_BYTES = 16;
+
+// Not allowed in Windows (or SMB) names; the slashes would also turn the name into a path
+const RESERVED_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+// Device names Windows reserves, with or without an extension
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³]|conin\$|conout\$)(\..*)?$/i;
+
+// Autoindex pages cut long link text short: 'Some Long Name (Eu..>' or 'Some Long Na…'
+const TRUNCATED_TEXT = /(\.\.>|…)$/;
+
+// The longest prefix of text that fits in maxBytes of UTF-8, without splitting a character
+function truncateToBytes(text, maxBytes) {
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > maxBytes) break;
+        result += char;
+        bytes += size;
+    }
+    return result;
+}
+
+function shortenName(name) {
+    if (Buffer.byteLength(name) <= MAX_NAME_BYTES) return name;
+
+    const extension = path.extname(name);
+    const keep = extension && Buffer.byteLength(extension) <= MAX_EXTENSION_BYTES ? extension : '';
+    const base = truncateToBytes(name.slice(0, name.length - keep.length), MAX_NAME_BYTES - Buffer.byteLength(keep));
+    return base.trimEnd() + keep;
+}
+
+/**
+ * A single file name that is safe on Linux, macOS and Windows shares: no path separators,
+ * reserved or control characters, no '.' / '..', no trailing dots or spaces (Windows drops
+ * them), no reserved device names, at most 255 bytes. Returns '' when nothing usable is left.
+ */
+export function sanitizeFileName(name) {
+    const cleaned = shortenName(
+        String(name ?? '').normalize('NFC').replace(RESERVED_CHARACTERS, '_').trim()
+    ).replace(/[. ]+$/, '');
+
+    if (!cleaned) return '';
+    return WINDOWS_RESERVED_NAMES.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+// The sanitized, decoded last path segment of url, or '' when it has none
+export function fileNameFromUrl(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        return '';
+    }
+
+    const segment = pathname.split('/').filter(Boolean).pop() || '';
+    try {
+        return sanitizeFileName(decodeURIComponent(segment));
+    } catch (error) {
+        return sanitizeFileName(segment);
+    }
+}
+
+/**
+ * The name to save a download under: the sanitized link text, or the name from its URL
+ * when the text is empty, cut short by the listing, or nothing but reserved characters.
+ * Throws UnsafePathError when neither gives a usable name.
+ */
+export function safeFileName(name, url) {
+    const text = String(name ?? '').trim();
+    const fromText = TRUNCATED_TEXT.test(text) ? '' : sanitizeFileName(text);
+    if (fromText && !/^_+$/.test(fromText)) return fromText;
+
+    const fromUrl = url ? fileNameFromUrl(url) : '';
+    if (fromUrl) return fromUrl;
+    if (fromText) return fromText;
+
+    throw new UnsafePathError(`No usable file name for ${name || url || 'download'}`);
+}
+
+// name with ' (label)' added before its extension, still within the length limit
+function withLabel(name, label) {
+    const extension = path.extname(name);
+    const keep = extension && Buffer.byteLength(extension) <= MAX_EXTENSION_BYTES ? extension : '';
+    const suffix = ` (${label})${keep}`;
+    const base = truncateToBytes(name.slice(0, name.length - keep.length), MAX_NAME_BYTES - Buffer.byteLength(suffix));
+    return base.trimEnd() + suffix;
+}
+
+/**
+ * name, or a variant of it for which isTaken(candidate) is false: first with the folder the
+ * file came from ('game (Disk 2).zip', for same-named files in a crawled tree), then with a
+ * counter ('game (2).zip').
+ */
+export function uniqueFileName(name, isTaken, folder = '') {
+    if (!isTaken(name)) return name;
+
+    const label = sanitizeFileName(String(folder).split('/').filter(Boolean).pop());
+    if (label) {
+        const candidate = withLabel(name, label);
+        if (!isTaken(candidate)) return candidate;
+    }
+
+    for (let counter = 2; ; counter++) {
+        const candidate = withLabel(name, counter);
+        if (!isTaken(candidate)) return candidate;
+    }
+}
+
+export function isWithin(target, root) {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+// Resolve segments against root, refusing anything that ends up outside it
+export function resolveWithin(root, ...segments) {
+    const base = path.resolve(root);
+    const target = path.resolve(base, ...segments);
+    if (!isWithin(target, base)) {
+        throw new UnsafePathError(`Path is outside ${base}: ${path.join(...segments)}`);
+    }
+    return target;
+}
+
+// Resolve filePath, refusing it unless it is inside one of roots. Symlinks are resolved
+// first so a link can't point outside a root; a missing file is checked as written.
+export async function resolveExistingWithin(filePath, roots) {
+    const resolved = path.resolve(String(filePath));
+    const realPath = await fs.realpath(resolved).catch(() => resolved);
+
+    for (const root of roots) {
+        const realRoot = await fs.realpath(root).catch(() => path.resolve(root));
+        if (isWithin(realPath, realRoot) && realPath !== realRoot) {
+            return realPath;
+        }
+    }
+
+    throw new UnsafePathError(`Path is outside ${roots.map(root => path.resolve(root)).join(', ')}: ${filePath}`);
+}
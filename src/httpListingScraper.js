@@ -0,0 +1,247 @@
+import https from 'https';
+import http from 'http';
+import zlib from 'zlib';
+import { buildListingEntries } from './listingParser.js';
+import { throwIfAborted } from './scrapeJobs.js';
+import { proxyResolver, createProxyAgent } from './proxy.js';
+import { requestProfiles } from './requestProfiles.js';
+
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+// Decode the handful of entities autoindex pages actually emit
+export function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function stripTags(html) {
+    return decodeHtmlEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+const LINK_PATTERN = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/i;
+
+function parseLink(html) {
+    const match = html.match(LINK_PATTERN);
+    if (!match) return null;
+    return {
+        href: decodeHtmlEntities(match[1] ?? match[2] ?? match[3] ?? ''),
+        text: stripTags(match[4]),
+        index: match.index,
+        length: match[0].length
+    };
+}
+
+/**
+ * Parse an Apache/nginx/Myrient autoindex page into raw listing rows.
+ * Table layouts (Myrient, Apache FancyIndexing with HTMLTable) are read row by row;
+ * <pre> layouts (nginx, classic Apache) take the text after each link up to the line end.
+ */
+export function parseAutoindexHtml(html) {
+    const rows = [];
+
+    // Table based listings
+    const tableRows = html.match(/<tr\b[\s\S]*?<\/tr>/gi) || [];
+    for (const rowHtml of tableRows) {
+        const cells = rowHtml.match(/<t[dh]\b[\s\S]*?<\/t[dh]>/gi) || [];
+        const linkCellIndex = cells.findIndex(cell => LINK_PATTERN.test(cell));
+        if (linkCellIndex === -1) continue;
+
+        const link = parseLink(cells[linkCellIndex]);
+        const meta = cells
+            .filter((cell, index) => index !== linkCellIndex)
+            .map(stripTags)
+            .join(' ');
+        rows.push({ text: link.text, href: link.href, meta });
+    }
+
+    if (rows.length > 0) {
+        return rows;
+    }
+
+    // <pre> based listings
+    const preBlocks = html.match(/<pre\b[\s\S]*?<\/pre>/gi) || [];
+    for (const block of preBlocks) {
+        for (const line of block.split('\n')) {
+            const link = parseLink(line);
+            if (!link) continue;
+            const meta = stripTags(line.slice(link.index + link.length));
+            rows.push({ text: link.text, href: link.href, meta });
+        }
+    }
+
+    if (rows.length > 0) {
+        return rows;
+    }
+
+    // Anything else - collect bare links and let the caller decide
+    let remaining = html;
+    let link;
+    while ((link = parseLink(remaining))) {
+        rows.push({ text: link.text, href: link.href, meta: '' });
+        remaining = remaining.slice(link.index + link.length);
+    }
+
+    return rows;
+}
+
+/**
+ * Browserless listing scraper - fetches directory listings over plain HTTP(S)
+ * and parses the autoindex HTML directly instead of launching Chromium
+ */
+export class HttpListingScraper {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 30000;
+        this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    }
+
+    // Fetch a page following redirects, resolving with { url, statusCode, headers, body }.
+    // Passing validators makes the request conditional; a 304 resolves with notModified set.
+    // Aborting options.signal destroys the in-flight request and rejects with the abort reason.
+    fetchPage(url, validators = {}, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        let currentRequest = null;
+        let onAbort = null;
+
+        return new Promise((resolve, reject) => {
+            if (signal) {
+                onAbort = () => {
+                    if (currentRequest) currentRequest.destroy();
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const performRequest = (requestUrl, redirectCount = 0) => {
+                if (redirectCount > 10) {
+                    return reject(new Error('Too many redirects'));
+                }
+
+                const urlObj = new URL(requestUrl);
+                const protocol = urlObj.protocol === 'https:' ? https : http;
+
+                const headers = {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                    'Accept-Encoding': 'gzip, deflate, br'
+                };
+                if (validators.etag) {
+                    headers['If-None-Match'] = validators.etag;
+                }
+                if (validators.lastModified) {
+                    headers['If-Modified-Since'] = validators.lastModified;
+                }
+
+                const request = currentRequest = protocol.request(urlObj, {
+                    method: 'GET',
+                    headers: requestProfiles.headersFor(requestUrl, headers),
+                    agent: createProxyAgent(proxyResolver.forUrl(requestUrl), requestUrl),
+                    timeout: this.timeout
+                }, (response) => {
+                    // Handle redirects
+                    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                        response.resume();
+                        const nextUrl = new URL(response.headers.location, requestUrl).href;
+                        return performRequest(nextUrl, redirectCount + 1);
+                    }
+
+                    if (response.statusCode === 304) {
+                        response.resume();
+                        return resolve({
+                            url: requestUrl,
+                            statusCode: 304,
+                            headers: response.headers,
+                            notModified: true
+                        });
+                    }
+
+                    if (response.statusCode !== 200) {
+                        response.resume();
+                        const error = new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+                        error.statusCode = response.statusCode;
+                        return reject(error);
+                    }
+
+                    let stream = response;
+                    const encoding = (response.headers['content-encoding'] || '').toLowerCase();
+                    if (encoding === 'gzip') {
+                        stream = response.pipe(zlib.createGunzip());
+                    } else if (encoding === 'deflate') {
+                        stream = response.pipe(zlib.createInflate());
+                    } else if (encoding === 'br') {
+                        stream = response.pipe(zlib.createBrotliDecompress());
+                    }
+
+                    const chunks = [];
+                    stream.on('data', (chunk) => chunks.push(chunk));
+                    stream.on('end', () => {
+                        resolve({
+                            url: requestUrl,
+                            statusCode: response.statusCode,
+                            headers: response.headers,
+                            body: Buffer.concat(chunks).toString('utf8')
+                        });
+                    });
+                    stream.on('error', reject);
+                });
+
+                request.on('error', reject);
+                request.on('timeout', () => {
+                    request.destroy(new Error(`Request timeout after ${this.timeout}ms`));
+                });
+
+                request.end();
+            };
+
+            performRequest(url);
+        }).finally(() => {
+            // A scrape job shares its signal across every page it fetches, so don't leave listeners behind
+            signal?.removeEventListener('abort', onAbort);
+        });
+    }
+
+    // Fetch and parse a directory listing into { url, directories, files, validators }.
+    // Resolves with { notModified: true } when the cached validators still match.
+    async scrapeListing(url, validators = {}, options = {}) {
+        console.log(`🌐 Fetching listing over HTTP: ${url}`);
+
+        const page = await this.fetchPage(url, validators, options);
+        throwIfAborted(options.signal);
+        if (page.notModified) {
+            console.log(`♻️ Listing not modified since last fetch: ${url}`);
+            return { url: page.url, notModified: true };
+        }
+
+        const rows = parseAutoindexHtml(page.body);
+        const { directories, files } = buildListingEntries(rows, page.url);
+
+        console.log(`📊 HTTP listing parsed: ${directories.length} directories, ${files.length} files`);
+
+        return {
+            url: page.url,
+            directories,
+            files,
+            validators: {
+                etag: page.headers.etag || null,
+                lastModified: page.headers['last-modified'] || null
+            }
+        };
+    }
+}
@@ -11,6 +11,8 @@ import { fileURLToPath } from 'url';
 import Fuse from 'fuse.js';
 import https from 'https';
 import http from 'http';
+import { proxyResolver, createProxyAgent, toPlaywrightProxy } from './proxy.js';
+import { safeFileName, resolveWithin } from './fileNames.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +26,7 @@ export class RomDownloader {
         this.headless = options.headless !== false;
         this.timeout = options.timeout || 30000;
         this.enableSearch = options.enableSearch !== false; // Default to true
+        this.proxy = options.proxy || null; // Proxy URL; HTTPS_PROXY/HTTP_PROXY/ALL_PROXY when not given
         this.activeDownloads = new Map(); // Track active downloads for cancellation
         this.cancelledDownloads = new Set(); // Track cancelled downloads
     }
@@ -45,6 +48,13 @@ export class RomDownloader {
             console.log(chalk.yellow(`🔧 Using system Chromium at: ${process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH}`));
         }
 
+        // Route the browser and the HTTP requests through the proxy, if any
+        const { proxy } = proxyResolver.configure(this.proxy ? { url: this.proxy } : null);
+        if (proxy) {
+            launchOptions.proxy = toPlaywrightProxy(proxyResolver.proxy);
+            console.log(chalk.yellow(`🧭 Using proxy ${proxy.server}`));
+        }
+
         // Launch browser
         this.browser = await chromium.launch(launchOptions);
 
@@ -319,8 +329,8 @@ export class RomDownloader {
             const download = await downloadPromise;
 
             // Save the download
-            const filename = await download.suggestedFilename();
-            const filepath = path.join(this.downloadDir, filename);
+            const filename = safeFileName(download.suggestedFilename(), download.url());
+            const filepath = resolveWithin(this.downloadDir, filename);
             await download.saveAs(filepath);
 
             return filepath;
@@ -348,8 +358,8 @@ export class RomDownloader {
                 }, rom.name);
 
                 const download = await downloadPromise;
-                const filename = await download.suggestedFilename();
-                const filepath = path.join(this.downloadDir, filename);
+                const filename = safeFileName(download.suggestedFilename(), download.url());
+                const filepath = resolveWithin(this.downloadDir, filename);
                 await download.saveAs(filepath);
 
                 return filepath;
@@ -380,6 +390,7 @@ export class RomDownloader {
                         'Accept': '*/*',
                         'Connection': 'close'
                     },
+                    agent: createProxyAgent(proxyResolver.forUrl(requestUrl), requestUrl),
                     timeout: 10000
                 };
 
@@ -439,8 +450,9 @@ export class RomDownloader {
 
         console.log(chalk.yellow(`📍 Download URL: ${rom.downloadUrl}`));
 
-        const filename = rom.name;
-        const filepath = path.join(this.downloadDir, filename);
+        // The name is the link text from the listing, so it may need cleaning up
+        const filename = safeFileName(rom.name, rom.downloadUrl);
+        const filepath = resolveWithin(this.downloadDir, filename);
 
         console.log(chalk.gray(`📁 Download directory: ${this.downloadDir}`));
         console.log(chalk.gray(`📁 Download filename: ${filename}`));
@@ -460,7 +472,8 @@ export class RomDownloader {
             const url = new URL(rom.downloadUrl);
             const protocol = url.protocol === 'https:' ? https : http;
 
-            const request = protocol.get(rom.downloadUrl, (response) => {
+            const agent = createProxyAgent(proxyResolver.forUrl(rom.downloadUrl), rom.downloadUrl);
+            const request = protocol.get(rom.downloadUrl, { agent }, (response) => {
                 // Handle redirects
                 if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
                     console.log(chalk.yellow(`🔄 Following redirect to: ${response.headers.location}`));
@@ -653,12 +666,14 @@ program
     .option('--no-headless', 'Run browser in visible mode')
     .option('-t, --timeout <ms>', 'Page load timeout in milliseconds', '30000')
     .option('--no-search', 'Disable fuzzy search functionality')
+    .option('--proxy <url>', 'Proxy for the browser and downloads (http://, socks5://...)')
     .action(async (url, options) => {
         const downloader = new RomDownloader({
             downloadDir: options.downloadDir,
             headless: options.headless,
             timeout: parseInt(options.timeout),
-            enableSearch: options.search !== false
+            enableSearch: options.search !== false,
+            proxy: options.proxy
         });
         
         try {
@@ -0,0 +1,175 @@
+// Post-download integrity checks: checksums gathered while the data streams in, the
+// expected size, and a test read of zip archives. A failed check throws
+// ChecksumMismatchError, which discards the partial data and ends as 'corrupted'.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { Transform } from 'stream';
+import yauzl from 'yauzl';
+import { ChecksumMismatchError } from './downloadErrors.js';
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const EMPTY_ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+
+// zlib.crc32 only exists from Node 20.15, and the production image runs Node 18
+const CRC32_TABLE = new Int32Array(256).map((value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+export function crc32(buffer, previous = 0) {
+    let crc = ~previous;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * SHA-1, MD5 and CRC32 of a file, fed chunk by chunk as it is written. digest() gives the
+ * hex strings in the same form as No-Intro/Redump DAT files.
+ */
+export class Checksums {
+    constructor() {
+        this.sha1 = crypto.createHash('sha1');
+        this.md5 = crypto.createHash('md5');
+        this.crc = 0;
+        this.size = 0;
+    }
+
+    static async fromFile(filepath) {
+        const checksums = new Checksums();
+        await checksums.updateFromFile(filepath);
+        return checksums;
+    }
+
+    update(chunk) {
+        this.sha1.update(chunk);
+        this.md5.update(chunk);
+        this.crc = crc32(chunk, this.crc);
+        this.size += chunk.length;
+    }
+
+    // Feed the first `end` bytes of a file, e.g. data kept from an earlier attempt before resuming
+    async updateFromFile(filepath, end = Infinity) {
+        if (end <= 0) return;
+
+        const stream = fs.createReadStream(filepath, Number.isFinite(end) ? { end: end - 1 } : {});
+        for await (const chunk of stream) {
+            this.update(chunk);
+        }
+    }
+
+    // Pass-through stream that hashes what flows through it
+    stream() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.update(chunk);
+                callback(null, chunk);
+            }
+        });
+    }
+
+    digest() {
+        return {
+            sha1: this.sha1.digest('hex'),
+            md5: this.md5.digest('hex'),
+            crc32: this.crc.toString(16).padStart(8, '0'),
+            size: this.size
+        };
+    }
+}
+
+async function readSignature(filepath) {
+    const handle = await fs.open(filepath, 'r');
+    try {
+        const buffer = Buffer.alloc(4);
+        const { bytesRead } = await fs.read(handle, buffer, 0, 4, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+// Read every entry of a zip archive and compare its data against the stored CRC32
+export function verifyZip(filepath, label = filepath) {
+    return new Promise((resolve, reject) => {
+        const fail = (message, cause) => reject(new ChecksumMismatchError(`Corrupted ZIP file ${label}: ${message}`, cause));
+
+        yauzl.open(filepath, { lazyEntries: true, validateEntrySizes: true }, (openError, zipfile) => {
+            if (openError) return fail(openError.message, openError);
+
+            let entries = 0;
+            zipfile.on('error', (error) => fail(error.message, error));
+            zipfile.on('end', () => resolve({ entries }));
+            zipfile.on('entry', (entry) => {
+                // Directory entry
+                if (/\/$/.test(entry.fileName)) {
+                    zipfile.readEntry();
+                    return;
+                }
+
+                zipfile.openReadStream(entry, (streamError, readStream) => {
+                    if (streamError) {
+                        zipfile.close();
+                        return fail(`${entry.fileName}: ${streamError.message}`, streamError);
+                    }
+
+                    let crc = 0;
+                    readStream.on('data', (chunk) => {
+                        crc = crc32(chunk, crc);
+                    });
+                    readStream.on('error', (error) => {
+                        zipfile.close();
+                        fail(`${entry.fileName}: ${error.message}`, error);
+                    });
+                    readStream.on('end', () => {
+                        if (crc !== entry.crc32) {
+                            zipfile.close();
+                            return fail(`CRC mismatch in ${entry.fileName}`);
+                        }
+                        entries++;
+                        zipfile.readEntry();
+                    });
+                });
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+/**
+ * Check a finished download before it is moved into place.
+ * options: { expectedBytes, checksums, name } - checksums is a Checksums fed while streaming
+ * (the file is hashed from disk when it is missing or didn't see every byte); name is the
+ * final filename, used to spot a .zip that isn't one.
+ * Returns the checksum digest.
+ */
+export async function verifyDownload(filepath, options = {}) {
+    const { expectedBytes, name = filepath } = options;
+    const { size } = await fs.stat(filepath);
+
+    if (expectedBytes > 0 && size !== expectedBytes) {
+        throw new ChecksumMismatchError(`Size mismatch for ${name}: expected ${expectedBytes} bytes, got ${size}`);
+    }
+
+    let checksums = options.checksums;
+    if (!checksums || checksums.size !== size) {
+        checksums = await Checksums.fromFile(filepath);
+    }
+
+    const signature = await readSignature(filepath);
+    const isZip = signature.equals(ZIP_SIGNATURE);
+    if (/\.zip$/i.test(name) && !isZip && !signature.equals(EMPTY_ZIP_SIGNATURE)) {
+        throw new ChecksumMismatchError(`${name} is not a ZIP archive - the server may have sent an error page`);
+    }
+    if (isZip) {
+        const { entries } = await verifyZip(filepath, name);
+        console.log(`🔍 Verified ${entries} entries in ${name}`);
+    }
+
+    return checksums.digest();
+}
@@ -0,0 +1,185 @@
+// Helpers for turning directory listing rows into typed entries.
+// Listings from Myrient, Apache and nginx all boil down to a link plus some
+// trailing text containing a modification date and a size.
+
+const SIZE_UNITS = {
+    B: 1,
+    K: 1024,
+    KB: 1024,
+    KIB: 1024,
+    M: 1024 ** 2,
+    MB: 1024 ** 2,
+    MIB: 1024 ** 2,
+    G: 1024 ** 3,
+    GB: 1024 ** 3,
+    GIB: 1024 ** 3,
+    T: 1024 ** 4,
+    TB: 1024 ** 4,
+    TIB: 1024 ** 4
+};
+
+const MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const SIZE_PATTERN = /(?:^|\s)(\d+(?:\.\d+)?)\s*([KMGT]i?B?|B)?(?=\s|$)/i;
+const ISO_DATE_PATTERN = /(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/;
+const DMY_DATE_PATTERN = /(\d{1,2})-([A-Za-z]{3})-(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?/;
+
+// Convert a human readable size ("1.2 MiB", "340K", "1024") to bytes
+export function parseSizeToBytes(sizeText) {
+    if (typeof sizeText === 'number') {
+        return Number.isFinite(sizeText) ? Math.round(sizeText) : null;
+    }
+    if (!sizeText) return null;
+
+    const match = String(sizeText).trim().match(/^(\d+(?:\.\d+)?)\s*([A-Za-z]*)$/);
+    if (!match) return null;
+
+    const unit = (match[2] || 'B').toUpperCase();
+    const multiplier = SIZE_UNITS[unit];
+    if (!multiplier) return null;
+
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Format a byte count the way Myrient listings do ("1.2 MiB"), for sources without listing text
+export function formatListingSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) return null;
+
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+
+    return unitIndex === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+// Convert a listing date ("2024-01-15 12:34", "15-Jan-2024 12:34") to an ISO string.
+// Autoindex pages don't include a timezone, so the value is treated as UTC.
+export function parseListingDate(dateText) {
+    if (!dateText) return null;
+    const text = String(dateText).trim();
+
+    let match = text.match(ISO_DATE_PATTERN);
+    if (match) {
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return toIsoString(+year, +month - 1, +day, +hours, +minutes, +(seconds || 0));
+    }
+
+    match = text.match(DMY_DATE_PATTERN);
+    if (match) {
+        const [, day, monthName, year, hours, minutes, seconds] = match;
+        const month = MONTHS[monthName.toLowerCase()];
+        if (month === undefined) return null;
+        return toIsoString(+year, month, +day, +hours, +minutes, +(seconds || 0));
+    }
+
+    return null;
+}
+
+function toIsoString(year, month, day, hours, minutes, seconds) {
+    const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Pull the raw date and size strings out of the text that follows a link
+// (either the remaining table cells or the rest of a <pre> line)
+export function extractListingMetadata(metaText) {
+    const text = (metaText || '').replace(/\s+/g, ' ').trim();
+    let remaining = text;
+    let date = null;
+
+    const dateMatch = text.match(ISO_DATE_PATTERN) || text.match(DMY_DATE_PATTERN);
+    if (dateMatch) {
+        date = dateMatch[0];
+        remaining = text.replace(dateMatch[0], ' ');
+    }
+
+    const sizeMatch = remaining.match(SIZE_PATTERN);
+    const size = sizeMatch ? sizeMatch[0].trim() : null;
+
+    return { date, size };
+}
+
+// Decode a single path segment without throwing on malformed escapes
+function safeDecode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+// Build typed directory/file entries from raw listing rows.
+// Each row is { text, href, meta } where meta holds the text after the link.
+export function buildListingEntries(rows, pageUrl) {
+    const base = new URL(pageUrl);
+    if (!base.pathname.endsWith('/')) {
+        base.pathname += '/';
+    }
+
+    const directories = [];
+    const files = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+        if (!row.href || !row.text) continue;
+
+        const text = row.text.trim();
+        if (
+            row.href.startsWith('?') ||
+            row.href.startsWith('#') ||
+            text.toLowerCase().startsWith('parent directory') ||
+            text === '../' || text === '..'
+        ) {
+            continue;
+        }
+
+        let resolved;
+        try {
+            resolved = new URL(row.href, base);
+        } catch (error) {
+            continue;
+        }
+
+        // Only keep direct children of the listed directory
+        if (resolved.origin !== base.origin || !resolved.pathname.startsWith(base.pathname)) {
+            continue;
+        }
+        const relative = resolved.pathname.slice(base.pathname.length);
+        const isDirectory = relative.endsWith('/');
+        const segment = isDirectory ? relative.slice(0, -1) : relative;
+        if (!segment || segment.includes('/') || seen.has(segment)) {
+            continue;
+        }
+        seen.add(segment);
+
+        // Autoindex pages truncate long link text, so prefer the name from the href
+        const name = safeDecode(segment);
+        const { date, size } = extractListingMetadata(row.meta);
+        const entry = {
+            name,
+            url: resolved.href,
+            date,
+            modifiedAt: parseListingDate(date)
+        };
+
+        if (isDirectory) {
+            directories.push({ type: 'directory', ...entry });
+        } else {
+            files.push({
+                type: 'file',
+                ...entry,
+                size,
+                sizeBytes: parseSizeToBytes(size)
+            });
+        }
+    }
+
+    return { directories, files };
+}
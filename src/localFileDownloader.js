@@ -0,0 +1,147 @@
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { resolveLocalPath, parseLocalRoots } from './sources/localSource.js';
+import { ProgressTracker } from './progressTracker.js';
+import { PartialDownload } from './partialDownload.js';
+import { Checksums } from './integrity.js';
+import { resolveWithin } from './fileNames.js';
+import { DownloadCancelledError, MissingDownloadUrlError, classifyError } from './downloadErrors.js';
+
+/**
+ * Local file downloader - "downloads" file:// URLs from a mounted share by streaming
+ * a copy into the downloads directory. Exposes the same interface and fileProgress
+ * events as NativeCurlDownloader so the queue and organizer treat both alike.
+ */
+export class LocalFileDownloader {
+    constructor(options = {}) {
+        this.downloadDir = options.downloadDir || './downloads';
+        this.progressCallback = options.progressCallback;
+        this.roots = options.roots || parseLocalRoots();
+        this.progressInterval = options.progressInterval;
+        this.activeDownloads = new Map();
+        this.cancelledDownloads = new Set();
+    }
+
+    async init() {
+        await fs.ensureDir(this.downloadDir);
+    }
+
+    async downloadRom(rom) {
+        console.log(`📂 Starting local copy: ${rom.name}`);
+
+        if (!rom.downloadUrl) {
+            throw new MissingDownloadUrlError(rom.name);
+        }
+
+        try {
+            const sourcePath = await resolveLocalPath(rom.downloadUrl, this.roots);
+            const filepath = resolveWithin(this.downloadDir, rom.name);
+
+            console.log(`📍 Source: ${sourcePath}`);
+            console.log(`📁 File: ${filepath}`);
+
+            const partial = new PartialDownload(filepath);
+            const finalPath = await this.copyFile(sourcePath, partial, rom.name);
+
+            // Hashes of the verified copy, kept on the download history
+            rom.checksums = partial.checksums;
+            return finalPath;
+        } finally {
+            // The cancel flag only applies to this copy
+            this.clearCancelledStatus(rom.name);
+        }
+    }
+
+    emitProgress(romName, data) {
+        if (!this.progressCallback) return;
+
+        this.progressCallback({
+            type: 'fileProgress',
+            romName: romName,
+            filename: romName,
+            ...data
+        });
+    }
+
+    // Copy to the .part file (a copy can't be resumed, so any earlier one is dropped) and
+    // rename it into place once verified
+    async copyFile(sourcePath, partial, romName) {
+        const { size: totalBytes } = await fs.stat(sourcePath);
+        const startTime = Date.now();
+        const checksums = new Checksums();
+        await partial.discard();
+        const tracker = new ProgressTracker((data) => this.emitProgress(romName, data), {
+            label: romName,
+            totalBytes,
+            interval: this.progressInterval
+        });
+
+        const readStream = fs.createReadStream(sourcePath);
+        const writeStream = fs.createWriteStream(partial.partPath);
+
+        // Track this copy for cancellation
+        this.activeDownloads.set(romName, { readStream, writeStream, filepath: partial.partPath, startTime });
+
+        tracker.start();
+
+        try {
+            await pipeline(readStream, tracker.counter(), checksums.stream(), writeStream);
+        } catch (error) {
+            await partial.discard().catch(() => {});
+            if (this.isDownloadCancelled(romName)) {
+                throw new DownloadCancelledError(romName);
+            }
+            const failure = classifyError(error);
+            failure.message = `Local copy failed: ${failure.message}`;
+            throw failure;
+        } finally {
+            this.activeDownloads.delete(romName);
+        }
+
+        if (this.isDownloadCancelled(romName)) {
+            await partial.discard().catch(() => {});
+            throw new DownloadCancelledError(romName);
+        }
+
+        let filepath;
+        try {
+            filepath = await partial.finalize({ checksums, expectedBytes: totalBytes });
+        } catch (error) {
+            await partial.discard().catch(() => {});
+            throw classifyError(error);
+        }
+
+        const { downloadedBytes } = tracker.complete();
+        const elapsed = (Date.now() - startTime) / 1000;
+
+        console.log(`✅ Copy complete: ${(downloadedBytes / 1024 / 1024).toFixed(2)} MB in ${elapsed.toFixed(2)}s`);
+
+        return filepath;
+    }
+
+    // Cancel a specific copy
+    cancelDownload(romName) {
+        console.log(`🚫 Cancelling local copy: ${romName}`);
+        this.cancelledDownloads.add(romName);
+
+        const copyInfo = this.activeDownloads.get(romName);
+        if (copyInfo) {
+            copyInfo.readStream.destroy(new DownloadCancelledError(romName));
+            this.activeDownloads.delete(romName);
+        }
+    }
+
+    isDownloadCancelled(romName) {
+        return this.cancelledDownloads.has(romName);
+    }
+
+    clearCancelledStatus(romName) {
+        this.cancelledDownloads.delete(romName);
+    }
+
+    async close() {
+        for (const romName of this.activeDownloads.keys()) {
+            this.cancelDownload(romName);
+        }
+    }
+}
@@ -1,6 +1,16 @@
 import { spawn } from 'child_process';
 import fs from 'fs-extra';
-import path from 'path';
+import { pipeline } from 'stream/promises';
+import { SegmentedDownloader } from './segmentedDownloader.js';
+import { bandwidthLimiter } from './bandwidthLimiter.js';
+import { PartialDownload } from './partialDownload.js';
+import { ProgressTracker } from './progressTracker.js';
+import { Checksums } from './integrity.js';
+import { proxyResolver, curlProxyArgs, curlProxyConfig, describeProxy } from './proxy.js';
+import { spawnCurl } from './curlConfig.js';
+import { requestProfiles } from './requestProfiles.js';
+import { resolveWithin } from './fileNames.js';
+import { DownloadError, DownloadCancelledError, MissingDownloadUrlError, curlExitError, classifyError } from './downloadErrors.js';
 
 /**
  * Native curl downloader - uses actual curl binary for maximum speed
@@ -10,8 +20,18 @@ export class NativeCurlDownloader {
     constructor(options = {}) {
         this.downloadDir = options.downloadDir || './downloads';
         this.progressCallback = options.progressCallback;
+        this.curlVersion = null;
         this.activeDownloads = new Map();
         this.cancelledDownloads = new Set();
+
+        // Shared cap on the combined rate of every transfer
+        this.bandwidthLimiter = options.bandwidthLimiter || bandwidthLimiter;
+
+        // Splits large files into parallel range requests (MAX_CONCURRENT_CHUNKS, CHUNK_SIZE, ...)
+        this.segmentedDownloader = options.segmentedDownloader || new SegmentedDownloader({
+            bandwidthLimiter: this.bandwidthLimiter,
+            ...options.segments
+        });
     }
 
     async init() {
@@ -20,20 +40,24 @@ export class NativeCurlDownloader {
         
         // Check if curl is available
         try {
-            await this.checkCurlAvailable();
-            console.log('✅ curl binary found and ready');
+            this.curlVersion = await this.checkCurlAvailable();
+            console.log(`✅ curl binary found and ready (${this.curlVersion})`);
         } catch (error) {
             throw new Error('curl binary not found. Please install curl.');
         }
     }
 
-    // Check if curl is available
+    // Check if curl is available; resolves with its version, e.g. 'curl 8.5.0'
     checkCurlAvailable() {
         return new Promise((resolve, reject) => {
             const curl = spawn('curl', ['--version']);
+            let output = '';
+            curl.stdout.on('data', (data) => {
+                output += data.toString();
+            });
             curl.on('close', (code) => {
                 if (code === 0) {
-                    resolve();
+                    resolve(output.split(' ').slice(0, 2).join(' ').trim());
                 } else {
                     reject(new Error('curl not available'));
                 }
@@ -47,20 +71,67 @@ export class NativeCurlDownloader {
         console.log(`🚀 Starting native curl download: ${rom.name}`);
 
         if (!rom.downloadUrl) {
-            throw new Error(`Cannot download ROM without downloadUrl: ${rom.name}`);
+            throw new MissingDownloadUrlError(rom.name);
         }
 
-        const filename = rom.name;
-        const filepath = path.join(this.downloadDir, filename);
-        
-        console.log(`📍 URL: ${rom.downloadUrl}`);
-        console.log(`📁 File: ${filepath}`);
+        try {
+            const filename = rom.name;
+            const filepath = resolveWithin(this.downloadDir, filename);
+
+            console.log(`📍 URL: ${rom.downloadUrl}`);
+            console.log(`📁 File: ${filepath}`);
+
+            const fileInfo = await this.getFileInfo(rom.downloadUrl);
+            this.throwIfCancelled(rom.name);
+
+            // Data goes to <file>.part and survives cancels, failures and restarts until it is complete
+            const partial = new PartialDownload(filepath);
+            const finalPath = await this.downloadToPartial(rom, partial, fileInfo);
+
+            // Hashes of the verified file, kept on the download history
+            rom.checksums = partial.checksums;
+            return finalPath;
+        } finally {
+            // However it ended, a cancel doesn't carry over to the next download of this name
+            this.clearCancelledStatus(rom.name);
+        }
+    }
+
+    // Fetch the data into the .part file (segmented when the file is large enough) and move it into place
+    async downloadToPartial(rom, partial, fileInfo) {
+        if (this.segmentedDownloader.shouldSegment(fileInfo) &&
+            await this.segmentedDownloader.supportsRanges(rom.downloadUrl, fileInfo)) {
+            await partial.prepare(rom.downloadUrl, fileInfo, {
+                mode: 'segmented',
+                chunkSize: this.segmentedDownloader.chunkSize
+            });
+            this.throwIfCancelled(rom.name);
+
+            try {
+                return await this.segmentedDownload(rom.downloadUrl, partial, rom.name, fileInfo.totalBytes);
+            } catch (error) {
+                if (!error.rangeUnsupported || this.isDownloadCancelled(rom.name)) {
+                    throw error;
+                }
+                console.log(`⚠️ ${error.message} - falling back to a single stream`);
+                await partial.discard();
+            }
+        }
+
+        await partial.prepare(rom.downloadUrl, fileInfo, { mode: 'stream' });
+        this.throwIfCancelled(rom.name);
 
-        return this.nativeCurlDownload(rom.downloadUrl, filepath, rom.name);
+        // A previous attempt may have finished the data but not the rename
+        if (fileInfo.totalBytes > 0 && partial.meta.resumedBytes >= fileInfo.totalBytes) {
+            console.log(`✅ Partial download already complete: ${rom.name}`);
+            return partial.finalize();
+        }
+
+        return this.nativeCurlDownload(rom.downloadUrl, partial, rom.name, fileInfo.totalBytes);
     }
 
-    // Get file size using curl HEAD request
-    async getFileSize(url) {
+    // Get file size and range support using curl HEAD request
+    async getFileInfo(url) {
         return new Promise((resolve, reject) => {
             console.log(`🔍 Getting file size for: ${url}`);
 
@@ -80,7 +151,12 @@ export class NativeCurlDownloader {
 
             console.log(`🌐 Executing HEAD request: curl ${curlArgs.join(' ')}`);
 
-            const curl = spawn('curl', curlArgs);
+            // Proxy and request profile arguments are left out of the log line since they can carry credentials
+            const proxy = proxyResolver.forUrl(url);
+            const curl = spawnCurl(
+                [...curlArgs, ...curlProxyArgs(proxy), ...requestProfiles.curlArgs(url)],
+                [...curlProxyConfig(proxy), ...requestProfiles.curlConfig(url)]
+            );
             let outputBuffer = '';
             let errorBuffer = '';
 
@@ -96,21 +172,45 @@ export class NativeCurlDownloader {
                 if (code !== 0) {
                     console.log(`⚠️ HEAD request failed (code ${code}), will proceed without size info`);
                     console.log(`⚠️ Error: ${errorBuffer.trim()}`);
-                    return resolve(0);
+                    // 22 is an HTTP error (e.g. HEAD not allowed); anything else means we never reached the server
+                    return resolve({ totalBytes: 0, acceptRanges: null, etag: null, lastModified: null, unreachable: code !== 22 });
                 }
 
-                // Parse the headers from the output
+                // Parse the headers from the output (the last block is the final response after redirects)
                 const lines = outputBuffer.split('\n');
                 let contentLength = 0;
+                let acceptRanges = null;
+                let etag = null;
+                let lastModified = null;
 
                 for (const line of lines) {
-                    const lowerLine = line.toLowerCase();
-                    if (lowerLine.startsWith('content-length:')) {
-                        const match = line.match(/content-length:\s*(\d+)/i);
-                        if (match) {
-                            contentLength = parseInt(match[1]);
-                            break;
-                        }
+                    if (/^HTTP\//i.test(line)) {
+                        contentLength = 0;
+                        acceptRanges = null;
+                        etag = null;
+                        lastModified = null;
+                        continue;
+                    }
+
+                    // Validators used to check a partial download still matches the remote file
+                    const etagMatch = line.match(/^etag:\s*(.+?)\s*$/i);
+                    if (etagMatch) {
+                        etag = etagMatch[1];
+                    }
+
+                    const modifiedMatch = line.match(/^last-modified:\s*(.+?)\s*$/i);
+                    if (modifiedMatch) {
+                        lastModified = modifiedMatch[1];
+                    }
+
+                    const lengthMatch = line.match(/^content-length:\s*(\d+)/i);
+                    if (lengthMatch) {
+                        contentLength = parseInt(lengthMatch[1]);
+                    }
+
+                    const rangesMatch = line.match(/^accept-ranges:\s*(\S+)/i);
+                    if (rangesMatch) {
+                        acceptRanges = rangesMatch[1].toLowerCase();
                     }
                 }
 
@@ -120,28 +220,88 @@ export class NativeCurlDownloader {
                     console.log(`⚠️ No Content-Length header found in HEAD response`);
                 }
 
-                resolve(contentLength);
+                resolve({ totalBytes: contentLength, acceptRanges, etag, lastModified });
             });
 
             curl.on('error', (error) => {
                 console.log(`⚠️ HEAD request error, will proceed without size info:`, error.message);
-                resolve(0);
+                resolve({ totalBytes: 0, acceptRanges: null, etag: null, lastModified: null, unreachable: true });
+            });
+        });
+    }
+
+    // Download a large file as parallel range requests, reporting progress like the single-stream path.
+    // Segments already recorded in the sidecar are skipped, so an interrupted download picks up where it left off.
+    async segmentedDownload(url, partial, romName, totalBytes) {
+        const startTime = Date.now();
+        const resumedBytes = partial.meta.resumedBytes;
+        const job = { processes: new Set(), filepath: partial.partPath, startTime };
+        const tracker = new ProgressTracker((data) => this.emitProgress(romName, data), {
+            label: romName,
+            totalBytes,
+            resumedBytes
+        });
+
+        // Track this download for cancellation
+        this.activeDownloads.set(romName, job);
+
+        tracker.start();
+
+        try {
+            await this.segmentedDownloader.download(url, partial.partPath, totalBytes, job, {
+                completedSegments: partial.meta.completedSegments,
+                onSegmentComplete: (index) => partial.markSegmentComplete(index),
+                isCancelled: () => this.isDownloadCancelled(romName),
+                onProgress: (downloadedBytes, activeSegments) => {
+                    tracker.update(downloadedBytes, { chunks: activeSegments });
+                }
             });
+        } catch (error) {
+            // Finished segments stay on disk in the .part file for the next attempt
+            if (this.isDownloadCancelled(romName)) {
+                throw new DownloadCancelledError(romName);
+            }
+            throw error;
+        } finally {
+            this.activeDownloads.delete(romName);
+        }
+
+        const filepath = await partial.finalize();
+
+        tracker.update(totalBytes);
+        const { averageSpeed } = tracker.complete();
+        const elapsed = (Date.now() - startTime) / 1000;
+
+        console.log(`✅ Download complete: ${(totalBytes / 1024 / 1024).toFixed(2)} MB in ${elapsed.toFixed(2)}s`);
+        console.log(`🚀 Average speed: ${(averageSpeed / 1024 / 1024).toFixed(2)} MB/s`);
+
+        return filepath;
+    }
+
+    emitProgress(romName, data) {
+        if (!this.progressCallback) return;
+
+        this.progressCallback({
+            type: 'fileProgress',
+            romName: romName,
+            filename: romName,
+            ...data
         });
     }
 
-    // Native curl download implementation
-    nativeCurlDownload(url, filepath, romName) {
+    // Native curl download implementation. curl's output is piped through the bandwidth limiter
+    // and appended to the .part file, resuming from whatever is already there; the file is only
+    // moved into place once complete. Progress counts the bytes as they are written.
+    nativeCurlDownload(url, partial, romName, knownTotalBytes = null) {
         return new Promise(async (resolve, reject) => {
             const startTime = Date.now();
-            let downloadedBytes = 0;
+            const filepath = partial.partPath;
+            const resumedBytes = partial.meta?.resumedBytes || 0;
             let totalBytes = 0;
-            let lastProgressTime = startTime;
-            let lastProgressBytes = 0;
 
             try {
-                // First, try to get file size with HEAD request
-                totalBytes = await this.getFileSize(url);
+                // First, try to get file size with HEAD request (unless the caller already did)
+                totalBytes = knownTotalBytes ?? (await this.getFileInfo(url)).totalBytes;
                 if (totalBytes > 0) {
                     console.log(`✅ Pre-download file size detected: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
                 }
@@ -149,30 +309,61 @@ export class NativeCurlDownloader {
                 console.log(`⚠️ Could not get file size, proceeding with download:`, error.message);
             }
 
-            // Curl arguments for maximum speed and compatibility
+            const tracker = new ProgressTracker((data) => this.emitProgress(romName, data), {
+                label: romName,
+                totalBytes,
+                resumedBytes
+            });
+
+            // Hash while writing; data kept from an earlier attempt is hashed first
+            const checksums = new Checksums();
+            try {
+                await checksums.updateFromFile(filepath, resumedBytes);
+            } catch (error) {
+                console.log(`⚠️ Could not hash partial data, will hash the finished file instead:`, error.message);
+            }
+
+            // Curl arguments for maximum speed and compatibility. Failed attempts are retried
+            // by the queue (resuming from the .part file), not by curl, which can't rewind stdout.
             const curlArgs = [
                 url,                           // URL to download
-                '-o', filepath,                // Output file
+                '-o', '-',                     // Write to stdout, through the bandwidth limiter
                 '-L',                          // Follow redirects
-                '-C', '-',                     // Resume partial downloads
+                ...(resumedBytes > 0 ? ['-C', String(resumedBytes)] : []), // Resume partial downloads
                 '--max-redirs', '10',          // Max redirects
                 '--connect-timeout', '30',     // Connection timeout
                 '--max-time', '3600',          // Max total time (1 hour)
-                '--retry', '3',                // Retry on failure
-                '--retry-delay', '1',          // Delay between retries
                 '--user-agent', 'curl/8.0.0', // User agent
-                '--compressed',                // Accept compression
                 '--location-trusted',          // Trust redirects
                 '--fail',                      // Fail on HTTP errors
                 '--show-error',                // Show errors
-                '--silent',                    // Silent mode (no progress bar)
-                '--write-out', '%{size_download}\\n%{speed_download}\\n%{time_total}\\n%{size_header}\\n' // Output stats including content-length
+                '--silent'                     // Silent mode (no progress bar)
             ];
 
             console.log(`🌐 Executing: curl ${curlArgs.join(' ')}`);
 
-            // Spawn curl process
-            const curl = spawn('curl', curlArgs);
+            const proxy = proxyResolver.forUrl(url);
+            if (proxy) {
+                console.log(`🧭 Via proxy ${describeProxy(proxy).server}`);
+            }
+
+            // Spawn curl process (proxy and request profile arguments stay out of the log line above)
+            const curl = spawnCurl(
+                [...curlArgs, ...curlProxyArgs(proxy), ...requestProfiles.curlArgs(url)],
+                [...curlProxyConfig(proxy), ...requestProfiles.curlConfig(url)]
+            );
+
+            // Append to the partial data; the limiter applies backpressure, which slows curl down
+            let writeError = null;
+            const written = pipeline(
+                curl.stdout,
+                this.bandwidthLimiter.throttle(),
+                tracker.counter(),
+                checksums.stream(),
+                fs.createWriteStream(filepath, { flags: resumedBytes > 0 ? 'a' : 'w' })
+            ).catch((error) => {
+                writeError = error;
+            });
 
             // Track this download for cancellation
             this.activeDownloads.set(romName, {
@@ -182,147 +373,62 @@ export class NativeCurlDownloader {
             });
 
             // Initial progress callback to show total bytes immediately
-            if (this.progressCallback) {
-                this.progressCallback({
-                    type: 'fileProgress',
-                    romName: romName,
-                    filename: romName,
-                    progress: 0,
-                    downloadedBytes: 0,
-                    totalBytes: totalBytes > 0 ? totalBytes : null,
-                    status: 'downloading',
-                    currentSpeed: 0,
-                    averageSpeed: 0,
-                    overallAverageSpeed: 0
-                });
-            }
+            tracker.start();
 
-            let outputBuffer = '';
-
-            // Handle curl output (stats)
-            curl.stdout.on('data', (data) => {
-                outputBuffer += data.toString();
-            });
+            let errorBuffer = '';
 
             // Handle curl errors
             curl.stderr.on('data', (data) => {
-                const errorText = data.toString();
-                console.log(`📊 curl progress: ${errorText.trim()}`);
+                errorBuffer += data.toString();
             });
 
             // Handle curl completion
-            curl.on('close', (code) => {
+            curl.on('close', async (code) => {
+                await written;
                 this.activeDownloads.delete(romName);
 
+                // The .part file is kept so the next attempt resumes from it
                 if (this.isDownloadCancelled(romName)) {
-                    // Clean up partial file
-                    fs.unlink(filepath).catch(() => {});
-                    return reject(new Error(`Download cancelled: ${romName}`));
+                    return reject(new DownloadCancelledError(romName));
                 }
 
-                if (code !== 0) {
-                    // Clean up partial file on error
-                    fs.unlink(filepath).catch(() => {});
-                    return reject(new Error(`curl failed with exit code ${code}`));
+                // Checked first: a failed write (e.g. the disk filled up) closes curl's stdout, so curl
+                // exits with a write error too, which would hide ENOSPC from the space pause
+                if (writeError) {
+                    return reject(classifyError(writeError));
                 }
 
-                // Parse curl output stats
-                const lines = outputBuffer.trim().split('\n');
-                const sizeDownloaded = parseInt(lines[0]) || 0;
-                const speedDownload = parseFloat(lines[1]) || 0;
-                const timeTotal = parseFloat(lines[2]) || 0;
-                const sizeHeader = parseInt(lines[3]) || 0; // Content-Length from headers
-
-                // Use HEAD request size, or fall back to Content-Length from GET request
-                if (totalBytes <= 0 && sizeHeader > 0) {
-                    totalBytes = sizeHeader;
-                    console.log(`📊 HEAD request failed, using Content-Length from GET request: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+                if (code !== 0) {
+                    // 33/36: the server refused to resume - start from scratch next time
+                    if (code === 33 || code === 36) {
+                        console.log(`🗑️ Server cannot resume ${romName} - discarding partial download`);
+                        await partial.discard().catch(() => {});
+                    }
+                    return reject(curlExitError(code, errorBuffer));
                 }
 
-                const speedMBps = speedDownload / (1024 * 1024);
-
-                console.log(`✅ Download complete: ${(sizeDownloaded / 1024 / 1024).toFixed(2)} MB in ${timeTotal.toFixed(2)}s`);
-                console.log(`🚀 Average speed: ${speedMBps.toFixed(2)} MB/s`);
-
-                // Final progress callback
-                if (this.progressCallback) {
-                    this.progressCallback({
-                        type: 'fileProgress',
-                        romName: romName,
-                        filename: romName,
-                        progress: 100,
-                        downloadedBytes: sizeDownloaded,
-                        totalBytes: totalBytes > 0 ? totalBytes : sizeDownloaded,
-                        status: 'complete',
-                        currentSpeed: speedDownload,
-                        averageSpeed: speedDownload,
-                        overallAverageSpeed: speedDownload
-                    });
+                let finalPath;
+                try {
+                    finalPath = await partial.finalize({ checksums });
+                } catch (error) {
+                    console.error(`❌ Could not verify or move finished download into place: ${error.message}`);
+                    return reject(classifyError(error));
                 }
 
-                resolve(filepath);
+                const { averageSpeed, downloadedBytes } = tracker.complete();
+                const timeTotal = (Date.now() - startTime) / 1000;
+
+                console.log(`✅ Download complete: ${((downloadedBytes - resumedBytes) / 1024 / 1024).toFixed(2)} MB in ${timeTotal.toFixed(2)}s`);
+                console.log(`🚀 Average speed: ${(averageSpeed / 1024 / 1024).toFixed(2)} MB/s`);
+
+                resolve(finalPath);
             });
 
             // Handle curl process errors
             curl.on('error', (error) => {
                 this.activeDownloads.delete(romName);
-                fs.unlink(filepath).catch(() => {});
-                reject(new Error(`curl process error: ${error.message}`));
+                reject(new DownloadError(`curl process error: ${error.message}`, { retryable: false, cause: error }));
             });
-
-            // Monitor file size for progress (optional)
-            if (this.progressCallback) {
-                const progressInterval = setInterval(async () => {
-                    if (this.isDownloadCancelled(romName)) {
-                        clearInterval(progressInterval);
-                        return;
-                    }
-
-                    try {
-                        const stats = await fs.stat(filepath);
-                        const currentBytes = stats.size;
-                        const now = Date.now();
-                        const timeDiff = (now - lastProgressTime) / 1000;
-
-                        if (timeDiff >= 2 && currentBytes > lastProgressBytes) {
-                            const bytesDiff = currentBytes - lastProgressBytes;
-                            const currentSpeed = bytesDiff / timeDiff;
-                            const overallSpeed = currentBytes / ((now - startTime) / 1000);
-
-                            console.log(`📊 Progress: ${(currentBytes / 1024 / 1024).toFixed(1)} MB | Speed: ${(currentSpeed / 1024 / 1024).toFixed(2)} MB/s`);
-
-                            // Calculate progress percentage if we have total bytes
-                            let progressPercentage = 50; // Default indeterminate
-                            if (totalBytes > 0) {
-                                progressPercentage = Math.min(99, Math.round((currentBytes / totalBytes) * 100));
-                            }
-
-                            this.progressCallback({
-                                type: 'fileProgress',
-                                romName: romName,
-                                filename: romName,
-                                progress: progressPercentage,
-                                downloadedBytes: currentBytes,
-                                totalBytes: totalBytes > 0 ? totalBytes : null,
-                                status: 'downloading',
-                                currentSpeed: currentSpeed,
-                                averageSpeed: overallSpeed,
-                                overallAverageSpeed: overallSpeed
-                            });
-
-                            lastProgressTime = now;
-                            lastProgressBytes = currentBytes;
-                        }
-                    } catch (error) {
-                        // File doesn't exist yet or other error, ignore
-                    }
-                }, 2000);
-
-                // Clean up interval when download completes
-                curl.on('close', () => {
-                    clearInterval(progressInterval);
-                });
-            }
         });
     }
 
@@ -336,16 +442,26 @@ export class NativeCurlDownloader {
             if (downloadInfo.process) {
                 downloadInfo.process.kill('SIGTERM');
             }
-            
-            // Clean up partial file
-            if (downloadInfo.filepath) {
-                fs.unlink(downloadInfo.filepath).catch(() => {});
+
+            // Segmented downloads run one curl per active range
+            if (downloadInfo.processes) {
+                for (const child of downloadInfo.processes) {
+                    child.kill('SIGTERM');
+                }
             }
-            
+
+            // The partial file stays on disk so a retry can resume it
             this.activeDownloads.delete(romName);
         }
     }
 
+    // Stop before starting a transfer that was cancelled (or paused) while we were probing the server
+    throwIfCancelled(romName) {
+        if (this.isDownloadCancelled(romName)) {
+            throw new DownloadCancelledError(romName);
+        }
+    }
+
     // Check if a download is cancelled
     isDownloadCancelled(romName) {
         return this.cancelledDownloads.has(romName);
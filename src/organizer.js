@@ -3,12 +3,13 @@ import path from 'path';
 import yaml from 'js-yaml';
 import yauzl from 'yauzl';
 import { fileURLToPath } from 'url';
+import { sanitizeFileName, resolveWithin } from './fileNames.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '../config');
-const ORGANIZED_DIR = process.env.ORGANIZED_DIR || path.join(__dirname, '../organized');
+export const ORGANIZED_DIR = process.env.ORGANIZED_DIR || path.join(__dirname, '../organized');
 const RULESETS_FILE = path.join(CONFIG_DIR, 'rulesets.yaml');
 
 export class RomOrganizer {
@@ -81,7 +82,15 @@ export class RomOrganizer {
         return rulesets.find(ruleset => ruleset.name === name);
     }
 
+    // A ruleset may only move files somewhere under the organized directory
+    validateRuleset(ruleset) {
+        if (ruleset.move) {
+            resolveWithin(ORGANIZED_DIR, ruleset.move);
+        }
+    }
+
     async addRuleset(ruleset) {
+        this.validateRuleset(ruleset);
         const config = await this.loadRulesets();
         
         // Check if ruleset with same name already exists
@@ -95,6 +104,7 @@ export class RomOrganizer {
     }
 
     async updateRuleset(name, updatedRuleset) {
+        this.validateRuleset(updatedRuleset);
         const config = await this.loadRulesets();
         const index = config.rulesets.findIndex(r => r.name === name);
         
@@ -266,8 +276,8 @@ export class RomOrganizer {
 
             // Step 2: Move and rename files
             if (ruleset.move) {
-                const baseRomsDir = path.resolve(ORGANIZED_DIR);
-                const moveDir = path.resolve(baseRomsDir, ruleset.move);
+                // rulesets.yaml can be edited by hand, so check again before moving anything
+                const moveDir = resolveWithin(ORGANIZED_DIR, ruleset.move);
                 await fs.ensureDir(moveDir);
 
                 for (const filePath of filesToProcess) {
@@ -289,7 +299,9 @@ export class RomOrganizer {
                         }
                     }
 
-                    const newFilePath = path.join(moveDir, newFileName);
+                    // The template can't add directories or reserved characters to the name
+                    newFileName = sanitizeFileName(newFileName) || fileName;
+                    const newFilePath = resolveWithin(moveDir, newFileName);
 
                     console.log(`📁 Moving ${fileName} to ${newFilePath}`);
                     await fs.move(filePath, newFilePath, { overwrite: true });
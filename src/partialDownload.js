@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { NetworkError } from './downloadErrors.js';
+import { verifyDownload } from './integrity.js';
+
+export const PART_EXTENSION = '.part';
+const SIDECAR_EXTENSION = '.part.json';
+
+// True for the .part/.part.json files that belong to an unfinished download
+export function isPartialFile(filename) {
+    return filename.endsWith(PART_EXTENSION) || filename.endsWith(SIDECAR_EXTENSION);
+}
+
+/**
+ * Partial download - data is written to "<file>.part" and only renamed into place once
+ * complete. A "<file>.part.json" sidecar records where the data came from (URL, expected
+ * size, ETag/Last-Modified) so a later attempt can resume it, or throw it away when the
+ * remote file has changed in the meantime.
+ */
+export class PartialDownload {
+    constructor(filepath) {
+        this.filepath = filepath;
+        this.partPath = filepath + PART_EXTENSION;
+        this.sidecarPath = filepath + SIDECAR_EXTENSION;
+        this.meta = null;
+        this.checksums = null;
+        this.saving = Promise.resolve();
+    }
+
+    async loadSidecar() {
+        try {
+            return await fs.readJson(this.sidecarPath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Why an existing partial can't be resumed, or null if it can
+    mismatchReason(meta, url, fileInfo, options) {
+        if (meta.url !== url) return 'download URL changed';
+        if (meta.mode !== options.mode) return `previous attempt used ${meta.mode} mode`;
+        if (options.mode === 'segmented' && meta.chunkSize !== options.chunkSize) return 'chunk size changed';
+        if (meta.totalBytes && fileInfo.totalBytes && meta.totalBytes !== fileInfo.totalBytes) return 'remote size changed';
+        if (meta.etag && fileInfo.etag && meta.etag !== fileInfo.etag) return 'remote ETag changed';
+        if (meta.lastModified && fileInfo.lastModified && meta.lastModified !== fileInfo.lastModified) return 'remote Last-Modified changed';
+
+        // Without any validator we can't tell whether the remote file changed
+        if (!(meta.etag && fileInfo.etag) && !(meta.lastModified && fileInfo.lastModified) && !(meta.totalBytes && fileInfo.totalBytes)) {
+            return 'no validators to compare';
+        }
+        return null;
+    }
+
+    /**
+     * Resume the existing partial when it still matches the remote file, otherwise start over.
+     * options: { mode: 'stream' | 'segmented', chunkSize }
+     * Returns the sidecar metadata; resumedBytes is how much data is already on disk.
+     */
+    async prepare(url, fileInfo, options = {}) {
+        const existing = await this.loadSidecar();
+        const partExists = await fs.pathExists(this.partPath);
+
+        if (existing && partExists) {
+            // Can't check the remote file right now - keep the data for the next attempt
+            if (fileInfo.unreachable) {
+                throw new NetworkError(`Server unreachable - keeping partial download for the next attempt: ${this.partPath}`);
+            }
+
+            const reason = this.mismatchReason(existing, url, fileInfo, options);
+            if (!reason) {
+                this.meta = existing;
+                this.meta.resumedBytes = await this.resumableBytes();
+                console.log(`⏯️ Resuming partial download: ${(this.meta.resumedBytes / 1024 / 1024).toFixed(2)} MB already on disk`);
+                return this.meta;
+            }
+            console.log(`🗑️ Discarding partial download (${reason}): ${this.partPath}`);
+        }
+
+        await this.discard();
+
+        this.meta = {
+            url,
+            mode: options.mode || 'stream',
+            chunkSize: options.chunkSize || null,
+            totalBytes: fileInfo.totalBytes || null,
+            etag: fileInfo.etag || null,
+            lastModified: fileInfo.lastModified || null,
+            completedSegments: [],
+            startedAt: new Date().toISOString(),
+            resumedBytes: 0
+        };
+        await this.save();
+        return this.meta;
+    }
+
+    // Bytes that don't need fetching again
+    async resumableBytes() {
+        if (this.meta.mode === 'segmented') {
+            const chunkSize = this.meta.chunkSize;
+            return this.meta.completedSegments.reduce((total, index) =>
+                total + Math.min(chunkSize, this.meta.totalBytes - index * chunkSize), 0);
+        }
+
+        const stats = await fs.stat(this.partPath).catch(() => null);
+        return stats ? stats.size : 0;
+    }
+
+    // Record a finished segment; writes are chained so concurrent segments don't interleave
+    markSegmentComplete(index) {
+        if (!this.meta.completedSegments.includes(index)) {
+            this.meta.completedSegments.push(index);
+        }
+        return this.save();
+    }
+
+    save() {
+        this.saving = this.saving.then(() => {
+            const { resumedBytes, ...meta } = this.meta;
+            return fs.writeJson(this.sidecarPath, { ...meta, updatedAt: new Date().toISOString() }, { spaces: 2 });
+        }).catch((error) => {
+            console.warn(`⚠️ Could not write ${this.sidecarPath}: ${error.message}`);
+        });
+        return this.saving;
+    }
+
+    /**
+     * Verify the finished data, then move it into place and drop the sidecar. The size is
+     * checked against options.expectedBytes (or the size recorded when the download started);
+     * options.checksums are the hashes gathered while streaming. A failed check throws
+     * ChecksumMismatchError and leaves the file at its temporary name.
+     */
+    async finalize(options = {}) {
+        await this.saving;
+        this.checksums = await verifyDownload(this.partPath, {
+            expectedBytes: options.expectedBytes ?? this.meta?.totalBytes,
+            checksums: options.checksums,
+            name: path.basename(this.filepath)
+        });
+        await fs.move(this.partPath, this.filepath, { overwrite: true });
+        await fs.remove(this.sidecarPath);
+        return this.filepath;
+    }
+
+    async discard() {
+        await this.saving;
+        await fs.remove(this.partPath);
+        await fs.remove(this.sidecarPath);
+    }
+}
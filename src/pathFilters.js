@@ -0,0 +1,88 @@
+// Include/exclude filters for crawled paths.
+// A pattern written as /expression/flags is a regular expression, anything else is a glob
+// where `*` matches within a path segment, `**` matches across segments and `?` matches one character.
+
+function globToRegExp(glob) {
+    let expression = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` also matches zero directories
+                if (glob[i + 2] === '/') {
+                    expression += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    expression += '.*';
+                    i += 1;
+                }
+            } else {
+                expression += '[^/]*';
+            }
+        } else if (char === '?') {
+            expression += '[^/]';
+        } else {
+            expression += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${expression}$`, 'i');
+}
+
+// Compile a single pattern string into a RegExp
+export function compilePattern(pattern) {
+    const trimmed = String(pattern).trim();
+    const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (error) {
+            throw new Error(`Invalid regular expression filter "${trimmed}": ${error.message}`);
+        }
+    }
+
+    return globToRegExp(trimmed);
+}
+
+// Accept a pattern list as an array or a comma/newline separated string
+function normalizePatterns(patterns) {
+    if (!patterns) return [];
+    const list = Array.isArray(patterns) ? patterns : String(patterns).split(/[,\n]/);
+    return list.map(pattern => String(pattern).trim()).filter(Boolean);
+}
+
+/**
+ * Build a filter from include/exclude pattern lists.
+ * Patterns are tested against both the relative path and the bare name,
+ * so `*.zip` matches files at any depth while `Games/**` targets a subtree.
+ */
+export function createPathFilter({ include, exclude } = {}) {
+    const includePatterns = normalizePatterns(include).map(compilePattern);
+    const excludePatterns = normalizePatterns(exclude).map(compilePattern);
+
+    const matchesAny = (patterns, relativePath, name) =>
+        patterns.some(pattern => pattern.test(relativePath) || pattern.test(name));
+
+    return {
+        isEmpty: includePatterns.length === 0 && excludePatterns.length === 0,
+
+        // Files must match an include pattern (when any are given) and no exclude pattern
+        matchesFile(relativePath, name) {
+            if (matchesAny(excludePatterns, relativePath, name)) {
+                return false;
+            }
+            return includePatterns.length === 0 || matchesAny(includePatterns, relativePath, name);
+        },
+
+        // Directories are only pruned by exclude patterns; includes apply to the files inside
+        allowsDirectory(relativePath, name) {
+            const asDirectory = `${relativePath}/`;
+            return !excludePatterns.some(pattern =>
+                pattern.test(relativePath) || pattern.test(asDirectory) || pattern.test(name)
+            );
+        }
+    };
+}
@@ -0,0 +1,131 @@
+import { Transform } from 'stream';
+
+// Progress reporting shared by the downloaders. Byte counts come from the data as it passes
+// through Node (curl's stdout or the HTTP response), never from stat-ing the file on disk.
+
+// How often a transfer may report progress; the server throttles socket emits on top of this
+const PROGRESS_INTERVAL = parseInt(process.env.DOWNLOAD_PROGRESS_INTERVAL) || 250;
+
+// currentSpeed is averaged over this window so sub-second updates don't make it jump around
+const SPEED_WINDOW = 3000;
+
+const LOG_INTERVAL = 5000;
+
+/**
+ * Turns byte counts for one transfer into fileProgress events. update() can be called for
+ * every chunk; events go out at most once per interval. When the size isn't known, progress
+ * is null and indeterminate is true rather than a made-up percentage.
+ */
+export class ProgressTracker {
+    constructor(emit, options = {}) {
+        this.emit = emit;
+        this.label = options.label || '';
+        this.interval = options.interval || PROGRESS_INTERVAL;
+        this.totalBytes = options.totalBytes || 0;
+        this.resumedBytes = options.resumedBytes || 0;
+        this.downloadedBytes = this.resumedBytes;
+        this.startTime = Date.now();
+        this.lastEmit = 0;
+        this.lastLog = this.startTime;
+        this.samples = [{ time: this.startTime, bytes: this.downloadedBytes }];
+    }
+
+    // The size can turn up late, e.g. from the GET response when HEAD didn't report it
+    setTotal(totalBytes) {
+        this.totalBytes = totalBytes || 0;
+    }
+
+    // Restart the count, e.g. when a server ignores a resume request and sends everything again
+    reset(downloadedBytes = 0) {
+        this.resumedBytes = downloadedBytes;
+        this.downloadedBytes = downloadedBytes;
+        this.startTime = Date.now();
+        this.samples = [{ time: this.startTime, bytes: downloadedBytes }];
+    }
+
+    add(bytes, extra) {
+        this.update(this.downloadedBytes + bytes, extra);
+    }
+
+    update(downloadedBytes, extra = {}) {
+        this.downloadedBytes = downloadedBytes;
+
+        const now = Date.now();
+        if (now - this.lastEmit < this.interval) return;
+        this.lastEmit = now;
+        this.recordSample(now);
+
+        const data = this.snapshot('downloading', extra);
+        if (now - this.lastLog >= LOG_INTERVAL) {
+            this.lastLog = now;
+            const percent = data.indeterminate ? 'size unknown' : `${data.progress}%`;
+            console.log(`📊 Progress${this.label ? ` ${this.label}` : ''}: ${(downloadedBytes / 1024 / 1024).toFixed(1)} MB (${percent}) | Speed: ${(data.currentSpeed / 1024 / 1024).toFixed(2)} MB/s`);
+        }
+        this.emit(data);
+    }
+
+    // Report immediately, e.g. the starting position before any data arrives
+    start(extra = {}) {
+        this.lastEmit = Date.now();
+        this.emit(this.snapshot('downloading', extra));
+    }
+
+    complete(extra = {}) {
+        if (!this.totalBytes) {
+            this.totalBytes = this.downloadedBytes;
+        }
+        const data = this.snapshot('complete', extra);
+        this.emit({ ...data, progress: 100, currentSpeed: data.averageSpeed });
+        return data;
+    }
+
+    recordSample(now) {
+        this.samples.push({ time: now, bytes: this.downloadedBytes });
+        while (this.samples.length > 2 && now - this.samples[1].time >= SPEED_WINDOW) {
+            this.samples.shift();
+        }
+    }
+
+    // Bytes per second over the recent window
+    currentSpeed() {
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+        const elapsed = (last.time - first.time) / 1000;
+        return elapsed > 0 ? (last.bytes - first.bytes) / elapsed : 0;
+    }
+
+    averageSpeed() {
+        const elapsed = (Date.now() - this.startTime) / 1000;
+        return elapsed > 0 ? (this.downloadedBytes - this.resumedBytes) / elapsed : 0;
+    }
+
+    snapshot(status, extra = {}) {
+        const indeterminate = !(this.totalBytes > 0);
+        const currentSpeed = this.currentSpeed();
+        const averageSpeed = this.averageSpeed();
+        const remaining = indeterminate ? 0 : this.totalBytes - this.downloadedBytes;
+
+        return {
+            progress: indeterminate ? null : Math.min(99, Math.floor((this.downloadedBytes / this.totalBytes) * 100)),
+            indeterminate,
+            downloadedBytes: this.downloadedBytes,
+            totalBytes: indeterminate ? null : this.totalBytes,
+            status,
+            currentSpeed,
+            averageSpeed,
+            overallAverageSpeed: averageSpeed,
+            eta: !indeterminate && currentSpeed > 0 ? remaining / currentSpeed : null,
+            ...extra
+        };
+    }
+
+    // Pass-through stream that counts what flows through it
+    counter() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.add(chunk.length);
+                callback(null, chunk);
+            }
+        });
+    }
+}
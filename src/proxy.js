@@ -0,0 +1,260 @@
+// Outbound proxy for scraping and downloading. proxyResolver decides per URL which proxy (if
+// any) a request goes through, and the browser pool, both download backends, HEAD probes and
+// the listing scraper all ask it, so a probe never takes a different route than its download.
+
+import net from 'net';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { curlConfigLine } from './curlConfig.js';
+
+const DEFAULT_PORTS = {
+    'http:': '80',
+    'https:': '443',
+    'socks4:': '1080',
+    'socks4a:': '1080',
+    'socks5:': '1080',
+    'socks5h:': '1080'
+};
+
+// Browsers never send loopback traffic through a proxy; the downloaders follow suit
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+function splitList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Validate a proxy section: { url, username, password, bypass } or just the URL. Credentials
+ * may also be embedded in the URL; bypass is a list or a comma-separated string.
+ * Returns { server, username, password, bypass } with the credentials taken out of server,
+ * or null when no proxy URL is set.
+ */
+export function normalizeProxySettings(settings) {
+    const raw = typeof settings === 'string' ? { url: settings } : (settings || {});
+    if (!raw.url) return null;
+
+    let url;
+    try {
+        url = new URL(raw.url);
+    } catch (error) {
+        throw new Error(`Invalid proxy URL: ${raw.url}`);
+    }
+    if (!DEFAULT_PORTS[url.protocol]) {
+        throw new Error(`Unsupported proxy protocol '${url.protocol}' (expected http, https, socks4 or socks5)`);
+    }
+
+    const username = raw.username || decodeURIComponent(url.username);
+    const password = raw.password || decodeURIComponent(url.password);
+
+    return {
+        server: `${url.protocol}//${url.hostname}:${url.port || DEFAULT_PORTS[url.protocol]}`,
+        username: username || null,
+        password: password || null,
+        bypass: splitList(raw.bypass)
+    };
+}
+
+// HTTPS_PROXY / HTTP_PROXY / ALL_PROXY with NO_PROXY, for when settings.yaml sets no proxy
+export function proxyFromEnvironment(env = process.env) {
+    const url = env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy;
+    return url ? { url, bypass: env.NO_PROXY || env.no_proxy } : null;
+}
+
+function isLoopback(hostname) {
+    return LOOPBACK_HOSTS.includes(hostname) || /^127\./.test(hostname);
+}
+
+// NO_PROXY-style bypass entries: '*', hosts ('example.com' also covers its subdomains, as does
+// '.example.com'), host:port, CIDR ranges ('10.0.0.0/8') and '<local>' for dotless hostnames
+export function matchesBypass(target, bypass = []) {
+    const url = target instanceof URL ? target : new URL(target);
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const port = url.port || DEFAULT_PORTS[url.protocol];
+
+    return bypass.some((entry) => {
+        if (entry === '*') return true;
+        if (entry === '<local>') return !hostname.includes('.') && !hostname.includes(':');
+
+        if (entry.includes('/')) {
+            const [base, prefix] = entry.split('/');
+            const family = net.isIPv6(base) ? 'ipv6' : 'ipv4';
+            if (net.isIP(hostname) !== net.isIP(base)) return false;
+            try {
+                const range = new net.BlockList();
+                range.addSubnet(base, parseInt(prefix), family);
+                return range.check(hostname, family);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        // A single colon separates a port; more than one means a bare IPv6 address
+        const portMatch = entry.match(/^([^:]+):(\d+)$/);
+        const pattern = (portMatch ? portMatch[1] : entry).replace(/^\[|\]$/g, '').replace(/^\*?\./, '');
+        if (portMatch && portMatch[2] !== port) return false;
+
+        return hostname === pattern || hostname.endsWith(`.${pattern}`);
+    });
+}
+
+// Redacted form for logs and API responses
+export function describeProxy(proxy) {
+    return proxy && {
+        server: proxy.server,
+        username: proxy.username,
+        hasPassword: Boolean(proxy.password),
+        bypass: proxy.bypass
+    };
+}
+
+// A proxy section as stored, without its password (including one embedded in the URL)
+export function redactProxySettings(settings) {
+    if (!settings || (typeof settings !== 'object' && typeof settings !== 'string')) return settings;
+
+    const { password, ...rest } = typeof settings === 'string' ? { url: settings } : settings;
+    let url = rest.url;
+    let embeddedPassword = false;
+    try {
+        const parsed = new URL(url);
+        if (parsed.password) {
+            parsed.password = '';
+            url = parsed.href;
+            embeddedPassword = true;
+        }
+    } catch (error) {
+        // Not a URL - nothing embedded to hide
+    }
+    return { ...rest, url, hasPassword: Boolean(password) || embeddedPassword };
+}
+
+// Tells proxies apart, e.g. to give each its own browser context
+export function proxyKey(proxy) {
+    return proxy ? JSON.stringify([proxy.server, proxy.username, proxy.password]) : 'direct';
+}
+
+// Playwright's context option. Chromium resolves names through SOCKS5 anyway, and can't
+// authenticate to a SOCKS proxy at all.
+export function toPlaywrightProxy(proxy) {
+    if (!proxy) return undefined;
+
+    const server = proxy.server.replace(/^socks5h:/, 'socks5:');
+    if (server.startsWith('socks') && proxy.username) {
+        console.log(`⚠️ Chromium does not support SOCKS proxy authentication - browser requests to ${server} go without credentials`);
+    }
+    return {
+        server,
+        bypass: proxy.bypass.length > 0 ? proxy.bypass.join(',') : undefined,
+        username: proxy.username || undefined,
+        password: proxy.password || undefined
+    };
+}
+
+// curl arguments for the route forUrl picked. '--noproxy *' keeps curl from applying the
+// *_proxy environment variables on its own to a request that should go direct.
+export function curlProxyArgs(proxy) {
+    return proxy ? ['--proxy', proxy.server] : ['--noproxy', '*'];
+}
+
+// The proxy credentials as curl config lines, for spawnCurl to pass on stdin
+export function curlProxyConfig(proxy) {
+    return proxy?.username ? [curlConfigLine('proxy-user', `${proxy.username}:${proxy.password || ''}`)] : [];
+}
+
+// http(s).request agent that tunnels to targetUrl through the proxy; undefined for direct requests
+export function createProxyAgent(proxy, targetUrl) {
+    if (!proxy) return undefined;
+
+    const proxyUrl = new URL(proxy.server);
+    if (proxy.username) {
+        proxyUrl.username = proxy.username;
+        proxyUrl.password = proxy.password || '';
+    }
+
+    if (proxyUrl.protocol.startsWith('socks')) {
+        return new SocksProxyAgent(proxyUrl);
+    }
+    return new URL(targetUrl).protocol === 'https:' ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl);
+}
+
+/**
+ * The global proxy (settings.yaml, falling back to the environment) plus per-source
+ * overrides from sources.yaml. A source's `proxy` can be its own proxy section, or false
+ * to connect directly; the source whose baseUrl is the longest prefix of a URL applies.
+ */
+export class ProxyResolver {
+    constructor() {
+        this.proxy = null;
+        this.origin = 'none';
+        this.sourceOverrides = [];
+    }
+
+    configure(settings) {
+        this.proxy = normalizeProxySettings(settings);
+        this.origin = this.proxy ? 'settings' : 'none';
+
+        if (!this.proxy) {
+            try {
+                this.proxy = normalizeProxySettings(proxyFromEnvironment());
+                this.origin = this.proxy ? 'environment' : 'none';
+            } catch (error) {
+                console.error(`❌ Ignoring proxy from the environment:`, error.message);
+            }
+        }
+        return this.status();
+    }
+
+    setSources(sources = []) {
+        const overrides = [];
+        for (const source of sources) {
+            if (source.proxy === undefined || source.proxy === null || !source.baseUrl) continue;
+
+            try {
+                const direct = source.proxy === false || source.proxy === 'direct';
+                overrides.push({
+                    id: source.id,
+                    baseUrl: source.baseUrl,
+                    proxy: direct ? null : normalizeProxySettings(source.proxy)
+                });
+            } catch (error) {
+                console.error(`❌ Ignoring proxy for source '${source.id}':`, error.message);
+            }
+        }
+
+        // Most specific base URL first
+        this.sourceOverrides = overrides.sort((a, b) => b.baseUrl.length - a.baseUrl.length);
+    }
+
+    // The proxy a request to url goes through, or null to connect directly
+    forUrl(url) {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        if (!['http:', 'https:'].includes(target.protocol) || isLoopback(target.hostname.replace(/^\[|\]$/g, ''))) {
+            return null;
+        }
+
+        const override = this.sourceOverrides.find(entry => target.href.startsWith(entry.baseUrl));
+        const proxy = override ? override.proxy : this.proxy;
+        if (!proxy || matchesBypass(target, proxy.bypass)) {
+            return null;
+        }
+        return proxy;
+    }
+
+    status() {
+        return {
+            proxy: describeProxy(this.proxy),
+            origin: this.origin,
+            sourceOverrides: this.sourceOverrides.map(({ id, baseUrl, proxy }) => ({ id, baseUrl, proxy: describeProxy(proxy) }))
+        };
+    }
+}
+
+// Process-wide resolver shared by the server, the downloaders and the browser pool
+export const proxyResolver = new ProxyResolver();
@@ -0,0 +1,173 @@
+// Queue ordering helpers. The roms array order is the manual order; each entry also carries
+// `position` (its index, kept in sync by normalizeQueue) and `priority` (higher downloads sooner).
+
+import path from 'path';
+import { uniqueFileName } from './fileNames.js';
+
+export const PRIORITY_LOW = -1;
+export const PRIORITY_NORMAL = 0;
+export const PRIORITY_HIGH = 1;
+
+const MOVE_ACTIONS = ['top', 'bottom', 'before', 'after', 'next'];
+
+// Statuses that are still waiting in the queue (and so can be reordered meaningfully)
+const QUEUED_STATUSES = ['available', 'pending', 'paused', 'retrying', 'scheduled'];
+
+export function parsePriority(value) {
+    if (value === undefined || value === null || value === '') return PRIORITY_NORMAL;
+
+    const priority = Number(value);
+    if (!Number.isInteger(priority)) {
+        throw new Error(`Priority must be an integer: ${value}`);
+    }
+    return priority;
+}
+
+// Fill in missing priorities and renumber positions to match the array order
+export function normalizeQueue(roms) {
+    roms.forEach((rom, index) => {
+        rom.priority = Number.isInteger(rom.priority) ? rom.priority : PRIORITY_NORMAL;
+        rom.position = index;
+    });
+    return roms;
+}
+
+// A name can appear twice when a finished ROM is queued again; prefer the entry still in the queue
+export function findRomIndex(roms, romName) {
+    const index = roms.findIndex(rom => rom.name === romName && (QUEUED_STATUSES.includes(rom.status) || rom.status === 'downloading'));
+    return index !== -1 ? index : roms.findIndex(rom => rom.name === romName);
+}
+
+// Identifies the file a queue entry downloads, whatever it is saved as
+function downloadKey(rom) {
+    return rom.downloadUrl || rom.name;
+}
+
+// Which downloads use each file name. Names are compared case-insensitively, as on Windows
+// and macOS volumes; entries for the same download may share one.
+class FileNameOwners {
+    constructor(roms = []) {
+        this.owners = new Map(); // lower-cased name -> keys of the downloads using it
+        roms.forEach(rom => this.claim(rom));
+    }
+
+    claim(rom) {
+        const name = rom.name.toLowerCase();
+        if (!this.owners.has(name)) this.owners.set(name, new Set());
+        this.owners.get(name).add(downloadKey(rom));
+    }
+
+    // rom's name, or a unique variant of it when another download already uses it
+    uniqueName(rom) {
+        const key = downloadKey(rom);
+        const isTaken = (name) => [...(this.owners.get(name.toLowerCase()) || [])].some(owner => owner !== key);
+        return uniqueFileName(rom.name, isTaken, path.posix.dirname(rom.relativePath || ''));
+    }
+}
+
+/**
+ * The entries of newRoms to append to the queue. Ones already waiting or downloading (same
+ * URL, including twice in one batch) are left out. The file name, .part file and queue key
+ * all come from the name, so when another file already uses it - e.g. same-named files from
+ * different folders of a crawl, or names that only differed in characters sanitizing
+ * replaced - the new entry is renamed to a unique variant.
+ */
+export function queueAdditions(roms, newRoms) {
+    const names = new FileNameOwners(roms);
+    const queued = new Set(roms
+        .filter(rom => QUEUED_STATUSES.includes(rom.status) || rom.status === 'downloading')
+        .map(downloadKey));
+
+    const additions = [];
+    for (const rom of newRoms) {
+        const key = downloadKey(rom);
+        if (queued.has(key)) continue;
+        queued.add(key);
+
+        const name = names.uniqueName(rom);
+        if (name !== rom.name) {
+            console.log(`✏️ ${rom.name} is already used by another download - saving ${rom.relativePath || rom.downloadUrl} as "${name}"`);
+        }
+
+        const addition = { ...rom, name };
+        names.claim(addition);
+        additions.push(addition);
+    }
+    return additions;
+}
+
+// Rename, in place, entries whose file name an earlier entry for another download already
+// uses, e.g. two names that sanitize to the same one
+export function dedupeFileNames(roms) {
+    const names = new FileNameOwners();
+    for (const rom of roms) {
+        const name = names.uniqueName(rom);
+        if (name !== rom.name) {
+            console.log(`✏️ Renamed queued ROM "${rom.name}" to "${name}" - another download already uses that name`);
+            rom.name = name;
+        }
+        names.claim(rom);
+    }
+    return roms;
+}
+
+// Higher priority first, then earlier position
+export function compareQueueOrder(a, b) {
+    return (b.priority || 0) - (a.priority || 0) || a.position - b.position;
+}
+
+// The entry the processor should download next, or null
+export function pickNextRom(roms, isEligible) {
+    let best = null;
+    for (const rom of roms) {
+        if (isEligible(rom) && (!best || compareQueueOrder(rom, best) < 0)) {
+            best = rom;
+        }
+    }
+    return best;
+}
+
+/**
+ * Move a queue entry. action is one of:
+ *   top / bottom    - first or last position in the queue
+ *   before / after  - next to targetName
+ *   next            - top position with the highest queued priority, so it downloads next
+ */
+export function moveRom(roms, romName, action, targetName) {
+    if (!MOVE_ACTIONS.includes(action)) {
+        throw new Error(`Unknown move action '${action}' (expected ${MOVE_ACTIONS.join(', ')})`);
+    }
+
+    const index = findRomIndex(roms, romName);
+    if (index === -1) {
+        throw new Error(`ROM not found in queue: ${romName}`);
+    }
+
+    if ((action === 'before' || action === 'after') && (!targetName || targetName === romName)) {
+        throw new Error(`'${action}' needs a target ROM other than the one being moved`);
+    }
+
+    const [rom] = roms.splice(index, 1);
+
+    if (action === 'top' || action === 'next') {
+        roms.unshift(rom);
+    } else if (action === 'bottom') {
+        roms.push(rom);
+    } else {
+        const targetIndex = findRomIndex(roms, targetName);
+        if (targetIndex === -1) {
+            roms.splice(index, 0, rom);
+            throw new Error(`Target ROM not found in queue: ${targetName}`);
+        }
+        roms.splice(action === 'before' ? targetIndex : targetIndex + 1, 0, rom);
+    }
+
+    if (action === 'next') {
+        const queuedPriorities = roms
+            .filter(candidate => candidate !== rom && QUEUED_STATUSES.includes(candidate.status))
+            .map(candidate => candidate.priority || 0);
+        rom.priority = Math.max(rom.priority || 0, ...queuedPriorities);
+    }
+
+    return normalizeQueue(roms);
+}
@@ -0,0 +1,333 @@
+// Per-source request profiles: user agent, extra headers, cookies and HTTP basic auth for the
+// requests sent to an archive. Profiles live in sources.yaml and are looked up by URL when a
+// request is made, so credentials never end up on queued ROMs (and so never in
+// shared-session.json); API responses only get the redacted form.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { curlConfigLine } from './curlConfig.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '../config');
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Set through their own options so they can't be overridden by accident
+const RESERVED_HEADERS = ['host', 'content-length', 'range', 'connection', 'authorization', 'cookie', 'user-agent'];
+
+const HIDDEN = '[hidden]';
+
+function checkHeaderValue(name, value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`Header ${name} must be a string`);
+    }
+    if (/[\r\n]/.test(String(value))) {
+        throw new Error(`Header ${name} must not contain line breaks`);
+    }
+    return String(value);
+}
+
+/**
+ * Validate a source's `request` section:
+ *   { userAgent, headers: { name: value }, cookies: { name: value }, cookieFile, auth: { username, password } }
+ * cookieFile is a Netscape cookies.txt (as exported from a browser or written by curl -c),
+ * relative to the config directory. Returns null for an empty profile.
+ */
+export function normalizeRequestProfile(profile) {
+    if (!profile) return null;
+    if (typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error('request must be a mapping of userAgent, headers, cookies, cookieFile and auth');
+    }
+
+    const headers = {};
+    for (const [name, value] of Object.entries(profile.headers || {})) {
+        if (!HEADER_NAME.test(name)) {
+            throw new Error(`Invalid header name: ${name}`);
+        }
+        if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+            throw new Error(`Set ${name} with userAgent, cookies or auth instead of headers`);
+        }
+        headers[name] = checkHeaderValue(name, value);
+    }
+
+    const cookies = {};
+    for (const [name, value] of Object.entries(profile.cookies || {})) {
+        if (!HEADER_NAME.test(name) || /[;,\s]/.test(String(value))) {
+            throw new Error(`Invalid cookie: ${name}`);
+        }
+        cookies[name] = String(value);
+    }
+
+    let auth = null;
+    if (profile.auth) {
+        if (!profile.auth.username) {
+            throw new Error('auth needs a username');
+        }
+        auth = { username: String(profile.auth.username), password: String(profile.auth.password ?? '') };
+    }
+
+    const userAgent = profile.userAgent ? checkHeaderValue('userAgent', profile.userAgent) : null;
+    const cookieFile = profile.cookieFile ? path.resolve(CONFIG_DIR, String(profile.cookieFile)) : null;
+
+    if (!userAgent && Object.keys(headers).length === 0 && Object.keys(cookies).length === 0 && !cookieFile && !auth) {
+        return null;
+    }
+    return { userAgent, headers, cookies, cookieFile, auth };
+}
+
+// Entries of a Netscape cookies.txt: domain, subdomains flag, path, secure, expiry, name, value
+export function parseCookieFile(content) {
+    const cookies = [];
+    for (let line of content.split(/\r?\n/)) {
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        }
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+        cookies.push({
+            domain: domain.replace(/^\./, '').toLowerCase(),
+            includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE' || domain.startsWith('.'),
+            path: cookiePath || '/',
+            secure: secure.toUpperCase() === 'TRUE',
+            expires: parseInt(expires) || 0, // 0 = session cookie
+            name,
+            value: value.join('\t'),
+            httpOnly
+        });
+    }
+    return cookies;
+}
+
+function serializeCookies(cookies) {
+    const lines = cookies.map(cookie => [
+        `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.includeSubdomains ? '.' : ''}${cookie.domain}`,
+        cookie.includeSubdomains ? 'TRUE' : 'FALSE',
+        cookie.path,
+        cookie.secure ? 'TRUE' : 'FALSE',
+        cookie.expires,
+        cookie.name,
+        cookie.value
+    ].join('\t'));
+    return `# Netscape HTTP Cookie File\n${lines.join('\n')}\n`;
+}
+
+function cookieMatches(cookie, url, now = Date.now()) {
+    const hostname = url.hostname.toLowerCase();
+    const domainMatches = hostname === cookie.domain || (cookie.includeSubdomains && hostname.endsWith(`.${cookie.domain}`));
+    const pathMatches = url.pathname === cookie.path ||
+        url.pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+
+    return domainMatches && pathMatches &&
+        (!cookie.secure || url.protocol === 'https:') &&
+        (!cookie.expires || cookie.expires * 1000 > now);
+}
+
+// A source's request section as sent to clients: header, cookie and password values hidden
+export function redactRequestProfile(profile) {
+    if (!profile || typeof profile !== 'object') return profile;
+
+    const hideValues = (values) => values && Object.fromEntries(Object.keys(values).map(name => [name, HIDDEN]));
+    const { auth, headers, cookies, ...rest } = profile;
+    return {
+        ...rest,
+        ...(headers ? { headers: hideValues(headers) } : {}),
+        ...(cookies ? { cookies: hideValues(cookies) } : {}),
+        ...(auth ? { auth: { username: auth.username, hasPassword: Boolean(auth.password) } } : {})
+    };
+}
+
+/**
+ * Request profiles of the sources in the catalog. The source whose baseUrl is the longest
+ * prefix of a URL applies, the same rule as per-source proxies, so a redirect to another
+ * host doesn't carry the archive's credentials along. Cookie files are re-read when they change.
+ */
+export class RequestProfiles {
+    constructor() {
+        this.profiles = [];
+        this.cookieFiles = new Map(); // path -> { mtimeMs, cookies }
+        this.curlJars = new Map(); // jar path -> content last written
+    }
+
+    setSources(sources = []) {
+        const profiles = [];
+        for (const source of sources) {
+            if (!source.request || !source.baseUrl) continue;
+
+            try {
+                const profile = normalizeRequestProfile(source.request);
+                if (profile) {
+                    profiles.push({ id: source.id, baseUrl: source.baseUrl, ...profile });
+                }
+            } catch (error) {
+                console.error(`❌ Ignoring request profile for source '${source.id}':`, error.message);
+            }
+        }
+
+        // Most specific base URL first
+        this.profiles = profiles.sort((a, b) => b.baseUrl.length - a.baseUrl.length);
+        this.cookieFiles.clear();
+    }
+
+    forUrl(url) {
+        return this.profiles.find(profile => String(url).startsWith(profile.baseUrl)) || null;
+    }
+
+    readCookieFile(filepath) {
+        try {
+            const { mtimeMs } = fs.statSync(filepath);
+            const cached = this.cookieFiles.get(filepath);
+            if (cached && cached.mtimeMs === mtimeMs) {
+                return cached.cookies;
+            }
+
+            const cookies = parseCookieFile(fs.readFileSync(filepath, 'utf8'));
+            this.cookieFiles.set(filepath, { mtimeMs, cookies });
+            return cookies;
+        } catch (error) {
+            if (!this.cookieFiles.has(filepath)) {
+                console.error(`❌ Could not read cookie file ${filepath}:`, error.message);
+                this.cookieFiles.set(filepath, { mtimeMs: null, cookies: [] });
+            }
+            return this.cookieFiles.get(filepath).cookies;
+        }
+    }
+
+    // Every cookie of the profile; inline cookies belong to the host of the source's baseUrl
+    profileCookies(profile) {
+        const { hostname } = new URL(profile.baseUrl);
+        const inline = Object.entries(profile.cookies).map(([name, value]) => ({
+            domain: hostname.toLowerCase(),
+            includeSubdomains: false,
+            path: '/',
+            secure: false,
+            expires: 0,
+            name,
+            value,
+            httpOnly: false
+        }));
+        return profile.cookieFile ? [...inline, ...this.readCookieFile(profile.cookieFile)] : inline;
+    }
+
+    // Cookies the profile sends to url, as name/value pairs
+    cookiesFor(profile, url) {
+        const target = new URL(url);
+        return this.profileCookies(profile)
+            .filter(cookie => cookieMatches(cookie, target))
+            .map(({ name, value }) => ({ name, value }));
+    }
+
+    // curl gets the cookies as a jar file rather than a Cookie header, so its cookie engine
+    // only sends them to matching hosts when following redirects
+    curlCookieJar(profile) {
+        const cookies = this.profileCookies(profile);
+        if (cookies.length === 0) return null;
+
+        const jarPath = path.join(os.tmpdir(), `romulator-cookies-${String(profile.id).replace(/[^a-z0-9_-]/gi, '_')}.txt`);
+        const content = serializeCookies(cookies);
+        if (this.curlJars.get(jarPath) !== content) {
+            fs.writeFileSync(jarPath, content, { mode: 0o600 });
+            this.curlJars.set(jarPath, content);
+        }
+        return jarPath;
+    }
+
+    // Headers for a Node request to url, on top of the caller's defaults
+    headersFor(url, defaults = {}) {
+        const profile = this.forUrl(url);
+        if (!profile) return defaults;
+
+        const headers = { ...defaults, ...profile.headers };
+        if (profile.userAgent) {
+            headers['User-Agent'] = profile.userAgent;
+        }
+        if (profile.auth) {
+            headers['Authorization'] = `Basic ${Buffer.from(`${profile.auth.username}:${profile.auth.password}`).toString('base64')}`;
+        }
+
+        const cookies = this.cookiesFor(profile, url);
+        if (cookies.length > 0) {
+            headers['Cookie'] = cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+        }
+        return headers;
+    }
+
+    // curl arguments for a request to url. They override the default user agent, so they go
+    // after it; keep them out of logs. With basic auth, curl stops trusting redirects so the
+    // password isn't passed on to other hosts. The credentials themselves are in curlConfig.
+    curlArgs(url) {
+        const profile = this.forUrl(url);
+        if (!profile) return [];
+
+        const args = [];
+        if (profile.userAgent) {
+            args.push('--user-agent', profile.userAgent);
+        }
+        for (const [name, value] of Object.entries(profile.headers)) {
+            args.push('--header', `${name}: ${value}`);
+        }
+        if (profile.auth) {
+            // --no-location-trusted also turns redirects off, so --location turns them back on
+            args.push('--no-location-trusted', '--location');
+        }
+
+        const jarPath = this.curlCookieJar(profile);
+        if (jarPath) {
+            args.push('--cookie', jarPath);
+        }
+        return args;
+    }
+
+    // The basic auth credentials for url as curl config lines, for spawnCurl to pass on stdin
+    curlConfig(url) {
+        const profile = this.forUrl(url);
+        return profile?.auth ? [curlConfigLine('user', `${profile.auth.username}:${profile.auth.password}`)] : [];
+    }
+
+    // Browser context options for the profile that applies to url, or null without one
+    contextOptionsFor(url) {
+        const profile = this.forUrl(url);
+        if (!profile) return null;
+
+        const { origin } = new URL(profile.baseUrl);
+        return {
+            key: profile.id,
+            userAgent: profile.userAgent || undefined,
+            extraHTTPHeaders: Object.keys(profile.headers).length > 0 ? profile.headers : undefined,
+            httpCredentials: profile.auth ? { ...profile.auth, origin } : undefined,
+            cookies: this.profileCookies(profile).map(cookie => ({
+                name: cookie.name,
+                value: cookie.value,
+                domain: cookie.includeSubdomains ? `.${cookie.domain}` : cookie.domain,
+                path: cookie.path,
+                expires: cookie.expires || -1,
+                secure: cookie.secure,
+                httpOnly: cookie.httpOnly
+            }))
+        };
+    }
+
+    status() {
+        return this.profiles.map(profile => ({
+            id: profile.id,
+            baseUrl: profile.baseUrl,
+            userAgent: profile.userAgent,
+            headers: Object.keys(profile.headers),
+            cookies: Object.keys(profile.cookies),
+            cookieFile: profile.cookieFile ? path.basename(profile.cookieFile) : null,
+            auth: profile.auth ? { username: profile.auth.username } : null
+        }));
+    }
+}
+
+// Process-wide profiles shared by the server, the downloaders and the browser pool
+export const requestProfiles = new RequestProfiles();
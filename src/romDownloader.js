@@ -1,166 +1,357 @@
-import { chromium } from 'playwright';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { NativeCurlDownloader } from './nativeCurlDownloader.js';
+import { CurlDownloader } from './curlDownloader.js';
+import { LocalFileDownloader } from './localFileDownloader.js';
+import { HttpListingScraper } from './httpListingScraper.js';
+import { buildListingEntries } from './listingParser.js';
+import { createPathFilter } from './pathFilters.js';
+import { sourceRegistry } from './sources/index.js';
+import { browserPool as sharedBrowserPool } from './browserPool.js';
+import { throwIfAborted } from './scrapeJobs.js';
+import { MissingDownloadUrlError } from './downloadErrors.js';
+import { proxyResolver } from './proxy.js';
+import { requestProfiles } from './requestProfiles.js';
 
 // Removed HTTP agents - using curl-style downloader
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Scraper modes: 'http' (plain HTTP only), 'playwright' (browser only),
+// 'auto' (plain HTTP first, Playwright fallback for pages that need JavaScript)
+export const SCRAPER_MODES = ['auto', 'http', 'playwright'];
+
+// Recursive crawl limits
+const DEFAULT_CRAWL_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH) || 5;
+const MAX_CRAWL_DEPTH = 20;
+const MAX_CRAWL_DIRECTORIES = parseInt(process.env.CRAWL_MAX_DIRECTORIES) || 1000;
+
+// Download backends: 'curl' (the curl binary), 'node' (pure Node http/https),
+// 'auto' (curl when it is installed, Node otherwise)
+const DOWNLOAD_BACKENDS = ['auto', 'curl', 'node'];
+
+export function resolveScraperMode(mode) {
+    const candidate = (mode || process.env.SCRAPER_MODE || 'auto').toLowerCase();
+    return SCRAPER_MODES.includes(candidate) ? candidate : 'auto';
+}
+
+// DOWNLOAD_BACKEND wins over the configured value so one run can be forced onto a backend
+export function resolveDownloadBackend(backend) {
+    const candidate = String(process.env.DOWNLOAD_BACKEND || backend || 'auto').toLowerCase();
+    return DOWNLOAD_BACKENDS.includes(candidate) ? candidate : 'auto';
+}
+
 export class RomDownloader {
     constructor(options = {}) {
-        this.browser = null;
-        this.context = null;
-        this.page = null;
+        this.browserPool = options.browserPool || sharedBrowserPool;
         this.downloadDir = options.downloadDir || process.env.DOWNLOADS_DIR || './downloads';
-        this.headless = options.headless !== false;
         this.timeout = options.timeout || parseInt(process.env.DOWNLOAD_TIMEOUT) || 30000;
         this.progressCallback = options.progressCallback || null;
+        // Explicit scraper mode; without one, each listing uses the mode its source asks for
+        this.scraper = options.scraper || null;
+        this.cache = options.cache || null;
 
-        // Initialize native curl downloader
-        this.curlDownloader = new NativeCurlDownloader({
+        // Source adapter id (or adapter instance); resolved from the URL when not given
+        this.source = options.source || null;
+
+        // Lightweight HTTP scraper used before falling back to the browser
+        this.listingScraper = new HttpListingScraper({ timeout: this.timeout });
+
+        // HTTP(S) downloads go to the curl binary or the pure Node downloader, picked in init()
+        this.backendPreference = resolveDownloadBackend(options.backend);
+        this.backend = null;
+        this.httpDownloader = null;
+
+        // file:// URLs from local sources are copied instead of fetched
+        this.localDownloader = new LocalFileDownloader({
             downloadDir: this.downloadDir,
             progressCallback: this.progressCallback
         });
     }
 
+    // Set up the download backends. Only needed before downloading: scraping and browsing
+    // work without it, so listing a page never probes curl or creates the downloads directory.
     async init() {
         console.log('🚀 Initializing ROM Downloader...');
 
-        // Initialize curl downloader
-        await this.curlDownloader.init();
-
-        // Configure browser launch options
-        const launchOptions = {
-            headless: this.headless,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-features=TranslateUI',
-                '--disable-ipc-flooding-protection',
-                '--memory-pressure-off'
-            ]
+        this.httpDownloader = await this.createHttpDownloader();
+        await this.localDownloader.init();
+
+        console.log('✅ ROM Downloader initialized successfully');
+    }
+
+    // Pick the HTTP download backend. 'auto' falls back to Node when curl is missing;
+    // asking for 'curl' explicitly fails instead.
+    async createHttpDownloader() {
+        const options = {
+            downloadDir: this.downloadDir,
+            progressCallback: this.progressCallback,
+            timeout: this.timeout
+        };
+        let fallbackReason = null;
+
+        if (this.backendPreference !== 'node') {
+            const nativeDownloader = new NativeCurlDownloader(options);
+            try {
+                await nativeDownloader.init();
+                this.backend = {
+                    active: 'curl',
+                    preference: this.backendPreference,
+                    fallbackReason: null,
+                    curlVersion: nativeDownloader.curlVersion
+                };
+                return nativeDownloader;
+            } catch (error) {
+                if (this.backendPreference === 'curl') {
+                    throw error;
+                }
+                fallbackReason = error.message;
+                console.log(`⚠️ ${error.message} Falling back to the Node downloader.`);
+            }
+        }
+
+        const nodeDownloader = new CurlDownloader(options);
+        await nodeDownloader.init();
+        this.backend = {
+            active: 'node',
+            preference: this.backendPreference,
+            fallbackReason,
+            curlVersion: null
         };
+        console.log(`✅ Using the Node download backend`);
+        return nodeDownloader;
+    }
 
-        // Use system Chromium if specified via environment variable
-        if (process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH) {
-            launchOptions.executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
-            console.log(`🔧 Using system Chromium at: ${process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH}`);
+    // The scraper option wins; otherwise the catalog entry, collection or source adapter for
+    // url picks the mode, and SCRAPER_MODE applies to sources without a preference
+    scraperModeFor(url) {
+        if (this.scraper) {
+            return resolveScraperMode(this.scraper);
+        }
+
+        let source = null;
+        try {
+            source = this.resolveSource(url);
+        } catch (error) {
+            // No adapter handles it - the listing itself will report that
+        }
+        return resolveScraperMode(sourceRegistry.scraperFor(url, source));
+    }
+
+    // Try the plain HTTP scraper, returning null when the caller should fall back to Playwright
+    async tryHttpListing(url, validators = {}, signal = null, scraperMode = this.scraperModeFor(url)) {
+        if (scraperMode === 'playwright') {
+            return null;
+        }
+
+        try {
+            const listing = await this.listingScraper.scrapeListing(url, validators, { signal });
+            if (listing.notModified || listing.directories.length > 0 || listing.files.length > 0) {
+                return listing;
+            }
+
+            if (scraperMode === 'http') {
+                return listing;
+            }
+            console.log('⚠️ HTTP listing was empty, page may require JavaScript - falling back to Playwright');
+        } catch (error) {
+            // A cancelled scrape must not fall back to the browser
+            throwIfAborted(signal);
+
+            // Missing pages won't render any better in a browser
+            if (scraperMode === 'http' || (error.statusCode >= 400 && error.statusCode < 500)) {
+                throw error;
+            }
+            console.log(`⚠️ HTTP listing failed (${error.message}) - falling back to Playwright`);
+        }
+
+        return null;
+    }
+
+    // List the directories and files of an archive page, going through the scrape cache when configured.
+    // Pass options.signal to make the listing cancellable.
+    async listDirectory(url, options = {}) {
+        const { signal } = options;
+        throwIfAborted(signal);
+
+        const cached = this.cache && !options.forceRefresh ? await this.cache.get(url) : null;
+        if (cached && this.cache.isFresh(cached)) {
+            console.log(`💾 Using cached listing for ${url}`);
+            return { ...cached.listing, method: 'cache', cachedAt: cached.cachedAt };
+        }
+
+        // Expired entries are revalidated with a conditional request
+        const validators = cached ? { etag: cached.etag, lastModified: cached.lastModified } : {};
+        const httpListing = await this.tryHttpListing(url, validators, signal);
+
+        if (httpListing && httpListing.notModified) {
+            const revalidated = await this.cache.revalidate(cached);
+            return { ...revalidated.listing, method: 'cache', cachedAt: revalidated.cachedAt };
+        }
+
+        let listing;
+        let listingValidators = {};
+        if (httpListing) {
+            const { validators: responseValidators, ...rest } = httpListing;
+            listing = { ...rest, method: 'http' };
+            listingValidators = responseValidators || {};
         } else {
-            console.log('📦 Using bundled Chromium');
+            listing = await this.listDirectoryWithPlaywright(url, { signal });
+        }
+
+        throwIfAborted(signal);
+
+        if (this.cache) {
+            const entry = await this.cache.set(url, listing, listingValidators);
+            if (entry) {
+                listing.cachedAt = entry.cachedAt;
+            }
         }
 
-        console.log('🌐 Launching browser...');
-        this.browser = await chromium.launch(launchOptions);
+        return listing;
+    }
 
-        this.context = await this.browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1280, height: 720 }
+    async listDirectoryWithPlaywright(url, options = {}) {
+        console.log(`🎭 Listing directory with Playwright: ${url}`);
+
+        return this.browserPool.withPage(async (page) => {
+            await page.goto(url, { waitUntil: 'networkidle' });
+
+            // Collect each link with the text that follows it (table cells or the rest of a <pre> line)
+            const rows = await page.evaluate(() => {
+                return Array.from(document.querySelectorAll('a')).map(link => {
+                    let meta = '';
+                    const cell = link.closest('td');
+
+                    if (cell && cell.parentElement) {
+                        meta = Array.from(cell.parentElement.children)
+                            .filter(sibling => sibling !== cell)
+                            .map(sibling => sibling.textContent.trim())
+                            .join(' ');
+                    } else if (link.nextSibling && link.nextSibling.nodeType === Node.TEXT_NODE) {
+                        meta = link.nextSibling.textContent.split('\n')[0];
+                    }
+
+                    return {
+                        text: link.textContent.trim(),
+                        href: link.getAttribute('href'),
+                        meta
+                    };
+                });
+            });
+
+            const pageUrl = page.url();
+            const { directories, files } = buildListingEntries(rows, pageUrl);
+            return { url: pageUrl, directories, files, method: 'playwright' };
+        }, {
+            timeout: this.timeout,
+            signal: options.signal,
+            proxy: proxyResolver.forUrl(url),
+            profile: requestProfiles.contextOptionsFor(url)
         });
+    }
 
-        this.page = await this.context.newPage();
-        this.page.setDefaultTimeout(this.timeout);
+    resolveSource(url) {
+        if (this.source && typeof this.source === 'object') {
+            return this.source;
+        }
+        return sourceRegistry.resolve(url, this.source);
+    }
 
-        console.log('✅ ROM Downloader initialized successfully');
+    // List the subdirectories (categories) of an archive page
+    async scrapeCategories(url, options = {}) {
+        const source = this.resolveSource(url);
+        console.log(`📁 Scraping categories from: ${url} (source: ${source.id})`);
+
+        return source.listCategories(this, url, options);
     }
 
-    async scrapeRomList(url) {
-        console.log(`🔍 Scraping ROM list from: ${url}`);
+    async scrapeRomList(url, options = {}) {
+        const source = this.resolveSource(url);
+        console.log(`🔍 Scraping ROM list from: ${url} (source: ${source.id}, mode: ${this.scraperModeFor(url)})`);
 
         try {
-            await this.page.goto(url, { waitUntil: 'networkidle' });
-            console.log('📄 Page loaded successfully');
-
-            // Wait for the page to be fully loaded
-            await this.page.waitForLoadState('domcontentloaded');
-
-            // Extract ROM links with better filtering and URL resolution
-            const romLinks = await this.page.evaluate((currentUrl) => {
-                const links = Array.from(document.querySelectorAll('a'));
-                return links
-                    .filter(link => {
-                        const href = link.getAttribute('href');
-                        const text = link.textContent.trim();
-
-                        // Must have both href and text
-                        if (!href || !text) return false;
-
-                        // Filter for ROM file extensions
-                        const hasRomExtension = (
-                            text.includes('.zip') ||
-                            text.includes('.7z') ||
-                            text.includes('.rar') ||
-                            text.includes('.iso') ||
-                            text.includes('.bin') ||
-                            text.includes('.cue') ||
-                            text.includes('.chd') ||
-                            text.includes('.pbp') ||
-                            text.includes('.cso')
-                        );
-
-                        // Exclude parent directory links and other navigation
-                        const isNavigationLink = (
-                            href === '../' ||
-                            href === './' ||
-                            text.includes('Parent Directory') ||
-                            text.includes('..') ||
-                            text.startsWith('[') // Often used for directories
-                        );
-
-                        return hasRomExtension && !isNavigationLink;
-                    })
-                    .map(link => {
-                        const href = link.getAttribute('href');
-                        const text = link.textContent.trim();
-
-                        // Convert relative URLs to absolute URLs
-                        let absoluteUrl = href;
-                        if (!href.startsWith('http')) {
-                            try {
-                                absoluteUrl = new URL(href, currentUrl).href;
-                            } catch (e) {
-                                // If URL construction fails, keep original href
-                                absoluteUrl = href;
-                            }
-                        }
-
-                        return {
-                            name: text,
-                            url: href, // Keep original for compatibility
-                            downloadUrl: absoluteUrl, // Add resolved absolute URL
-                            size: null // Will be populated if available
-                        };
-                    });
-            }, this.page.url());
+            const romLinks = await source.listFiles(this, url, options);
 
             console.log(`📊 Found ${romLinks.length} ROM files`);
+            return romLinks;
 
-            // Debug: Log first few ROMs to verify URL structure
-            if (romLinks.length > 0) {
-                console.log('🔍 Sample ROM data:');
-                romLinks.slice(0, 3).forEach((rom, index) => {
-                    console.log(`  ${index + 1}. Name: ${rom.name}`);
-                    console.log(`     URL: ${rom.url}`);
-                    console.log(`     Download URL: ${rom.downloadUrl}`);
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error('❌ Error scraping ROM list:', error);
+            }
+            throw error;
+        }
+    }
+
+    // Walk an archive tree breadth-first, returning a flat ROM list annotated with relative paths
+    async crawlRomList(url, options = {}) {
+        const maxDepth = Math.min(
+            Math.max(parseInt(options.maxDepth ?? DEFAULT_CRAWL_DEPTH) || 0, 0),
+            MAX_CRAWL_DEPTH
+        );
+        const filter = createPathFilter({ include: options.include, exclude: options.exclude });
+        const source = this.resolveSource(url);
+
+        console.log(`🕸️ Crawling ROM tree from: ${url} (source: ${source.id}, max depth: ${maxDepth})`);
+
+        const roms = [];
+        const visited = new Set();
+        const queue = [{ url, relativePath: '', depth: 0 }];
+        let directoriesCrawled = 0;
+        let truncated = false;
+
+        while (queue.length > 0) {
+            throwIfAborted(options.signal);
+
+            const current = queue.shift();
+            if (visited.has(current.url)) continue;
+            visited.add(current.url);
+
+            if (directoriesCrawled >= MAX_CRAWL_DIRECTORIES) {
+                console.log(`⚠️ Crawl stopped after ${MAX_CRAWL_DIRECTORIES} directories`);
+                truncated = true;
+                break;
+            }
+            directoriesCrawled++;
+
+            let listing;
+            try {
+                listing = await source.listDirectory(this, current.url, {
+                    forceRefresh: options.forceRefresh,
+                    signal: options.signal
                 });
+            } catch (error) {
+                throwIfAborted(options.signal);
+
+                // The root must load, but a broken subfolder shouldn't sink the whole crawl
+                if (current.depth === 0) throw error;
+                console.log(`⚠️ Skipping ${current.relativePath}: ${error.message}`);
+                continue;
             }
 
-            return romLinks;
+            for (const rom of listing.files) {
+                const relativePath = current.relativePath ? `${current.relativePath}/${rom.name}` : rom.name;
+                if (!filter.matchesFile(relativePath, rom.name)) continue;
 
-        } catch (error) {
-            console.error('❌ Error scraping ROM list:', error);
-            throw error;
+                roms.push({ ...rom, relativePath });
+            }
+
+            if (current.depth >= maxDepth) continue;
+
+            for (const directory of listing.directories) {
+                const relativePath = current.relativePath ? `${current.relativePath}/${directory.name}` : directory.name;
+                if (!filter.allowsDirectory(relativePath, directory.name)) continue;
+
+                queue.push({ url: directory.url, relativePath, depth: current.depth + 1 });
+            }
         }
+
+        console.log(`📊 Crawl found ${roms.length} ROM files across ${directoriesCrawled} directories`);
+
+        return { roms, directoriesCrawled, maxDepth, truncated };
     }
 
     async downloadRoms(roms) {
@@ -171,14 +362,6 @@ export class RomDownloader {
             try {
                 console.log(`\n🎮 Processing ROM: ${rom.name}`);
 
-                // Convert relative URLs to absolute URLs
-                if (rom.url && !rom.url.startsWith('http')) {
-                    const baseUrl = this.page.url();
-                    rom.downloadUrl = new URL(rom.url, baseUrl).href;
-                } else {
-                    rom.downloadUrl = rom.url;
-                }
-
                 const filepath = await this.downloadSingleRomHTTP(rom);
                 results.push({ rom, filepath, status: 'success' });
 
@@ -197,20 +380,26 @@ export class RomDownloader {
         try {
             // Navigate to the ROM page if needed
             if (rom.url && !rom.downloadUrl) {
-                console.log(`🌐 Navigating to ROM page: ${rom.url}`);
-                await this.page.goto(rom.url, { waitUntil: 'networkidle' });
-
-                // Look for the ROM link on the current page
-                console.log(`🔍 Searching for ROM link: ${rom.name}`);
-                const romLink = await this.page.locator(`a:has-text("${rom.name}")`).first();
-
-                if (await romLink.count() > 0) {
-                    const href = await romLink.getAttribute('href');
-                    if (href) {
-                        rom.downloadUrl = href.startsWith('http') ? href : new URL(href, this.page.url()).href;
-                        console.log(`🔗 Found download URL: ${rom.downloadUrl}`);
+                await this.browserPool.withPage(async (page) => {
+                    console.log(`🌐 Navigating to ROM page: ${rom.url}`);
+                    await page.goto(rom.url, { waitUntil: 'networkidle' });
+
+                    // Look for the ROM link on the current page
+                    console.log(`🔍 Searching for ROM link: ${rom.name}`);
+                    const romLink = page.locator(`a:has-text("${rom.name}")`).first();
+
+                    if (await romLink.count() > 0) {
+                        const href = await romLink.getAttribute('href');
+                        if (href) {
+                            rom.downloadUrl = new URL(href, page.url()).href;
+                            console.log(`🔗 Found download URL: ${rom.downloadUrl}`);
+                        }
                     }
-                }
+                }, {
+                    timeout: this.timeout,
+                    proxy: proxyResolver.forUrl(rom.url),
+                    profile: requestProfiles.contextOptionsFor(rom.url)
+                });
             }
 
             // Use HTTP download
@@ -222,60 +411,29 @@ export class RomDownloader {
         }
     }
 
-    async downloadSingleRomPlaywright(rom) {
-        console.log(`🎭 Using Playwright download for: ${rom.name}`);
-
-        try {
-            console.log(`🔍 Looking for link with text: ${rom.name}`);
-
-            // Use a more reliable method to find and click the link
-            const linkFound = await this.page.locator(`a:has-text("${rom.name}")`).first().click();
-            console.log(`👆 Clicked download link for: ${rom.name}`);
-
-            // Wait for the download to start
-            const downloadPromise = this.page.waitForDownload();
-            console.log(`⬇️ Download started for: ${rom.name}`);
-
-            // Get download info
-            const download = await downloadPromise;
-            const filename = await download.suggestedFilename();
-            const filepath = path.join(this.downloadDir, filename);
-            console.log(`📁 Download directory: ${this.downloadDir}`);
-            console.log(`📁 Download filename: ${filename}`);
-            console.log(`📁 Download filepath: ${filepath}`);
-
-            // Save the download
-            await download.saveAs(filepath);
-            console.log(`✅ Download completed: ${filepath}`);
-
-            return filepath;
-
-        } catch (error) {
-            console.error(`❌ Playwright download failed for ${rom.name}:`, error);
-            throw error;
-        }
-    }
-
     async downloadSingleRomHTTP(rom) {
         console.log(`🔄 Using curl-style downloader: ${rom.name}`);
 
         // Ensure we have a download URL
         if (!rom.downloadUrl && !rom.url) {
-            throw new Error(`Cannot download ROM without downloadUrl or url: ${rom.name}. Please re-scrape the ROM list to get updated download URLs.`);
+            throw new MissingDownloadUrlError(rom.name, `Cannot download ROM without downloadUrl or url: ${rom.name}. Please re-scrape the ROM list to get updated download URLs.`);
         }
 
         // Use downloadUrl if available, otherwise use url
         let downloadUrl = rom.downloadUrl || rom.url;
 
-        // Convert relative URLs to absolute URLs if needed
+        if (downloadUrl.startsWith('file:')) {
+            rom.downloadUrl = downloadUrl;
+            return this.localDownloader.downloadRom(rom);
+        }
+
+        // Convert relative URLs to absolute URLs, using the listing URL as the base
         if (downloadUrl && !downloadUrl.startsWith('http')) {
-            // If we have a page context, use it to resolve relative URLs
-            if (this.page && this.page.url()) {
-                const baseUrl = this.page.url();
-                downloadUrl = new URL(downloadUrl, baseUrl).href;
+            if (rom.url && rom.url.startsWith('http')) {
+                downloadUrl = new URL(downloadUrl, rom.url).href;
                 console.log(`🔗 Converted relative URL to absolute: ${downloadUrl}`);
             } else {
-                throw new Error(`Cannot resolve relative URL without page context: ${downloadUrl}`);
+                throw new MissingDownloadUrlError(rom.name, `Cannot resolve relative URL without an absolute ROM url: ${downloadUrl}`);
             }
         }
 
@@ -284,32 +442,29 @@ export class RomDownloader {
 
         console.log(`📍 Final download URL: ${rom.downloadUrl}`);
 
-        // Use the new curl-style downloader
-        return this.curlDownloader.downloadRom(rom);
+        return this.httpDownloader.downloadRom(rom);
     }
 
     // Cancel a specific download
     cancelDownload(romName) {
-        return this.curlDownloader.cancelDownload(romName);
+        this.localDownloader.cancelDownload(romName);
+        return this.httpDownloader?.cancelDownload(romName);
     }
 
     // Check if a download is cancelled
     isDownloadCancelled(romName) {
-        return this.curlDownloader.isDownloadCancelled(romName);
+        return Boolean(this.httpDownloader?.isDownloadCancelled(romName)) || this.localDownloader.isDownloadCancelled(romName);
     }
 
     // Clear cancelled status (for retries)
     clearCancelledStatus(romName) {
-        return this.curlDownloader.clearCancelledStatus(romName);
+        this.localDownloader.clearCancelledStatus(romName);
+        return this.httpDownloader?.clearCancelledStatus(romName);
     }
 
     async close() {
-        await this.curlDownloader.close();
-        if (this.context) {
-            await this.context.close();
-        }
-        if (this.browser) {
-            await this.browser.close();
-        }
+        await this.httpDownloader?.close();
+        await this.localDownloader.close();
+        // Browsers belong to the shared pool, which closes them when idle or on shutdown
     }
 }
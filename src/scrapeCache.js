@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), 'data', 'scrape-cache');
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60; // 6 hours
+
+/**
+ * Disk-backed cache of scraped directory listings, keyed by URL.
+ * Entries past their TTL are kept on disk so their ETag/Last-Modified
+ * validators can be used for a conditional re-fetch.
+ */
+export class ScrapeCache {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || process.env.SCRAPE_CACHE_DIR || DEFAULT_CACHE_DIR;
+
+        const ttl = options.ttlSeconds ?? parseInt(process.env.SCRAPE_CACHE_TTL);
+        this.ttlSeconds = Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS;
+        this.enabled = this.ttlSeconds > 0 && process.env.DISABLE_SCRAPE_CACHE !== 'true';
+    }
+
+    keyFor(url) {
+        return crypto.createHash('sha1').update(url).digest('hex');
+    }
+
+    entryPath(url) {
+        return path.join(this.cacheDir, `${this.keyFor(url)}.json`);
+    }
+
+    isFresh(entry) {
+        return !!entry && new Date(entry.expiresAt).getTime() > Date.now();
+    }
+
+    // Read an entry regardless of freshness, or null when missing/unreadable
+    async get(url) {
+        if (!this.enabled) return null;
+
+        try {
+            const entryPath = this.entryPath(url);
+            if (!await fs.pathExists(entryPath)) {
+                return null;
+            }
+            return await fs.readJson(entryPath);
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable cache entry for ${url}:`, error.message);
+            return null;
+        }
+    }
+
+    // Store a listing along with the validators from the response that produced it
+    async set(url, listing, validators = {}) {
+        if (!this.enabled) return null;
+
+        const now = new Date();
+        const entry = {
+            url,
+            cachedAt: now.toISOString(),
+            validatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.ttlSeconds * 1000).toISOString(),
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null,
+            listing
+        };
+
+        try {
+            await fs.ensureDir(this.cacheDir);
+            await fs.writeJson(this.entryPath(url), entry);
+        } catch (error) {
+            console.warn(`⚠️ Could not write cache entry for ${url}:`, error.message);
+        }
+
+        return entry;
+    }
+
+    // Extend an entry after the server confirmed it is unchanged (HTTP 304)
+    async revalidate(entry) {
+        if (!this.enabled || !entry) return entry;
+
+        const now = new Date();
+        const updated = {
+            ...entry,
+            validatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.ttlSeconds * 1000).toISOString()
+        };
+
+        try {
+            await fs.writeJson(this.entryPath(entry.url), updated);
+        } catch (error) {
+            console.warn(`⚠️ Could not update cache entry for ${entry.url}:`, error.message);
+        }
+
+        return updated;
+    }
+
+    // Summaries of every cached listing (without the listing bodies)
+    async list() {
+        if (!await fs.pathExists(this.cacheDir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+        const entries = [];
+
+        for (const file of files) {
+            const filePath = path.join(this.cacheDir, file);
+            try {
+                const [entry, stats] = await Promise.all([fs.readJson(filePath), fs.stat(filePath)]);
+                entries.push({
+                    url: entry.url,
+                    cachedAt: entry.cachedAt,
+                    validatedAt: entry.validatedAt,
+                    expiresAt: entry.expiresAt,
+                    fresh: this.isFresh(entry),
+                    etag: entry.etag,
+                    lastModified: entry.lastModified,
+                    method: entry.listing?.method || null,
+                    directories: entry.listing?.directories?.length || 0,
+                    files: entry.listing?.files?.length || 0,
+                    sizeBytes: stats.size
+                });
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable cache file ${file}:`, error.message);
+            }
+        }
+
+        entries.sort((a, b) => new Date(b.validatedAt) - new Date(a.validatedAt));
+        return entries;
+    }
+
+    async delete(url) {
+        const entryPath = this.entryPath(url);
+        if (!await fs.pathExists(entryPath)) {
+            return false;
+        }
+        await fs.remove(entryPath);
+        return true;
+    }
+
+    // Remove every entry, or only expired ones; resolves with the number removed
+    async purge({ expiredOnly = false } = {}) {
+        if (!await fs.pathExists(this.cacheDir)) {
+            return 0;
+        }
+
+        let removed = 0;
+        const files = (await fs.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            const filePath = path.join(this.cacheDir, file);
+            if (expiredOnly) {
+                try {
+                    const entry = await fs.readJson(filePath);
+                    if (this.isFresh(entry)) continue;
+                } catch (error) {
+                    // Unreadable entries are always purged
+                }
+            }
+            await fs.remove(filePath);
+            removed++;
+        }
+
+        return removed;
+    }
+}
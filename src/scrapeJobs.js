@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+// Raised (as the abort reason) when a scrape job is cancelled
+export class ScrapeCancelledError extends Error {
+    constructor(url) {
+        super(url ? `Scrape cancelled: ${url}` : 'Scrape cancelled');
+        this.name = 'ScrapeCancelledError';
+        this.cancelled = true;
+    }
+}
+
+// Throw the abort reason if the signal has already fired
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason instanceof Error ? signal.reason : new ScrapeCancelledError();
+    }
+}
+
+/**
+ * Tracks in-flight scrapes so they can be cancelled, either explicitly through the
+ * API or because the client that started them disconnected. Each job owns an
+ * AbortController whose signal is threaded through the scraper.
+ */
+export class ScrapeJobManager {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    // Clients may pass their own id so they can cancel before the response arrives
+    create({ id, kind, url }) {
+        const jobId = typeof id === 'string' && /^[\w-]{1,64}$/.test(id) && !this.jobs.has(id)
+            ? id
+            : crypto.randomUUID();
+
+        const job = {
+            id: jobId,
+            kind,
+            url,
+            startedAt: new Date().toISOString(),
+            controller: new AbortController()
+        };
+        job.signal = job.controller.signal;
+
+        this.jobs.set(jobId, job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    cancel(id, reason = 'cancelled') {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        if (!job.signal.aborted) {
+            console.log(`🛑 Cancelling ${job.kind} job ${job.id} (${reason}): ${job.url}`);
+            job.controller.abort(new ScrapeCancelledError(job.url));
+        }
+        return true;
+    }
+
+    finish(id) {
+        this.jobs.delete(id);
+    }
+
+    list() {
+        return [...this.jobs.values()].map(job => ({
+            id: job.id,
+            kind: job.kind,
+            url: job.url,
+            startedAt: job.startedAt,
+            cancelled: job.signal.aborted
+        }));
+    }
+}
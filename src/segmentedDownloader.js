@@ -0,0 +1,341 @@
+import fs from 'fs-extra';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { bandwidthLimiter } from './bandwidthLimiter.js';
+import { ChecksumMismatchError, DownloadCancelledError, HttpStatusError, NetworkError, classifyError, curlExitError } from './downloadErrors.js';
+import { proxyResolver, curlProxyArgs, curlProxyConfig } from './proxy.js';
+import { spawnCurl } from './curlConfig.js';
+import { requestProfiles } from './requestProfiles.js';
+
+// Raised when the server ignores Range requests so the caller can fall back to one stream
+export class RangeNotSupportedError extends Error {
+    constructor(message = 'Server does not support range requests') {
+        super(message);
+        this.name = 'RangeNotSupportedError';
+        this.rangeUnsupported = true;
+    }
+}
+
+const CURL_BASE_ARGS = [
+    '-L',                          // Follow redirects
+    '--max-redirs', '10',          // Max redirects
+    '--connect-timeout', '30',     // Connection timeout
+    '--user-agent', 'curl/8.0.0', // User agent
+    '--location-trusted',          // Trust redirects
+    '--fail',                      // Fail on HTTP errors
+    '--silent',                    // Silent mode
+    '--show-error'                 // Show errors
+];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Segmented downloader - splits large files into CHUNK_SIZE byte ranges and fetches up to
+ * MAX_CONCURRENT_CHUNKS of them at once with curl. Each segment is written at its own
+ * offset in the target file, so the file is assembled in order however the segments finish.
+ */
+export class SegmentedDownloader {
+    constructor(options = {}) {
+        this.maxConcurrentChunks = options.maxConcurrentChunks || parseInt(process.env.MAX_CONCURRENT_CHUNKS) || 8;
+        this.chunkSize = options.chunkSize || parseInt(process.env.CHUNK_SIZE) || 1048576;
+        this.minParallelFileSize = options.minParallelFileSize || parseInt(process.env.MIN_PARALLEL_FILE_SIZE) || 2097152;
+        this.disabled = options.disabled ?? process.env.DISABLE_PARALLEL_DOWNLOAD === 'true';
+        this.segmentRetries = options.segmentRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.bandwidthLimiter = options.bandwidthLimiter || bandwidthLimiter;
+    }
+
+    // Only worth splitting files we know the size of and that span more than one chunk
+    shouldSegment(fileInfo) {
+        return !this.disabled &&
+            this.maxConcurrentChunks > 1 &&
+            fileInfo.totalBytes >= this.minParallelFileSize &&
+            fileInfo.totalBytes > this.chunkSize &&
+            fileInfo.acceptRanges !== 'none';
+    }
+
+    // Trust an explicit "Accept-Ranges: bytes"; otherwise ask for the first byte and look for a 206
+    async supportsRanges(url, fileInfo = {}) {
+        if (fileInfo.acceptRanges === 'bytes') return true;
+        if (fileInfo.acceptRanges === 'none') return false;
+
+        const proxy = proxyResolver.forUrl(url);
+        return new Promise((resolve) => {
+            const curl = spawnCurl([
+                url,
+                ...CURL_BASE_ARGS,
+                ...curlProxyArgs(proxy),
+                ...requestProfiles.curlArgs(url),
+                '--max-time', '30',
+                '--range', '0-0',
+                '-o', '/dev/null',
+                '--write-out', '%{http_code}'
+            ], [...curlProxyConfig(proxy), ...requestProfiles.curlConfig(url)]);
+
+            let output = '';
+            curl.stdout.on('data', (data) => {
+                output += data.toString();
+            });
+            curl.on('close', (code) => resolve(code === 0 && output.trim() === '206'));
+            curl.on('error', () => resolve(false));
+        });
+    }
+
+    planSegments(totalBytes) {
+        const segments = [];
+        for (let start = 0, index = 0; start < totalBytes; start += this.chunkSize, index++) {
+            segments.push({ index, start, end: Math.min(start + this.chunkSize, totalBytes) - 1 });
+        }
+        return segments;
+    }
+
+    /**
+     * Download url into filepath using parallel range requests.
+     * job: { processes: Set } - running transfers (curl processes) are added so the caller can kill() them
+     * options.completedSegments - indexes already on disk from an earlier attempt
+     * options.onSegmentComplete(index) - called (and awaited) as each segment lands
+     * options.isCancelled() - checked between segments
+     * options.onProgress(downloadedBytes, activeSegments) - called as data arrives
+     */
+    async download(url, filepath, totalBytes, job, options = {}) {
+        const {
+            completedSegments = [],
+            onSegmentComplete = async () => {},
+            isCancelled = () => false,
+            onProgress = () => {}
+        } = options;
+        const allSegments = this.planSegments(totalBytes);
+        const done = new Set(completedSegments);
+        const segments = allSegments.filter(segment => !done.has(segment.index));
+        const concurrency = Math.min(this.maxConcurrentChunks, segments.length);
+
+        console.log(`⚡ Segmented download: ${allSegments.length} segments of ${(this.chunkSize / 1024 / 1024).toFixed(2)} MB, ${segments.length} to fetch, ${concurrency} at a time`);
+
+        // Size the file up front so every segment can write at its offset (keeping data from earlier attempts)
+        const handle = await fs.open(filepath, await fs.pathExists(filepath) ? 'r+' : 'w');
+        try {
+            await fs.ftruncate(handle, totalBytes);
+        } finally {
+            await fs.close(handle);
+        }
+
+        const segmentBytes = allSegments.map(segment =>
+            done.has(segment.index) ? segment.end - segment.start + 1 : 0
+        );
+        let downloadedBytes = segmentBytes.reduce((total, bytes) => total + bytes, 0);
+        let activeSegments = 0;
+        let nextSegment = 0;
+        let failure = null;
+
+        const report = (index, bytes) => {
+            downloadedBytes += bytes - segmentBytes[index];
+            segmentBytes[index] = bytes;
+            onProgress(downloadedBytes, activeSegments);
+        };
+
+        // Once one segment has given up, the others stop instead of retrying
+        const shouldStop = () => isCancelled() || failure !== null;
+
+        const worker = async () => {
+            while (nextSegment < segments.length) {
+                if (shouldStop()) return;
+
+                const segment = segments[nextSegment++];
+                activeSegments++;
+                try {
+                    await this.downloadSegmentWithRetry(url, filepath, segment, job, {
+                        isCancelled: shouldStop,
+                        onBytes: (bytes) => report(segment.index, bytes)
+                    });
+                    await onSegmentComplete(segment.index);
+                } catch (error) {
+                    failure = failure || error;
+                    // Stop the other segments; the download as a whole has failed
+                    for (const child of job.processes) child.kill('SIGTERM');
+                } finally {
+                    activeSegments--;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        if (failure) throw failure;
+        if (isCancelled()) throw new DownloadCancelledError(filepath);
+
+        const { size } = await fs.stat(filepath);
+        if (downloadedBytes !== totalBytes || size !== totalBytes) {
+            throw new ChecksumMismatchError(`Segmented download incomplete: got ${downloadedBytes} of ${totalBytes} bytes`);
+        }
+
+        return downloadedBytes;
+    }
+
+    async downloadSegmentWithRetry(url, filepath, segment, job, options) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.downloadSegment(url, filepath, segment, job, options);
+            } catch (error) {
+                if (options.isCancelled() || error.rangeUnsupported || attempt > this.segmentRetries) {
+                    throw error;
+                }
+
+                console.log(`⚠️ Segment ${segment.index} (${segment.start}-${segment.end}) failed: ${error.message} - retry ${attempt}/${this.segmentRetries}`);
+                options.onBytes(0);
+                await delay(this.retryDelay * attempt);
+            }
+        }
+    }
+
+    // Fetch one byte range with curl and stream it into place
+    async downloadSegment(url, filepath, segment, job, options) {
+        const expectedBytes = segment.end - segment.start + 1;
+
+        const proxy = proxyResolver.forUrl(url);
+        const curl = spawnCurl([
+            url,
+            ...CURL_BASE_ARGS,
+            ...curlProxyArgs(proxy),
+            ...requestProfiles.curlArgs(url),
+            '--max-time', '600',
+            '--range', `${segment.start}-${segment.end}`,
+            '-o', '-'
+        ], [...curlProxyConfig(proxy), ...requestProfiles.curlConfig(url)]);
+        job.processes.add(curl);
+
+        let receivedBytes = 0;
+        let errorBuffer = '';
+        let rangeIgnored = false;
+
+        curl.stderr.on('data', (data) => {
+            errorBuffer += data.toString();
+        });
+
+        curl.stdout.on('data', (chunk) => {
+            receivedBytes += chunk.length;
+            // A server that ignores Range sends the whole file - stop before it overruns the next segment
+            if (receivedBytes > expectedBytes) {
+                rangeIgnored = true;
+                curl.kill('SIGTERM');
+                return;
+            }
+            options.onBytes(receivedBytes);
+        });
+
+        const exited = new Promise((resolve, reject) => {
+            curl.on('close', resolve);
+            curl.on('error', reject);
+        });
+
+        const writeStream = fs.createWriteStream(filepath, { flags: 'r+', start: segment.start });
+
+        try {
+            await Promise.all([
+                pipeline(curl.stdout, this.bandwidthLimiter.throttle(), writeStream).catch((error) => {
+                    if (!rangeIgnored) throw error;
+                }),
+                exited.then((code) => {
+                    if (rangeIgnored) {
+                        throw new RangeNotSupportedError();
+                    }
+                    if (code !== 0) {
+                        throw curlExitError(code, errorBuffer);
+                    }
+                })
+            ]);
+        } finally {
+            job.processes.delete(curl);
+        }
+
+        if (receivedBytes !== expectedBytes) {
+            throw new NetworkError(`short segment: got ${receivedBytes} of ${expectedBytes} bytes`);
+        }
+    }
+}
+
+/**
+ * Segmented downloads for the Node backend: the same planning, resuming and retries, with
+ * each range fetched through options.request(url, requestOptions) - CurlDownloader.request,
+ * so proxies, request profiles and redirects work as for its single stream - instead of curl.
+ */
+export class NodeSegmentedDownloader extends SegmentedDownloader {
+    constructor(options = {}) {
+        super(options);
+        this.request = options.request;
+    }
+
+    async supportsRanges(url, fileInfo = {}) {
+        if (fileInfo.acceptRanges === 'bytes') return true;
+        if (fileInfo.acceptRanges === 'none') return false;
+
+        try {
+            const response = await this.request(url, { headers: { Range: 'bytes=0-0' }, timeout: 30000 });
+            response.resume();
+            return response.statusCode === 206;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Fetch one byte range over HTTP and stream it into place
+    async downloadSegment(url, filepath, segment, job, options) {
+        const expectedBytes = segment.end - segment.start + 1;
+
+        // Stands in for a curl process in job.processes, so cancelling stops this range too
+        const transfer = {
+            request: null,
+            response: null,
+            kill() {
+                this.response?.destroy();
+                this.request?.destroy();
+            }
+        };
+        job.processes.add(transfer);
+
+        let receivedBytes = 0;
+        try {
+            const response = await this.request(url, {
+                headers: { Range: `bytes=${segment.start}-${segment.end}` },
+                onRequest: (request) => { transfer.request = request; }
+            });
+            transfer.response = response;
+
+            // A 200 is the whole file - the server ignores ranges
+            if (response.statusCode === 200) {
+                response.destroy();
+                throw new RangeNotSupportedError();
+            }
+            if (response.statusCode !== 206) {
+                response.resume();
+                throw new HttpStatusError(response.statusCode, `HTTP ${response.statusCode}: ${response.statusMessage}`);
+            }
+
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    receivedBytes += chunk.length;
+                    // Don't let a wrong-sized answer overrun the next segment
+                    if (receivedBytes > expectedBytes) {
+                        return callback(new RangeNotSupportedError(`Server sent more than the requested range ${segment.start}-${segment.end}`));
+                    }
+                    options.onBytes(receivedBytes);
+                    callback(null, chunk);
+                }
+            });
+
+            await pipeline(
+                response,
+                counter,
+                this.bandwidthLimiter.throttle(),
+                fs.createWriteStream(filepath, { flags: 'r+', start: segment.start })
+            );
+        } catch (error) {
+            throw error.rangeUnsupported ? error : classifyError(error);
+        } finally {
+            job.processes.delete(transfer);
+        }
+
+        if (receivedBytes !== expectedBytes) {
+            throw new NetworkError(`short segment: got ${receivedBytes} of ${expectedBytes} bytes`);
+        }
+    }
+}
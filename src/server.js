@@ -6,8 +6,25 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import fs from 'fs-extra';
-import { RomDownloader } from './romDownloader.js';
-import { RomOrganizer } from './organizer.js';
+import { RomDownloader, resolveDownloadBackend, SCRAPER_MODES } from './romDownloader.js';
+import { RomOrganizer, ORGANIZED_DIR } from './organizer.js';
+import { ArchiveBrowser } from './archiveBrowser.js';
+import { ScrapeCache } from './scrapeCache.js';
+import { sourceRegistry } from './sources/index.js';
+import { SourceCatalog, sourceIdFor } from './sourceCatalog.js';
+import { browserPool } from './browserPool.js';
+import { ScrapeJobManager, ScrapeCancelledError } from './scrapeJobs.js';
+import { PartialDownload, isPartialFile } from './partialDownload.js';
+import { normalizeQueue, pickNextRom, moveRom, parsePriority, findRomIndex, queueAdditions, dedupeFileNames } from './queueOrder.js';
+import { classifyError, RetryPolicy, UnsafePathError } from './downloadErrors.js';
+import { settingsStore } from './settings.js';
+import { bandwidthLimiter, normalizeBandwidthSettings } from './bandwidthLimiter.js';
+import { DownloadSchedule, normalizeDownloadWindows } from './downloadWindows.js';
+import { parseSizeToBytes, parseListingDate } from './listingParser.js';
+import { DiskSpaceGuard, normalizeStorageSettings } from './diskSpace.js';
+import { proxyResolver, normalizeProxySettings, redactProxySettings } from './proxy.js';
+import { requestProfiles, redactRequestProfile } from './requestProfiles.js';
+import { safeFileName, resolveExistingWithin } from './fileNames.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,6 +65,10 @@ let sharedRoomData = {
   sessionId: SHARED_ROOM_ID,
   roms: [],
   currentRom: null,
+  currentRoms: [], // every ROM being transferred right now
+  queuePaused: false,
+  queuePauseMode: null, // 'finish', 'suspend' or 'insufficient-space'
+  spaceShortage: null, // why the queue paused itself for disk space
   downloadHistory: [],
   ruleset: null,
   lastActivity: new Date().toISOString(),
@@ -72,16 +93,31 @@ function computeRoomStatus(roomData) {
 
   const hasDownloading = roomData.roms.some(rom => rom.status === 'downloading');
   const hasAvailable = roomData.roms.some(rom => rom.status === 'available');
-  const hasPending = roomData.roms.some(rom => rom.status === 'pending');
+  const hasPending = roomData.roms.some(rom => rom.status === 'pending' || rom.status === 'retrying');
+  const hasScheduled = roomData.roms.some(rom => rom.status === 'scheduled');
 
   if (hasDownloading) {
     return 'downloading';
   }
 
+  // Paused by the disk space check rather than by a user
+  if (roomData.queuePaused && roomData.queuePauseMode === 'insufficient-space') {
+    return 'insufficient-space';
+  }
+
+  if (roomData.queuePaused && (hasAvailable || hasPending || hasScheduled)) {
+    return 'paused';
+  }
+
   if (hasAvailable || hasPending) {
     return 'ready';
   }
 
+  // Waiting for the next download window
+  if (hasScheduled) {
+    return 'scheduled';
+  }
+
   // All ROMs are either success, failed, error, or needs-rescrape
   return 'complete';
 }
@@ -102,100 +138,332 @@ function getEnhancedRoomData(roomData) {
     status,
     totalRoms,
     completedRoms,
-    failedRoms
+    failedRoms,
+    bandwidthLimit: bandwidthLimiter.status(),
+    downloadWindow: downloadProcessor.downloadSchedule.status(),
+    diskSpace: downloadProcessor.diskSpace.lastStatus
   };
 }
 
-// Room-based download processor
+// Downloaders report progress several times a second; clients get at most one fileProgress
+// per ROM in this many ms
+const PROGRESS_EMIT_INTERVAL = parseInt(process.env.PROGRESS_EMIT_INTERVAL) || 500;
+
+// Room-based download processor - a pool of workers that each pull the next
+// available ROM from the room, so one slow file doesn't hold up the whole queue
 class RoomDownloadProcessor {
-  constructor() {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3;
     this.isProcessing = false;
-    this.currentDownload = null;
+    this.currentDownloads = new Map(); // romName -> rom for every in-flight transfer
+    this.inFlight = new Set(); // romName of every claimed ROM until its worker is done with it, stopped transfers included
+    this.fileSpeeds = new Map(); // romName -> latest currentSpeed, summed for the session speed
+    this.progressEmits = new Map(); // romName -> { lastSent, status, pending, timer } for throttling fileProgress
+    this.cancelledRoms = new Set(); // cancelled this run - not picked up again until the pool drains
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.retryTimers = new Map(); // romName -> timer that puts a 'retrying' ROM back in the queue
+    this.downloadSchedule = options.downloadSchedule || new DownloadSchedule(); // when new downloads may start
+    this.diskSpace = options.diskSpace || new DiskSpaceGuard({
+      downloadsDir: process.env.DOWNLOADS_DIR || './downloads',
+      organizedDir: ORGANIZED_DIR
+    });
+    this.workers = 0;
     this.downloader = null;
+    this.downloaderReady = null;
     this.isCancelling = false;
   }
 
-  // Start processing downloads for the room
+  // Create and initialize the shared downloader once, even if several workers start together
+  async ensureDownloader(roomData) {
+    if (!this.downloaderReady) {
+      console.log(`🚀 Initializing downloader`);
+      this.downloader = new RomDownloader({
+        timeout: 30000,
+        backend: settingsStore.get('downloads')?.backend,
+        progressCallback: (progressData) => {
+          this.throttleProgress(progressData, (latest) => {
+            // Update session statistics
+            this.updateSessionStats(latest, roomData);
+
+            // Emit progress to the shared room with session stats
+            io.to(SHARED_ROOM_ID).emit('fileProgress', {
+              ...latest,
+              sessionStats: roomData.sessionStats
+            });
+          });
+        }
+      });
+
+      const downloader = this.downloader;
+      this.downloaderReady = downloader.init().catch((error) => {
+        this.downloader = null;
+        this.downloaderReady = null;
+        throw error;
+      });
+    }
+
+    await this.downloaderReady;
+    return this.downloader;
+  }
+
+  // Start processing downloads for the room. Calling this while downloads are running
+  // tops the pool back up to maxConcurrent workers so newly queued ROMs start right away.
   async startProcessing(roomData) {
-    if (this.isProcessing) {
-      console.log(`⚠️ Download processing already in progress`);
+    if (roomData.queuePaused) {
+      console.log(`⏸️ Download queue is paused - not starting downloads`);
       return;
     }
 
-    const availableRoms = roomData.roms.filter(rom => rom.status === 'available');
-    if (availableRoms.length === 0) {
+    if (this.applySchedule(roomData).changed > 0) {
+      this.emitRoomUpdate(roomData);
+      saveSessions();
+    }
+
+    const availableCount = roomData.roms.filter(rom =>
+      rom.status === 'available' && !this.inFlight.has(rom.name) && !this.cancelledRoms.has(rom.name)
+    ).length;
+    if (availableCount === 0) {
       console.log(`⚠️ No available ROMs to download`);
       return;
     }
 
-    this.isProcessing = true;
-    console.log(`🔄 Starting download processing (${availableRoms.length} ROMs)`);
+    const newWorkers = Math.min(this.maxConcurrent - this.workers, availableCount);
+    if (newWorkers <= 0) {
+      console.log(`⚠️ All ${this.maxConcurrent} download workers busy - ${availableCount} ROMs waiting`);
+      return;
+    }
 
     try {
-      // Initialize downloader if needed
-      if (!this.downloader) {
-        console.log(`🚀 Initializing downloader`);
-        this.downloader = new RomDownloader({
-          headless: true,
-          timeout: 30000,
-          progressCallback: (progressData) => {
-            // Update session statistics
-            this.updateSessionStats(progressData, roomData);
-
-            // Emit progress to the shared room with session stats
-            const enhancedProgressData = {
-              ...progressData,
-              sessionStats: roomData.sessionStats
-            };
-
-            console.log(`📊 Downloader emitting progress to shared room (${SHARED_ROOM_ID}):`, {
-              romName: enhancedProgressData.romName,
-              progress: enhancedProgressData.progress,
-              downloadedBytes: enhancedProgressData.downloadedBytes,
-              totalBytes: enhancedProgressData.totalBytes,
-              currentSpeed: enhancedProgressData.currentSpeed
-            });
-
-            // Get connected clients count for debugging
-            const connectedClients = io.sockets.adapter.rooms.get(SHARED_ROOM_ID)?.size || 0;
-            console.log(`📊 Emitting to ${connectedClients} clients in room ${SHARED_ROOM_ID}`);
-
-            io.to(SHARED_ROOM_ID).emit('fileProgress', enhancedProgressData);
-          }
-        });
+      await this.ensureDownloader(roomData);
+    } catch (error) {
+      console.error(`❌ Error in download processing:`, error);
+      return;
+    }
 
-        await this.downloader.init();
-      }
+    this.isProcessing = true;
+    console.log(`🔄 Starting ${newWorkers} download worker(s) (${availableCount} ROMs, max ${this.maxConcurrent} concurrent)`);
 
-      // Process ROMs one by one
-      for (const rom of availableRoms) {
-        // Check if ROM is still available (might have been removed)
-        const romIndex = roomData.roms.findIndex(r => r.name === rom.name);
-        if (romIndex === -1 || roomData.roms[romIndex].status !== 'available') {
-          console.log(`⚠️ ROM ${rom.name} no longer available - skipping`);
-          continue;
-        }
+    const workers = [];
+    for (let i = 0; i < newWorkers; i++) {
+      workers.push(this.runWorker(roomData));
+    }
+    await Promise.all(workers);
+  }
 
-        this.currentDownload = rom;
+  // Pull ROMs off the queue until none are left
+  async runWorker(roomData) {
+    this.workers++;
 
+    try {
+      let rom;
+      while ((rom = this.claimNextRom(roomData))) {
         try {
           await this.processDownloadItem(rom, roomData);
         } catch (error) {
-          console.error(`❌ Failed to process download item:`, error);
-          await this.handleDownloadError(rom, error, roomData);
+          if (error.cancelled || this.wasStopped(rom)) {
+            // Whoever stopped it (pause, cancel, suspend) has set the ROM's status; anything
+            // else cancelled it - put it back in the queue, but not for this pool run
+            if (rom.status === 'downloading') {
+              rom.status = 'available';
+              this.cancelledRoms.add(rom.name);
+              recalculateQueueState(roomData);
+              this.emitRoomUpdate(roomData);
+            }
+            console.log(`🚫 Download stopped: ${rom.name} (${rom.status})`);
+          } else {
+            console.error(`❌ Failed to process download item:`, error);
+            await this.handleDownloadError(rom, error, roomData);
+          }
+        } finally {
+          // A stop can land after the transfer is over (e.g. while organizing); don't let it
+          // cancel the next download of this name
+          this.downloader?.clearCancelledStatus(rom.name);
+          this.releaseRom(rom, roomData);
+          this.inFlight.delete(rom.name);
         }
-
-        this.currentDownload = null;
       }
-
     } catch (error) {
       console.error(`❌ Error in download processing:`, error);
     } finally {
-      this.isProcessing = false;
-      console.log(`✅ Download processing completed`);
+      this.workers--;
+      if (this.workers === 0) {
+        this.isProcessing = false;
+        this.cancelledRoms.clear();
+        // "Start now" covers what was queued at the time; later ROMs follow the download windows again
+        if (roomData.scheduleOverride) {
+          roomData.scheduleOverride = false;
+          this.applySchedule(roomData);
+          this.emitRoomUpdate(roomData);
+        }
+        console.log(`✅ Download processing completed`);
+      }
     }
   }
 
+  // Take the highest-priority available ROM and mark it downloading before any await,
+  // so two workers can never pick the same file
+  claimNextRom(roomData) {
+    if (roomData.queuePaused) return null;
+    if (!roomData.scheduleOverride && !this.downloadSchedule.isOpen()) return null;
+
+    // A stopped transfer may still be shutting down; its .part file isn't free until the worker is done
+    const rom = pickNextRom(roomData.roms, candidate =>
+      candidate.status === 'available' &&
+      !this.inFlight.has(candidate.name) &&
+      !this.cancelledRoms.has(candidate.name)
+    );
+    if (!rom) return null;
+
+    rom.status = 'downloading';
+    this.inFlight.add(rom.name);
+    this.currentDownloads.set(rom.name, rom);
+    this.syncActiveDownloads(roomData);
+    return rom;
+  }
+
+  // Outside the download windows, queued ROMs wait as 'scheduled'; they go back to
+  // 'available' when a window opens or the user starts them anyway. Running downloads finish.
+  applySchedule(roomData, now = new Date()) {
+    const open = Boolean(roomData.scheduleOverride) || this.downloadSchedule.isOpen(now);
+    const nextOpen = open ? null : this.downloadSchedule.nextOpen(now);
+    roomData.scheduledUntil = nextOpen ? nextOpen.toISOString() : null;
+
+    let changed = 0;
+    for (const rom of roomData.roms) {
+      if (open && rom.status === 'scheduled') {
+        rom.status = 'available';
+        changed++;
+      } else if (!open && rom.status === 'available' && !this.currentDownloads.has(rom.name)) {
+        rom.status = 'scheduled';
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      console.log(open
+        ? `🕒 Download window open - ${changed} ROM(s) back in the queue`
+        : `🕒 Outside download windows - ${changed} ROM(s) scheduled until ${roomData.scheduledUntil}`);
+    }
+    return { open, changed };
+  }
+
+  // Called periodically so windows opening and closing take effect without any other activity
+  checkSchedule(roomData) {
+    const { open, changed } = this.applySchedule(roomData);
+    if (changed === 0) return;
+
+    roomData.lastActivity = new Date().toISOString();
+    recalculateQueueState(roomData);
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+
+    if (open) {
+      this.startProcessing(roomData);
+    }
+  }
+
+  // Ignore the download windows until everything queued now has been processed
+  async startNow(roomData) {
+    console.log(`▶️ Starting queued downloads now, outside the download windows`);
+    roomData.scheduleOverride = true;
+    this.applySchedule(roomData);
+
+    // Nothing to start - don't leave the override behind for ROMs queued later
+    if (!roomData.roms.some(rom => rom.status === 'available')) {
+      roomData.scheduleOverride = false;
+    }
+
+    roomData.lastActivity = new Date().toISOString();
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+
+    this.startProcessing(roomData);
+  }
+
+  // Forward progress at most every PROGRESS_EMIT_INTERVAL per ROM. Updates in between are
+  // coalesced and the latest one is sent when the interval is up; a status change (e.g.
+  // 'complete') goes out straight away.
+  throttleProgress(progressData, send) {
+    const romName = progressData.romName;
+    let entry = this.progressEmits.get(romName);
+    if (!entry) {
+      entry = { lastSent: 0, status: null, pending: null, timer: null };
+      this.progressEmits.set(romName, entry);
+    }
+
+    const now = Date.now();
+    if (progressData.status !== entry.status || now - entry.lastSent >= PROGRESS_EMIT_INTERVAL) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.pending = null;
+      entry.lastSent = now;
+      entry.status = progressData.status;
+      if (progressData.status !== 'downloading') {
+        this.progressEmits.delete(romName);
+      }
+      send(progressData);
+      return;
+    }
+
+    entry.pending = progressData;
+    if (!entry.timer) {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        const latest = entry.pending;
+        entry.pending = null;
+        if (latest) {
+          entry.lastSent = Date.now();
+          send(latest);
+        }
+      }, PROGRESS_EMIT_INTERVAL - (now - entry.lastSent));
+    }
+  }
+
+  // Drop progress still waiting to go out, so a stopped ROM doesn't show as downloading again
+  clearProgress(romName) {
+    const entry = this.progressEmits.get(romName);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.progressEmits.delete(romName);
+    }
+  }
+
+  releaseRom(rom, roomData) {
+    this.currentDownloads.delete(rom.name);
+    this.fileSpeeds.delete(rom.name);
+    this.clearProgress(rom.name);
+    this.syncActiveDownloads(roomData);
+  }
+
+  isDownloading(romName) {
+    return this.currentDownloads.has(romName);
+  }
+
+  // True once pause, cancel or suspend took the ROM out of the active set
+  wasStopped(rom) {
+    return this.currentDownloads.get(rom.name) !== rom;
+  }
+
+  // Mirror the in-flight set onto the room; currentRom stays for clients that only show one
+  syncActiveDownloads(roomData) {
+    const names = [...this.currentDownloads.keys()];
+    roomData.currentRoms = names;
+    roomData.currentRom = names[0] || null;
+
+    if (roomData.sessionStats) {
+      roomData.sessionStats.activeDownloads = names.length;
+      roomData.sessionStats.currentDownloadSpeed = this.getTotalSpeed();
+    }
+  }
+
+  getTotalSpeed() {
+    let total = 0;
+    for (const speed of this.fileSpeeds.values()) {
+      total += speed;
+    }
+    return total;
+  }
+
   // Process a single download item
   async processDownloadItem(rom, roomData) {
     const ruleset = roomData.ruleset;
@@ -203,15 +471,8 @@ class RoomDownloadProcessor {
     console.log(`⬇️ Processing download: ${rom.name}`);
 
     // Update room state
-    roomData.currentRom = rom.name;
     roomData.lastActivity = new Date().toISOString();
 
-    // Update ROM status in room
-    const romIndex = roomData.roms.findIndex(r => r.name === rom.name);
-    if (romIndex !== -1) {
-      roomData.roms[romIndex].status = 'downloading';
-    }
-
     // Emit room update to all connected clients
     let enhancedRoomData = getEnhancedRoomData(roomData);
     io.to(SHARED_ROOM_ID).emit('roomUpdate', {
@@ -219,10 +480,26 @@ class RoomDownloadProcessor {
       ...enhancedRoomData
     });
 
+    // Check there is room for the file (and its organized copy) before starting
+    await this.diskSpace.preflight(rom.name, { expectedBytes: rom.sizeBytes || 0, organize: Boolean(ruleset) });
+
     // Download the ROM using HTTP instead of Playwright
     const filepath = await this.downloader.downloadSingleRomHTTP(rom);
     console.log(`✅ Successfully downloaded: ${rom.name} to ${filepath}`);
 
+    // The ROM may have been removed from the queue while it was downloading. Match the claimed
+    // entry itself: a finished or failed entry with the same name can still be in the queue.
+    const inQueue = roomData.roms.includes(rom);
+
+    // Record the real size when the listing didn't provide one
+    if (inQueue && !rom.sizeBytes) {
+      try {
+        rom.sizeBytes = (await fs.stat(filepath)).size;
+      } catch (statError) {
+        console.warn(`⚠️ Could not stat downloaded file ${filepath}:`, statError.message);
+      }
+    }
+
     // Apply ruleset if specified
     let organizationResult = null;
     if (ruleset) {
@@ -245,9 +522,14 @@ class RoomDownloadProcessor {
       }
     }
 
-    // Update room data for success
-    if (romIndex !== -1) {
-      roomData.roms[romIndex].status = 'success';
+    // Update room data for success - unless it was paused or cancelled while finishing up,
+    // in which case the status the user set stands
+    if (inQueue && this.wasStopped(rom)) {
+      console.log(`⚠️ ${rom.name} finished after it was stopped - leaving it ${rom.status}`);
+    } else if (inQueue) {
+      rom.status = 'success';
+      rom.failedAttempts = 0;
+      rom.nextRetryAt = null;
     }
     roomData.downloadHistory = roomData.downloadHistory || [];
     roomData.downloadHistory.push({
@@ -255,11 +537,12 @@ class RoomDownloadProcessor {
       status: 'success',
       completedAt: new Date().toISOString(),
       originalPath: filepath,
+      checksums: rom.checksums || null, // { sha1, md5, crc32, size } of the verified file
       organizationResult
     });
 
-    // Clear current ROM and recalculate state
-    roomData.currentRom = null;
+    // Drop this ROM from the active set and recalculate state
+    this.releaseRom(rom, roomData);
     roomData.lastActivity = new Date().toISOString();
     recalculateQueueState(roomData);
 
@@ -274,69 +557,145 @@ class RoomDownloadProcessor {
     saveSessions();
   }
 
-  // Handle download errors
+  // Record the failed attempt, then either schedule a retry (with backoff for the error's
+  // kind) or give the ROM its final status: failed, corrupted or needs-rescrape
   async handleDownloadError(rom, error, roomData) {
+    const failure = classifyError(error);
+    console.error(`❌ Download failed for ${rom.name} (${failure.kind}):`, failure.message);
+
+    // A full disk isn't the ROM's fault - keep it queued and stop starting new downloads
+    if (failure.kind === 'disk-full') {
+      await this.pauseForSpace(rom, failure, roomData);
+      return;
+    }
+
+    // The ROM may have been removed from the queue while it was downloading. rom is the claimed
+    // entry, not the first one with its name, so a stale entry of the same name is left alone.
+    const inQueue = roomData.roms.includes(rom);
+    const now = new Date();
+
+    rom.failedAttempts = (rom.failedAttempts || 0) + 1;
+    rom.attempts = rom.attempts || [];
+    rom.attempts.push({
+      attempt: rom.failedAttempts,
+      failedAt: now.toISOString(),
+      kind: failure.kind,
+      statusCode: failure.statusCode || null,
+      error: failure.message
+    });
+    // Keep the history bounded for ROMs that fail over and over
+    if (rom.attempts.length > 20) {
+      rom.attempts.splice(0, rom.attempts.length - 20);
+    }
+    rom.lastError = failure.message;
+
+    // Don't resume from data that failed its checks
+    if (failure.kind === 'checksum') {
+      const downloadsDir = process.env.DOWNLOADS_DIR || './downloads';
+      await new PartialDownload(path.join(downloadsDir, rom.name)).discard().catch(() => {});
+    }
 
-    console.error(`❌ Download failed for ${rom.name}:`, error);
+    const retryDelay = inQueue ? this.retryPolicy.nextRetryDelay(failure, rom.failedAttempts) : null;
 
-    // Update ROM status in room
-    const romIndex = roomData.roms.findIndex(r => r.name === rom.name);
-    if (romIndex !== -1) {
-      // Check error type and set appropriate status
-      if (error.message.includes('downloadUrl') || error.message.includes('re-scrape')) {
-        roomData.roms[romIndex].status = 'needs-rescrape';
+    if (retryDelay !== null) {
+      rom.status = 'retrying';
+      rom.maxAttempts = this.retryPolicy.maxAttemptsFor(failure);
+      rom.nextRetryAt = new Date(now.getTime() + retryDelay).toISOString();
+      console.log(`⏳ Retrying ${rom.name} in ${Math.round(retryDelay / 1000)}s (attempt ${rom.failedAttempts + 1}/${rom.maxAttempts})`);
+      this.scheduleRetry(rom, roomData, retryDelay);
+    } else {
+      rom.status = failure.status;
+      rom.nextRetryAt = null;
+      if (failure.status === 'needs-rescrape') {
         console.log(`🔄 Marked ROM as needing re-scrape: ${rom.name}`);
-      } else if (error.message.includes('Corrupted') || error.message.includes('Z_DATA_ERROR') || error.message.includes('invalid stored block lengths')) {
-        roomData.roms[romIndex].status = 'corrupted';
+      } else if (failure.status === 'corrupted') {
         console.log(`💥 Marked ROM as corrupted (needs re-download): ${rom.name}`);
-      } else {
-        roomData.roms[romIndex].status = 'failed';
       }
-    }
-
-    roomData.downloadHistory = roomData.downloadHistory || [];
 
-    // Determine status for history
-    let historyStatus = 'failed';
-    if (error.message.includes('downloadUrl') || error.message.includes('re-scrape')) {
-      historyStatus = 'needs-rescrape';
-    } else if (error.message.includes('Corrupted') || error.message.includes('Z_DATA_ERROR') || error.message.includes('invalid stored block lengths')) {
-      historyStatus = 'corrupted';
+      roomData.downloadHistory = roomData.downloadHistory || [];
+      roomData.downloadHistory.push({
+        name: rom.name,
+        status: failure.status,
+        completedAt: now.toISOString(),
+        error: failure.message,
+        errorKind: failure.kind,
+        attempts: rom.failedAttempts
+      });
     }
 
-    roomData.downloadHistory.push({
-      name: rom.name,
-      status: historyStatus,
-      completedAt: new Date().toISOString(),
-      error: error.message
-    });
-
-    // Clear current ROM and recalculate state
-    roomData.currentRom = null;
+    // Drop this ROM from the active set and recalculate state
+    this.releaseRom(rom, roomData);
     roomData.lastActivity = new Date().toISOString();
     recalculateQueueState(roomData);
 
     // Emit room update to all connected clients (status is computed automatically)
-    const enhancedRoomDataError = getEnhancedRoomData(roomData);
-    io.to(SHARED_ROOM_ID).emit('roomUpdate', {
-      roomId: SHARED_ROOM_ID,
-      ...enhancedRoomDataError
-    });
+    this.emitRoomUpdate(roomData);
 
     // Save sessions
     saveSessions();
   }
 
-  // Clean shutdown
-  async shutdown() {
+  // Put a 'retrying' ROM back in the queue once its backoff has passed
+  scheduleRetry(rom, roomData, delay) {
+    this.cancelRetry(rom.name);
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(rom.name);
+      if (rom.status !== 'retrying' || !roomData.roms.includes(rom)) return;
+
+      console.log(`🔁 Retrying download: ${rom.name}`);
+      rom.status = 'available';
+      rom.nextRetryAt = null;
+      roomData.lastActivity = new Date().toISOString();
+      this.emitRoomUpdate(roomData);
+      saveSessions();
+
+      this.startProcessing(roomData);
+    }, Math.max(0, delay));
+
+    this.retryTimers.set(rom.name, timer);
+  }
+
+  cancelRetry(romName) {
+    clearTimeout(this.retryTimers.get(romName));
+    this.retryTimers.delete(romName);
+  }
+
+  // Re-arm retry timers for ROMs that were waiting to retry when the server stopped
+  restoreRetries(roomData) {
+    for (const rom of roomData.roms || []) {
+      if (rom.status === 'retrying' && !this.retryTimers.has(rom.name)) {
+        const delay = rom.nextRetryAt ? new Date(rom.nextRetryAt).getTime() - Date.now() : 0;
+        this.scheduleRetry(rom, roomData, delay);
+      }
+    }
+  }
+
+  // Clean shutdown: stop every transfer and wait (up to timeoutMs) for the workers to wind
+  // down, so curl children have exited and .part.json sidecars are written before we exit
+  async shutdown(timeoutMs = 10000) {
     console.log(`🛑 Shutting down download processor`);
     this.isProcessing = false;
-    this.currentDownload = null;
+    for (const romName of [...this.retryTimers.keys()]) {
+      this.cancelRetry(romName);
+    }
 
     if (this.downloader) {
       await this.downloader.close();
-      this.downloader = null;
     }
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.workers > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (this.workers > 0) {
+      console.warn(`⚠️ ${this.workers} download worker(s) still busy after ${timeoutMs / 1000}s, exiting anyway`);
+    }
+
+    this.currentDownloads.clear();
+    this.fileSpeeds.clear();
+    this.downloader = null;
+    this.downloaderReady = null;
   }
 
   // Cancel a specific download
@@ -344,33 +703,21 @@ class RoomDownloadProcessor {
     console.log(`🚫 Cancelling download: ${romName}`);
 
     try {
-      // Cancel in the downloader if it exists
-      if (this.downloader) {
-        this.downloader.cancelDownload(romName);
-      }
-
-      // Update ROM status in room data
-      const romIndex = roomData.roms.findIndex(r => r.name === romName);
-      if (romIndex !== -1) {
-        roomData.roms[romIndex].status = 'available'; // Reset to available for retry
+      // Update ROM status in room data - the entry being downloaded, not an older one of the same name
+      const rom = this.currentDownloads.get(romName) || roomData.roms[findRomIndex(roomData.roms, romName)];
+      if (rom && roomData.roms.includes(rom)) {
+        rom.status = 'available'; // Reset to available for retry
         console.log(`✅ ROM status reset to available: ${romName}`);
       }
 
-      // If this was the current download, clear it
-      if (this.currentDownload && this.currentDownload.name === romName) {
-        this.currentDownload = null;
-        console.log(`✅ Cleared current download: ${romName}`);
+      // Don't let the other workers pick it straight back up
+      if (this.stopTransfer(romName, roomData)) {
+        this.cancelledRoms.add(romName);
       }
 
       // Update room state
       roomData.lastActivity = new Date().toISOString();
-
-      // Emit room update to all connected clients
-      const enhancedRoomData = getEnhancedRoomData(roomData);
-      io.to(SHARED_ROOM_ID).emit('roomUpdate', {
-        roomId: SHARED_ROOM_ID,
-        ...enhancedRoomData
-      });
+      this.emitRoomUpdate(roomData);
 
       console.log(`✅ Download cancelled successfully: ${romName}`);
       return true;
@@ -381,6 +728,175 @@ class RoomDownloadProcessor {
     }
   }
 
+  // Stop an in-flight transfer (its .part file is kept) and drop it from the active set;
+  // the worker that owned it moves on to the next ROM. Returns false if it wasn't running.
+  stopTransfer(romName, roomData) {
+    if (!this.currentDownloads.has(romName)) {
+      return false;
+    }
+
+    if (this.downloader) {
+      this.downloader.cancelDownload(romName);
+    }
+
+    this.currentDownloads.delete(romName);
+    this.fileSpeeds.delete(romName);
+    this.syncActiveDownloads(roomData);
+    console.log(`✅ Cleared active download: ${romName}`);
+    return true;
+  }
+
+  // Pause a single ROM - queued ones are skipped, a running transfer is stopped and resumes from its partial data
+  async pauseRom(romName, roomData) {
+    const rom = roomData.roms.find(r => r.name === romName);
+    if (!rom) {
+      throw new Error('ROM not found in queue');
+    }
+    if (!['available', 'pending', 'downloading', 'retrying', 'scheduled'].includes(rom.status)) {
+      throw new Error(`Cannot pause a ROM with status '${rom.status}'`);
+    }
+
+    console.log(`⏸️ Pausing ROM: ${romName}`);
+    rom.status = 'paused';
+    rom.nextRetryAt = null;
+    this.cancelRetry(romName);
+    this.stopTransfer(romName, roomData);
+
+    roomData.lastActivity = new Date().toISOString();
+    recalculateQueueState(roomData);
+    io.to(SHARED_ROOM_ID).emit('romPaused', { romName });
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+    return rom;
+  }
+
+  async resumeRom(romName, roomData) {
+    const rom = roomData.roms.find(r => r.name === romName);
+    if (!rom) {
+      throw new Error('ROM not found in queue');
+    }
+    if (rom.status !== 'paused') {
+      throw new Error(`Cannot resume a ROM with status '${rom.status}'`);
+    }
+
+    console.log(`▶️ Resuming ROM: ${romName}`);
+    rom.status = 'available';
+    this.cancelledRoms.delete(romName);
+
+    roomData.lastActivity = new Date().toISOString();
+    recalculateQueueState(roomData);
+    io.to(SHARED_ROOM_ID).emit('romResumed', { romName });
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+
+    this.startProcessing(roomData);
+    return rom;
+  }
+
+  // Pause the whole queue. 'finish' lets running transfers complete but starts nothing new;
+  // 'suspend' also stops them, putting them back in the queue to resume from their partial data.
+  async pauseQueue(roomData, mode = 'finish') {
+    if (!['finish', 'suspend'].includes(mode)) {
+      throw new Error(`Unknown pause mode '${mode}' (expected 'finish' or 'suspend')`);
+    }
+
+    console.log(`⏸️ Pausing download queue (${mode})`);
+    roomData.queuePaused = true;
+    roomData.queuePauseMode = mode;
+
+    if (mode === 'suspend') {
+      for (const romName of [...this.currentDownloads.keys()]) {
+        const rom = roomData.roms.find(r => r.name === romName);
+        if (rom) rom.status = 'available';
+        this.stopTransfer(romName, roomData);
+      }
+    }
+
+    roomData.lastActivity = new Date().toISOString();
+    io.to(SHARED_ROOM_ID).emit('queuePaused', { mode });
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+  }
+
+  // Pause the queue when a download can't fit: the ROM goes back to 'available' without
+  // counting a failed attempt, and checkDiskSpace resumes once there is room again
+  async pauseForSpace(rom, failure, roomData) {
+    if (roomData.roms.includes(rom)) {
+      rom.status = 'available';
+      rom.lastError = failure.message;
+    }
+
+    const alreadyPaused = roomData.queuePaused && roomData.queuePauseMode === 'insufficient-space';
+    console.log(`💾 ${alreadyPaused ? 'Still not' : 'Pausing download queue - not'} enough disk space: ${failure.message}`);
+    roomData.queuePaused = true;
+    roomData.queuePauseMode = 'insufficient-space';
+    roomData.spaceShortage = {
+      message: failure.message,
+      ...failure.details,
+      detectedAt: new Date().toISOString()
+    };
+
+    this.releaseRom(rom, roomData);
+    roomData.lastActivity = new Date().toISOString();
+    recalculateQueueState(roomData);
+
+    if (!alreadyPaused) {
+      io.to(SHARED_ROOM_ID).emit('queuePaused', { mode: 'insufficient-space', reason: failure.message });
+    }
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+  }
+
+  // Refresh the free space figures; when the queue paused itself for space, resume it once
+  // the next ROM in line passes the preflight
+  async checkDiskSpace(roomData) {
+    try {
+      await this.diskSpace.status();
+    } catch (error) {
+      console.error(`❌ Could not check free disk space:`, error.message);
+      return;
+    }
+
+    if (!roomData.queuePaused || roomData.queuePauseMode !== 'insufficient-space') {
+      return;
+    }
+
+    const nextRom = pickNextRom(roomData.roms, candidate => candidate.status === 'available' && !this.inFlight.has(candidate.name));
+    try {
+      if (nextRom) {
+        await this.diskSpace.preflight(nextRom.name, { expectedBytes: nextRom.sizeBytes || 0, organize: Boolean(roomData.ruleset) });
+      }
+      console.log(`💾 Disk space available again`);
+      await this.resumeQueue(roomData);
+    } catch (error) {
+      if (classifyError(error).kind !== 'disk-full') throw error;
+      roomData.spaceShortage = { ...roomData.spaceShortage, message: error.message, ...error.details };
+      this.emitRoomUpdate(roomData);
+    }
+  }
+
+  async resumeQueue(roomData) {
+    console.log(`▶️ Resuming download queue`);
+    roomData.queuePaused = false;
+    roomData.queuePauseMode = null;
+    roomData.spaceShortage = null;
+
+    roomData.lastActivity = new Date().toISOString();
+    io.to(SHARED_ROOM_ID).emit('queueResumed', {});
+    this.emitRoomUpdate(roomData);
+    saveSessions();
+
+    this.startProcessing(roomData);
+  }
+
+  emitRoomUpdate(roomData) {
+    const enhancedRoomData = getEnhancedRoomData(roomData);
+    io.to(SHARED_ROOM_ID).emit('roomUpdate', {
+      roomId: SHARED_ROOM_ID,
+      ...enhancedRoomData
+    });
+  }
+
   // Update session-level statistics
   updateSessionStats(progressData, roomData) {
     if (!roomData.sessionStats) {
@@ -403,18 +919,28 @@ class RoomDownloadProcessor {
       stats.sessionStartTime = now.toISOString();
     }
 
+    // Track each transfer's speed; the session speed is the sum across active downloads
+    if (progressData.romName) {
+      if (progressData.status === 'complete' || !this.currentDownloads.has(progressData.romName)) {
+        this.fileSpeeds.delete(progressData.romName);
+      } else if (progressData.currentSpeed) {
+        this.fileSpeeds.set(progressData.romName, progressData.currentSpeed);
+      }
+    }
+
     // Update current download speed and peak speed
     if (progressData.currentSpeed) {
-      stats.currentDownloadSpeed = progressData.currentSpeed;
+      const totalSpeed = this.getTotalSpeed() || progressData.currentSpeed;
+      stats.currentDownloadSpeed = totalSpeed;
 
       // Track peak speed
-      if (progressData.currentSpeed > stats.peakSpeed) {
-        stats.peakSpeed = progressData.currentSpeed;
+      if (totalSpeed > stats.peakSpeed) {
+        stats.peakSpeed = totalSpeed;
       }
 
       // Add to speed history for session average calculation
       stats.speedHistory.push({
-        speed: progressData.currentSpeed,
+        speed: totalSpeed,
         timestamp: now.toISOString(),
         bytes: progressData.downloadedBytes
       });
@@ -426,22 +952,17 @@ class RoomDownloadProcessor {
 
       // Calculate session average speed
       if (stats.speedHistory.length > 0) {
-        const totalSpeed = stats.speedHistory.reduce((sum, entry) => sum + entry.speed, 0);
-        stats.averageSessionSpeed = totalSpeed / stats.speedHistory.length;
+        const historyTotal = stats.speedHistory.reduce((sum, entry) => sum + entry.speed, 0);
+        stats.averageSessionSpeed = historyTotal / stats.speedHistory.length;
       }
     }
 
     // Count active downloads
-    const activeDownloads = roomData.roms.filter(rom => rom.status === 'downloading').length;
-    stats.activeDownloads = activeDownloads;
+    stats.activeDownloads = this.currentDownloads.size;
 
     // Update total bytes downloaded (this is cumulative across all completed downloads)
     const completedRoms = roomData.roms.filter(rom => rom.status === 'success');
-    stats.totalBytesDownloaded = completedRoms.reduce((total, rom) => {
-      // We don't have individual ROM sizes in the room data, so we'll estimate
-      // or we could track this differently
-      return total;
-    }, 0);
+    stats.totalBytesDownloaded = completedRoms.reduce((total, rom) => total + (rom.sizeBytes || 0), 0);
 
     console.log(`📊 Session stats updated: Speed: ${(stats.currentDownloadSpeed / 1024 / 1024).toFixed(2)} MB/s, Peak: ${(stats.peakSpeed / 1024 / 1024).toFixed(2)} MB/s, Active: ${stats.activeDownloads}`);
   }
@@ -489,6 +1010,38 @@ async function loadSessions() {
         }
       }
 
+      // Nothing is in flight after a restart; interrupted ROMs are re-queued by restartDownload
+      data.currentRom = null;
+      data.currentRoms = [];
+      if (data.sessionStats) {
+        data.sessionStats.activeDownloads = 0;
+        data.sessionStats.currentDownloadSpeed = 0;
+      }
+
+      // Sessions saved before file names were sanitized may hold names that aren't safe to save under
+      if (Array.isArray(data.roms)) {
+        data.roms = data.roms.filter(rom => {
+          try {
+            const name = safeFileName(rom.name, rom.downloadUrl);
+            if (name !== rom.name) {
+              console.log(`✏️ Renamed queued ROM "${rom.name}" to "${name}"`);
+              rom.name = name;
+            }
+            return true;
+          } catch (error) {
+            console.log(`⚠️ Dropping queued ROM with no usable file name: ${rom.name}`);
+            return false;
+          }
+        });
+        // Two names can sanitize to the same one; the later entry gets a suffix
+        dedupeFileNames(data.roms);
+      }
+
+      // Sessions saved before queue ordering existed have no priority/position
+      if (Array.isArray(data.roms)) {
+        normalizeQueue(data.roms);
+      }
+
       // Merge loaded data with default structure
       sharedRoomData = { ...sharedRoomData, ...data };
       console.log(`📂 Loaded shared session successfully`);
@@ -511,6 +1064,102 @@ async function saveSessions() {
   }
 }
 
+// Apply the bandwidth section of settings.yaml; a bad file falls back to unlimited
+function applyBandwidthSettings(settings) {
+  try {
+    const status = bandwidthLimiter.configure(settings);
+    console.log(`🚦 Bandwidth limit: ${status.limit > 0 ? `${(status.limit / 1024 / 1024).toFixed(2)} MB/s` : 'unlimited'} (${status.source})`);
+  } catch (error) {
+    console.error(`❌ Invalid bandwidth settings, downloading without a limit:`, error.message);
+    bandwidthLimiter.configure({});
+  }
+}
+
+// Apply the storage section of settings.yaml; a bad file turns the low-water mark and quota off
+function applyStorageSettings(settings) {
+  try {
+    downloadProcessor.diskSpace.configure(settings);
+    const { minFreeBytes, quotaBytes } = downloadProcessor.diskSpace;
+    console.log(`💾 Storage: ${minFreeBytes > 0 ? `keeping ${(minFreeBytes / 1024 / 1024).toFixed(0)} MB free` : 'no free space margin'}, ${quotaBytes > 0 ? `${(quotaBytes / 1024 / 1024).toFixed(0)} MB downloads quota` : 'no quota'}`);
+  } catch (error) {
+    console.error(`❌ Invalid storage settings, downloading without a quota:`, error.message);
+    downloadProcessor.diskSpace.configure({});
+  }
+}
+
+// Apply the proxy section of settings.yaml; a bad file means connecting directly (or via the environment)
+function applyProxySettings(settings) {
+  try {
+    const { proxy, origin } = proxyResolver.configure(settings);
+    console.log(`🧭 Proxy: ${proxy ? `${proxy.server} (${origin})` : 'none - connecting directly'}`);
+  } catch (error) {
+    console.error(`❌ Invalid proxy settings, not using a configured proxy:`, error.message);
+    proxyResolver.configure({});
+  }
+}
+
+// Per-source proxy overrides, request profiles and scraper modes live in sources.yaml, so reload them whenever the catalog changes
+async function refreshSourceSettings() {
+  try {
+    const sources = await sourceCatalog.getSources();
+    proxyResolver.setSources(sources);
+    requestProfiles.setSources(sources);
+    sourceRegistry.setCatalog(sources.filter(source => source.enabled !== false));
+  } catch (error) {
+    console.error(`❌ Error loading source proxies, request profiles and scrapers:`, error.message);
+  }
+}
+
+// Apply the downloadWindows section of settings.yaml; a bad file means downloads may start any time
+function applyDownloadWindows(windows) {
+  try {
+    downloadProcessor.downloadSchedule.configure(windows);
+    const status = downloadProcessor.downloadSchedule.status();
+    console.log(`🕒 Download windows: ${status.enabled ? `${status.windows.length} configured (${status.open ? 'open now' : `next opens ${status.nextOpen}`})` : 'none - downloads may start any time'}`);
+  } catch (error) {
+    console.error(`❌ Invalid download windows, downloads may start any time:`, error.message);
+    downloadProcessor.downloadSchedule.configure([]);
+  }
+}
+
+settingsStore.onChange((section, value) => {
+  if (section === 'bandwidth') {
+    applyBandwidthSettings(value);
+    downloadProcessor.emitRoomUpdate(sharedRoomData);
+  } else if (section === 'downloadWindows') {
+    applyDownloadWindows(value);
+    downloadProcessor.checkSchedule(sharedRoomData);
+    downloadProcessor.emitRoomUpdate(sharedRoomData);
+  } else if (section === 'proxy') {
+    applyProxySettings(value);
+  } else if (section === 'storage') {
+    applyStorageSettings(value);
+    downloadProcessor.checkDiskSpace(sharedRoomData)
+      .then(() => downloadProcessor.emitRoomUpdate(sharedRoomData))
+      .catch(error => console.error(`❌ Error checking disk space:`, error));
+  }
+});
+
+// Hold or release queued ROMs as download windows open and close
+setInterval(() => downloadProcessor.checkSchedule(sharedRoomData), 30 * 1000);
+
+// Keep the free space figures current and resume a queue that paused for space once there is room
+setInterval(() => {
+  downloadProcessor.checkDiskSpace(sharedRoomData)
+    .catch(error => console.error(`❌ Error checking disk space:`, error));
+}, 30 * 1000);
+
+// Let clients know when a schedule window starts or ends
+let lastBandwidthLimit = null;
+setInterval(() => {
+  const { limit } = bandwidthLimiter.status();
+  if (lastBandwidthLimit !== null && limit !== lastBandwidthLimit) {
+    console.log(`🚦 Bandwidth schedule changed the limit to ${limit > 0 ? `${(limit / 1024 / 1024).toFixed(2)} MB/s` : 'unlimited'}`);
+    downloadProcessor.emitRoomUpdate(sharedRoomData);
+  }
+  lastBandwidthLimit = limit;
+}, 60 * 1000);
+
 // Auto-save sessions every 30 seconds
 setInterval(saveSessions, 30000);
 
@@ -543,7 +1192,10 @@ function recalculateQueueState(roomData) {
   const pendingRoms = roms.filter(rom =>
     rom.status === 'available' ||
     rom.status === 'downloading' ||
-    rom.status === 'pending'
+    rom.status === 'pending' ||
+    rom.status === 'paused' ||
+    rom.status === 'retrying' ||
+    rom.status === 'scheduled'
   ).length;
 
   console.log(`📊 Recalculated queue state: ${roomData.totalRoms} total, ${roomData.completedRoms} completed, ${roomData.failedRoms} failed, ${pendingRoms} pending`);
@@ -595,41 +1247,241 @@ function cleanupInactiveSessions() {
   }
 }
 
-// Initialize organizer
-const organizer = new RomOrganizer();
+// Initialize organizer
+const organizer = new RomOrganizer();
+
+// Initialize archive catalog (stored in config/sources.yaml)
+const sourceCatalog = new SourceCatalog();
+
+// Initialize scrape cache (TTL comes from SCRAPE_CACHE_TTL)
+const scrapeCache = new ScrapeCache();
+
+// Track in-flight scrapes so they can be cancelled
+const scrapeJobs = new ScrapeJobManager();
+
+// Initialize archive browser (root comes from BROWSE_ROOT_URL)
+const archiveBrowser = new ArchiveBrowser({ cache: scrapeCache });
+
+// Helper functions for shared room (simplified)
+function getUserRoomId(req) {
+  return SHARED_ROOM_ID;
+}
+
+function getOrCreateUserRoom(req) {
+  return SHARED_ROOM_ID;
+}
+
+// API Routes
+// Validate and normalize an archive catalog entry from a request body
+const parseSourceInput = (body, existing = {}) => {
+  const source = {
+    name: body.name ?? existing.name,
+    baseUrl: body.baseUrl ?? existing.baseUrl,
+    description: body.description ?? existing.description ?? '',
+    type: body.type ?? existing.type ?? 'autoindex',
+    // Empty means whatever the adapter asks for
+    scraper: body.scraper !== undefined ? (body.scraper || null) : (existing.scraper ?? null),
+    enabled: body.enabled !== undefined ? !!body.enabled : (existing.enabled ?? true)
+  };
+
+  if (!source.name || !String(source.name).trim()) {
+    return { error: 'Source name is required' };
+  }
+  if (!source.baseUrl) {
+    return { error: 'Base URL is required' };
+  }
+  try {
+    const { username, password } = new URL(source.baseUrl);
+    // Credentials in the URL would be copied into every queued ROM and the saved session
+    if (username || password) {
+      return { error: 'Put credentials in the source\'s request profile (request.auth in sources.yaml), not in the base URL' };
+    }
+  } catch (urlError) {
+    return { error: `Invalid base URL: ${source.baseUrl}` };
+  }
+  if (!sourceRegistry.get(source.type)) {
+    return { error: `Unknown source type: ${source.type}` };
+  }
+  if (source.scraper && !SCRAPER_MODES.includes(source.scraper)) {
+    return { error: `Unknown scraper mode '${source.scraper}' (expected ${SCRAPER_MODES.join(', ')})` };
+  }
+
+  source.name = String(source.name).trim();
+  return { source };
+};
+
+// Catalog entry as sent to clients - proxy passwords and request profile secrets stay on the server
+const publicSource = (source) => ({
+  ...source,
+  ...(source.proxy ? { proxy: redactProxySettings(source.proxy) } : {}),
+  ...(source.request ? { request: redactRequestProfile(source.request) } : {})
+});
+
+// List the archive catalog along with the available source adapters
+app.get('/api/sources', async (req, res) => {
+  try {
+    const sources = await sourceCatalog.getSources();
+    res.json({ sources: sources.map(publicSource), adapters: sourceRegistry.list() });
+  } catch (error) {
+    console.error('Error fetching sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sources', async (req, res) => {
+  try {
+    const { source, error } = parseSourceInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = sourceIdFor({ id: req.body.id, ...source });
+    if (await sourceCatalog.getSource(id)) {
+      return res.status(409).json({ error: `Source with id '${id}' already exists` });
+    }
+
+    const created = await sourceCatalog.addSource({ id: req.body.id, ...source });
+    await refreshSourceSettings();
+    res.json({ message: 'Source created successfully', source: publicSource(created) });
+  } catch (error) {
+    console.error('Error creating source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/sources/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await sourceCatalog.getSource(id);
+    if (!existing) {
+      return res.status(404).json({ error: `Source '${id}' not found` });
+    }
+
+    const { source, error } = parseSourceInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await sourceCatalog.updateSource(id, source);
+    await refreshSourceSettings();
+    res.json({ message: 'Source updated successfully', source: publicSource(updated) });
+  } catch (error) {
+    console.error('Error updating source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/sources/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await sourceCatalog.getSource(id)) {
+      return res.status(404).json({ error: `Source '${id}' not found` });
+    }
+
+    await sourceCatalog.deleteSource(id);
+    await refreshSourceSettings();
+    res.json({ message: 'Source deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a scrape job for this request; it is cancelled if the client disconnects
+// before the response has been sent
+const startScrapeJob = (req, res, kind, url) => {
+  const job = scrapeJobs.create({ id: req.body.jobId, kind, url });
+  res.set('X-Scrape-Job-Id', job.id);
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      scrapeJobs.cancel(job.id, 'client disconnected');
+    }
+    scrapeJobs.finish(job.id);
+  });
+
+  return job;
+};
+
+// Cancelled scrapes get a distinct 409 response instead of a generic 500
+const sendScrapeError = (res, error, label) => {
+  if (error instanceof ScrapeCancelledError) {
+    console.log(`🛑 ${label} cancelled: ${error.message}`);
+    return res.status(409).json({ error: error.message, cancelled: true });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+};
+
+// List in-flight scrape jobs
+app.get('/api/scrape-jobs', (req, res) => {
+  res.json({ jobs: scrapeJobs.list() });
+});
+
+// Cancel an in-flight scrape job
+app.delete('/api/scrape-jobs/:id', (req, res) => {
+  const { id } = req.params;
 
-// Helper functions for shared room (simplified)
-function getUserRoomId(req) {
-  return SHARED_ROOM_ID;
-}
+  if (!scrapeJobs.cancel(id, 'cancelled by client')) {
+    return res.status(404).json({ error: `Scrape job '${id}' not found` });
+  }
 
-function getOrCreateUserRoom(req) {
-  return SHARED_ROOM_ID;
-}
+  res.json({ message: 'Scrape job cancelled', jobId: id });
+});
 
-// API Routes
 app.post('/api/scrape', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, source, scraper, recursive, maxDepth, include, exclude, forceRefresh } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    if (source && !sourceRegistry.get(source)) {
+      return res.status(400).json({ error: `Unknown source: ${source}` });
+    }
+
     // Use shared room
     const userRoomId = SHARED_ROOM_ID;
     const roomData = sharedRoomData;
 
+    const job = startScrapeJob(req, res, 'scrape', url);
+
     // Create a new downloader instance for scraping (no progress callback needed for scraping)
     const downloader = new RomDownloader({
-      headless: true,
-      timeout: 30000
+      timeout: 30000,
+      scraper,
+      source,
+      cache: scrapeCache
     });
 
-    await downloader.init();
+    // Scrape the ROM list (optionally descending into subfolders)
+    let roms;
+    let crawl = null;
+    try {
+      if (recursive) {
+        const result = await downloader.crawlRomList(url, {
+          maxDepth,
+          include,
+          exclude,
+          forceRefresh: !!forceRefresh,
+          signal: job.signal
+        });
+        roms = result.roms;
+        crawl = {
+          directoriesCrawled: result.directoriesCrawled,
+          maxDepth: result.maxDepth,
+          truncated: result.truncated
+        };
+      } else {
+        roms = await downloader.scrapeRomList(url, { forceRefresh: !!forceRefresh, signal: job.signal });
+      }
+    } finally {
+      await downloader.close();
+    }
 
-    // Scrape the ROM list
-    const roms = await downloader.scrapeRomList(url);
+    const cacheEntry = await scrapeCache.get(url);
 
     // Update room metadata but don't add ROMs to queue yet
     // ROMs will be added to the queue only when user selects them for download
@@ -639,70 +1491,44 @@ app.post('/api/scrape', async (req, res) => {
     console.log(`📋 Scraped ${roms.length} ROMs for selection (not added to queue yet)`);
 
     res.json({
+      jobId: job.id,
       sessionId: userRoomId,
       roomId: userRoomId,
       roms,
-      totalCount: roms.length
+      totalCount: roms.length,
+      crawl,
+      cachedAt: cacheEntry ? cacheEntry.cachedAt : null
     });
 
   } catch (error) {
-    console.error('Scraping error:', error);
-    res.status(500).json({ error: error.message });
+    sendScrapeError(res, error, 'Scraping');
   }
 });
 
 app.post('/api/scrape-categories', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, source, scraper, forceRefresh } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    if (source && !sourceRegistry.get(source)) {
+      return res.status(400).json({ error: `Unknown source: ${source}` });
+    }
+
+    const job = startScrapeJob(req, res, 'categories', url);
+
     // Create a temporary downloader instance for scraping categories
     const downloader = new RomDownloader({
-      headless: true,
-      timeout: 30000
+      timeout: 30000,
+      scraper,
+      source,
+      cache: scrapeCache
     });
 
-    await downloader.init();
-
     try {
-      // Navigate to the archive page
-      await downloader.page.goto(url, { waitUntil: 'networkidle' });
-
-      // Wait for the table to load
-      await downloader.page.waitForSelector('table', { timeout: 10000 });
-
-      // Extract category information
-      const categories = await downloader.page.evaluate(() => {
-        const rows = document.querySelectorAll('table tbody tr');
-        const categoryList = [];
-
-        rows.forEach(row => {
-          const cells = row.querySelectorAll('td');
-          if (cells.length >= 3) {
-            const nameCell = cells[0];
-            const link = nameCell.querySelector('a');
-
-            if (link && !link.textContent.includes('Parent directory')) {
-              const name = link.textContent.trim();
-              const href = link.href;
-
-              // Only include directories (they end with /)
-              if (name.endsWith('/')) {
-                const cleanName = name.slice(0, -1); // Remove trailing slash
-                categoryList.push({
-                  name: cleanName,
-                  url: href
-                });
-              }
-            }
-          }
-        });
-
-        return categoryList;
-      });
+      const categories = await downloader.scrapeCategories(url, { forceRefresh: !!forceRefresh, signal: job.signal });
 
       await downloader.close();
 
@@ -718,11 +1544,250 @@ app.post('/api/scrape-categories', async (req, res) => {
     }
 
   } catch (error) {
-    console.error('Category scraping error:', error);
+    sendScrapeError(res, error, 'Category scraping');
+  }
+});
+
+// Browser pool usage (pooled Chromium instances and leased pages)
+app.get('/api/browser-pool', (req, res) => {
+  res.json(browserPool.stats());
+});
+
+// Which download backend is active (and why), plus the other settings that shape downloads
+app.get('/api/diagnostics', async (req, res) => {
+  try {
+    let downloadBackend;
+    try {
+      const downloader = await downloadProcessor.ensureDownloader(sharedRoomData);
+      downloadBackend = downloader.backend;
+    } catch (error) {
+      // e.g. DOWNLOAD_BACKEND=curl without curl installed
+      downloadBackend = {
+        active: null,
+        preference: resolveDownloadBackend(settingsStore.get('downloads')?.backend),
+        error: error.message
+      };
+    }
+
+    res.json({
+      downloadBackend,
+      node: process.version,
+      platform: `${process.platform}-${process.arch}`,
+      downloadsDir: process.env.DOWNLOADS_DIR || './downloads',
+      maxConcurrentDownloads: downloadProcessor.maxConcurrent,
+      bandwidthLimit: bandwidthLimiter.status(),
+      downloadWindow: downloadProcessor.downloadSchedule.status(),
+      diskSpace: await downloadProcessor.diskSpace.status().catch(error => ({ error: error.message })),
+      proxy: proxyResolver.status(),
+      requestProfiles: requestProfiles.status(),
+      browserPool: browserPool.stats()
+    });
+  } catch (error) {
+    console.error('Error building diagnostics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Global download bandwidth limit and its time-of-day schedule (config/settings.yaml)
+app.get('/api/settings/bandwidth', (req, res) => {
+  res.json({
+    settings: settingsStore.get('bandwidth'),
+    status: bandwidthLimiter.status()
+  });
+});
+
+// Body: { limit, schedule: [{ from: 'HH:MM', to: 'HH:MM', limit }] } - limits in bytes/s or with a unit ('2MB')
+app.put('/api/settings/bandwidth', async (req, res) => {
+  try {
+    const { limit = 0, schedule = [] } = req.body || {};
+
+    try {
+      normalizeBandwidthSettings({ limit, schedule });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Saved as entered so the file stays readable; the change listener applies it to running downloads
+    await settingsStore.update('bandwidth', { limit, schedule });
+
+    res.json({
+      settings: settingsStore.get('bandwidth'),
+      status: bandwidthLimiter.status()
+    });
+  } catch (error) {
+    console.error('Error updating bandwidth settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Proxy for scraping and downloading (config/settings.yaml). The password is never sent back.
+app.get('/api/settings/proxy', (req, res) => {
+  res.json({
+    settings: redactProxySettings(settingsStore.get('proxy')),
+    status: proxyResolver.status()
+  });
+});
+
+// Body: { url, username, password, bypass } - leaving password out keeps the saved one, '' clears it
+app.put('/api/settings/proxy', async (req, res) => {
+  try {
+    const current = settingsStore.get('proxy') || {};
+    const { url = '', username = '', bypass = [] } = req.body || {};
+    const password = req.body?.password ?? current.password ?? '';
+
+    try {
+      normalizeProxySettings({ url, username, password, bypass });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await settingsStore.update('proxy', { url, username, password, bypass });
+
+    res.json({
+      settings: redactProxySettings(settingsStore.get('proxy')),
+      status: proxyResolver.status()
+    });
+  } catch (error) {
+    console.error('Error updating proxy settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Free space margin and downloads quota (config/settings.yaml)
+app.get('/api/settings/storage', async (req, res) => {
+  try {
+    res.json({
+      settings: settingsStore.get('storage'),
+      status: await downloadProcessor.diskSpace.status()
+    });
+  } catch (error) {
+    console.error('Error getting storage settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { minFreeSpace, downloadsQuota } - in bytes or with a unit ('10GB'); 0 turns a check off
+app.put('/api/settings/storage', async (req, res) => {
+  try {
+    const { minFreeSpace = 0, downloadsQuota = 0 } = req.body || {};
+
+    try {
+      normalizeStorageSettings({ minFreeSpace, downloadsQuota });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await settingsStore.update('storage', { minFreeSpace, downloadsQuota });
+
+    res.json({
+      settings: settingsStore.get('storage'),
+      status: await downloadProcessor.diskSpace.status()
+    });
+  } catch (error) {
+    console.error('Error updating storage settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// When the queue may start new downloads (config/settings.yaml)
+app.get('/api/settings/download-windows', (req, res) => {
+  res.json({
+    windows: settingsStore.get('downloadWindows'),
+    status: downloadProcessor.downloadSchedule.status()
+  });
+});
+
+// Body: { windows: [{ days: 'mon-fri' | ['sat', 'sun'], from: 'HH:MM', to: 'HH:MM' }] } - an empty list means any time
+app.put('/api/settings/download-windows', async (req, res) => {
+  try {
+    const { windows = [] } = req.body || {};
+
+    try {
+      normalizeDownloadWindows(windows);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await settingsStore.update('downloadWindows', windows);
+
+    res.json({
+      windows: settingsStore.get('downloadWindows'),
+      status: downloadProcessor.downloadSchedule.status()
+    });
+  } catch (error) {
+    console.error('Error updating download windows:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inspect the scrape cache
+app.get('/api/scrape-cache', async (req, res) => {
+  try {
+    const entries = await scrapeCache.list();
+    res.json({
+      enabled: scrapeCache.enabled,
+      ttlSeconds: scrapeCache.ttlSeconds,
+      totalEntries: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('Error reading scrape cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purge the scrape cache (pass ?expired=true to only drop expired entries)
+app.delete('/api/scrape-cache', async (req, res) => {
+  try {
+    const removed = await scrapeCache.purge({ expiredOnly: req.query.expired === 'true' });
+    console.log(`🧹 Purged ${removed} scrape cache entries`);
+    res.json({ message: 'Scrape cache purged', removed });
+  } catch (error) {
+    console.error('Error purging scrape cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a single URL from the scrape cache
+app.delete('/api/scrape-cache/entry', async (req, res) => {
+  try {
+    const url = req.body?.url || req.query.url;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const removed = await scrapeCache.delete(url);
+    if (!removed) {
+      return res.status(404).json({ error: 'URL not found in scrape cache' });
+    }
+
+    res.json({ message: 'Scrape cache entry removed', url });
+  } catch (error) {
+    console.error('Error removing scrape cache entry:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Browse the archive tree relative to the configured root
+app.post('/api/browse-directory', async (req, res) => {
+  try {
+    const { path: relativePath = '', forceRefresh } = req.body;
+
+    const resolved = archiveBrowser.resolvePath(relativePath);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid directory path' });
+    }
+
+    const job = startScrapeJob(req, res, 'browse', resolved.url);
+    const listing = await archiveBrowser.browse(resolved.path, { forceRefresh: !!forceRefresh, signal: job.signal });
+    res.json(listing);
+
+  } catch (error) {
+    sendScrapeError(res, error, 'Directory browsing');
+  }
+});
+
 app.post('/api/download', async (req, res) => {
   try {
     console.log('📥 Download request received');
@@ -742,34 +1807,47 @@ app.post('/api/download', async (req, res) => {
       return res.status(403).json({ error: 'Session does not match user' });
     }
 
+    // Names come from scraped link text, so make them safe to save under first
+    let fileNames;
+    try {
+      fileNames = selectedRoms.map(rom => safeFileName(rom.name, rom.downloadUrl || rom.url));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    selectedRoms.forEach((rom, index) => {
+      if (rom.name !== fileNames[index]) {
+        console.log(`✏️ Saving "${rom.name}" as "${fileNames[index]}"`);
+      }
+    });
+
     const roomData = sharedRoomData;
 
-    // Update room data for download
+    // Update room data for download (currentRom is owned by the download processor)
     roomData.sessionId = sessionId;
-    roomData.currentRom = null;
     roomData.startTime = roomData.startTime || new Date().toISOString(); // Keep original start time if exists
     roomData.lastActivity = new Date().toISOString();
     roomData.ruleset = ruleset || null; // Store the optional ruleset
 
     // Add new ROMs to existing queue (don't replace)
-    const newRoms = selectedRoms.map(rom => ({
-      name: rom.name,
+    const newRoms = selectedRoms.map((rom, index) => ({
+      name: fileNames[index],
       size: rom.size,
+      sizeBytes: rom.sizeBytes ?? parseSizeToBytes(rom.size), // Normalized size for queue ETA
+      date: rom.date || null,
+      modifiedAt: rom.modifiedAt || parseListingDate(rom.date),
+      relativePath: rom.relativePath || null,
       downloadUrl: rom.downloadUrl || rom.url, // Use downloadUrl if available, fallback to url
+      priority: Number.isInteger(rom.priority) ? rom.priority : 0, // Higher downloads sooner
       status: 'available' // Mark as available for processing
     }));
 
-    // Filter out ROMs that are already in the queue with active status (available, downloading, pending)
-    // Allow re-adding ROMs that have completed, failed, or errored
-    const activeRomNames = new Set(
-      roomData.roms
-        .filter(rom => ['available', 'downloading', 'pending'].includes(rom.status))
-        .map(rom => rom.name)
-    );
-    const romsToAdd = newRoms.filter(rom => !activeRomNames.has(rom.name));
+    // Leave out ROMs that are already waiting or downloading (re-adding finished or failed ones is fine),
+    // and rename ones whose file name another download already uses
+    const romsToAdd = queueAdditions(roomData.roms, newRoms);
 
     if (romsToAdd.length > 0) {
       roomData.roms.push(...romsToAdd);
+      normalizeQueue(roomData.roms);
       console.log(`📋 Added ${romsToAdd.length} new ROMs to queue (${selectedRoms.length - romsToAdd.length} were already active in queue)`);
     } else {
       console.log(`⚠️ All ${selectedRoms.length} ROMs were already active in the queue`);
@@ -822,10 +1900,11 @@ app.post('/api/rom/:romName/retry', async (req, res) => {
 
     const rom = roomData.roms[romIndex];
 
-    // Only allow retry for failed ROMs
-    if (!['failed', 'error', 'needs-rescrape', 'corrupted'].includes(rom.status)) {
+    // Only allow retry for failed ROMs (or ones waiting for an automatic retry - retry them now)
+    if (!['failed', 'error', 'needs-rescrape', 'corrupted', 'retrying'].includes(rom.status)) {
       return res.status(400).json({ error: 'Can only retry failed downloads' });
     }
+    downloadProcessor.cancelRetry(romName);
 
     // If the ROM is corrupted, try to clean up the corrupted file
     if (rom.status === 'corrupted') {
@@ -842,10 +1921,15 @@ app.post('/api/rom/:romName/retry', async (req, res) => {
         console.warn(`⚠️ Could not remove corrupted file ${romName}:`, cleanupError.message);
         // Continue with retry even if cleanup fails
       }
+
+      // Don't resume from data that produced a corrupted file
+      await new PartialDownload(corruptedFilePath).discard().catch(() => {});
     }
 
-    // Reset ROM status to available for retry
+    // Reset ROM status to available for retry; a manual retry starts a fresh set of attempts
     roomData.roms[romIndex].status = 'available';
+    roomData.roms[romIndex].failedAttempts = 0;
+    roomData.roms[romIndex].nextRetryAt = null;
     roomData.lastActivity = new Date().toISOString();
 
     // Recalculate queue state after status change
@@ -903,8 +1987,16 @@ app.delete('/api/rom/:romName', (req, res) => {
 
     // Remove the ROM from the room queue
     roomData.roms.splice(romIndex, 1);
+    normalizeQueue(roomData.roms);
+    downloadProcessor.cancelRetry(romName);
     updateLastActivity(userRoomId);
 
+    // Drop any partial data kept for resuming it
+    const downloadsDir = process.env.DOWNLOADS_DIR || './downloads';
+    new PartialDownload(path.join(downloadsDir, romName)).discard().catch((cleanupError) => {
+      console.warn(`⚠️ Could not remove partial download for ${romName}:`, cleanupError.message);
+    });
+
     // Recalculate queue state after removing ROM
     recalculateQueueState(roomData);
 
@@ -966,6 +2058,113 @@ app.post('/api/cancel-download', async (req, res) => {
   }
 });
 
+// Reorder the queue or change an entry's priority.
+// Body: { romName, action?: 'top' | 'bottom' | 'before' | 'after' | 'next', target?, priority? }
+app.patch('/api/queue/order', (req, res) => {
+  try {
+    const { romName, action, target, priority } = req.body || {};
+
+    if (!romName) {
+      return res.status(400).json({ error: 'ROM name is required' });
+    }
+    if (!action && priority === undefined) {
+      return res.status(400).json({ error: 'An action or priority is required' });
+    }
+
+    const roomData = sharedRoomData;
+    const rom = roomData.roms[findRomIndex(roomData.roms, romName)];
+    if (!rom) {
+      return res.status(404).json({ error: 'ROM not found in queue' });
+    }
+
+    try {
+      if (priority !== undefined) {
+        rom.priority = parsePriority(priority);
+      }
+      if (action) {
+        moveRom(roomData.roms, romName, action, target);
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    normalizeQueue(roomData.roms);
+    console.log(`↕️ Reordered queue: ${romName}${action ? ` ${action}${target ? ` ${target}` : ''}` : ''}${priority !== undefined ? ` (priority ${rom.priority})` : ''}`);
+
+    roomData.lastActivity = new Date().toISOString();
+    downloadProcessor.emitRoomUpdate(roomData);
+    saveSessions();
+
+    res.json({
+      message: 'Queue order updated',
+      queue: roomData.roms.map(r => ({ name: r.name, status: r.status, priority: r.priority, position: r.position }))
+    });
+  } catch (error) {
+    console.error('Error reordering queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause/resume a single ROM
+app.post('/api/rom/:romName/pause', async (req, res) => {
+  try {
+    const romName = decodeURIComponent(req.params.romName);
+    const rom = await downloadProcessor.pauseRom(romName, sharedRoomData);
+    res.json({ message: 'ROM paused', romName, status: rom.status });
+  } catch (error) {
+    console.error('Error pausing ROM:', error);
+    res.status(error.message === 'ROM not found in queue' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+app.post('/api/rom/:romName/resume', async (req, res) => {
+  try {
+    const romName = decodeURIComponent(req.params.romName);
+    const rom = await downloadProcessor.resumeRom(romName, sharedRoomData);
+    res.json({ message: 'ROM resumed', romName, status: rom.status });
+  } catch (error) {
+    console.error('Error resuming ROM:', error);
+    res.status(error.message === 'ROM not found in queue' ? 404 : 400).json({ error: error.message });
+  }
+});
+
+// Pause/resume the whole queue; mode 'finish' (default) lets running transfers complete, 'suspend' stops them
+app.post('/api/queue/pause', async (req, res) => {
+  try {
+    const mode = req.body?.mode || 'finish';
+    if (!['finish', 'suspend'].includes(mode)) {
+      return res.status(400).json({ error: "Pause mode must be 'finish' or 'suspend'" });
+    }
+
+    await downloadProcessor.pauseQueue(sharedRoomData, mode);
+    res.json({ message: 'Queue paused', queuePaused: true, mode });
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/queue/resume', async (req, res) => {
+  try {
+    await downloadProcessor.resumeQueue(sharedRoomData);
+    res.json({ message: 'Queue resumed', queuePaused: false });
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start queued downloads now even though no download window is open
+app.post('/api/queue/start-now', async (req, res) => {
+  try {
+    await downloadProcessor.startNow(sharedRoomData);
+    res.json({ message: 'Queue started outside the download windows', scheduleOverride: true });
+  } catch (error) {
+    console.error('Error starting queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Organizer API endpoints
 app.get('/api/rulesets', async (req, res) => {
   try {
@@ -990,7 +2189,7 @@ app.post('/api/rulesets', async (req, res) => {
     res.json({ message: 'Ruleset created successfully', ruleset });
   } catch (error) {
     console.error('Error creating ruleset:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof UnsafePathError ? 400 : 500).json({ error: error.message });
   }
 });
 
@@ -1010,7 +2209,7 @@ app.put('/api/rulesets/:name', async (req, res) => {
     res.json({ message: 'Ruleset updated successfully', ruleset: updatedRuleset });
   } catch (error) {
     console.error('Error updating ruleset:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof UnsafePathError ? 400 : 500).json({ error: error.message });
   }
 });
 
@@ -1033,7 +2232,19 @@ app.post('/api/organize', async (req, res) => {
       return res.status(400).json({ error: 'Ruleset name and file paths are required' });
     }
 
-    const results = await organizer.applyRulesetToMultiple(rulesetName, filePaths);
+    // Organizing moves and deletes files, so only ones in the downloads directory are accepted
+    const downloadsDir = process.env.DOWNLOADS_DIR || './downloads';
+    let safePaths;
+    try {
+      safePaths = await Promise.all(filePaths.map(filePath => resolveExistingWithin(filePath, [downloadsDir])));
+    } catch (error) {
+      if (error instanceof UnsafePathError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const results = await organizer.applyRulesetToMultiple(rulesetName, safePaths);
     res.json({ message: 'Organization completed', results });
   } catch (error) {
     console.error('Error organizing files:', error);
@@ -1071,7 +2282,18 @@ async function getCompletedDownloads() {
 
     const completedDownloads = [];
 
+    // Checksums recorded when each file was verified (the latest download of a name wins)
+    const checksumsByName = new Map();
+    for (const entry of sharedRoomData.downloadHistory || []) {
+      if (entry.status === 'success' && entry.checksums) {
+        checksumsByName.set(entry.name, entry.checksums);
+      }
+    }
+
     for (const file of files) {
+      // Unfinished downloads waiting to be resumed aren't completed files
+      if (isPartialFile(file)) continue;
+
       const filePath = path.join(downloadsDir, file);
       const stats = await fs.stat(filePath);
 
@@ -1081,7 +2303,8 @@ async function getCompletedDownloads() {
           filePath: filePath,
           size: formatFileSize(stats.size),
           completedAt: stats.mtime.toISOString(),
-          sizeBytes: stats.size
+          sizeBytes: stats.size,
+          checksums: checksumsByName.get(file) || null
         });
       }
     }
@@ -1145,7 +2368,10 @@ app.get('/api/user-room', async (req, res) => {
     // Enhance room data with completed downloads
     const enhancedRoomData = {
       ...roomData,
-      completedDownloads
+      completedDownloads,
+      bandwidthLimit: bandwidthLimiter.status(),
+      downloadWindow: downloadProcessor.downloadSchedule.status(),
+      diskSpace: await downloadProcessor.diskSpace.status().catch(() => downloadProcessor.diskSpace.lastStatus)
     };
 
     res.json({
@@ -1198,7 +2424,7 @@ async function startDownloadForAvailableRoms(userRoomId, roomData) {
   }
 }
 
-// Function to restart interrupted downloads
+// Function to restart interrupted downloads; runs at startup and again when a client joins
 async function restartDownload(userRoomId, roomData) {
   try {
     console.log(`🔄 Restarting download for room ${userRoomId}`);
@@ -1244,8 +2470,9 @@ async function restartDownload(userRoomId, roomData) {
     }
 
     // Mark ROMs as available for processing
+    // (ROMs a worker is still transferring are left alone)
     romsToDownload.forEach(rom => {
-      if (rom.status === 'downloading' || rom.status === 'pending') {
+      if ((rom.status === 'downloading' || rom.status === 'pending') && !downloadProcessor.isDownloading(rom.name)) {
         rom.status = 'available';
       }
       // ROMs that are already 'available' stay as 'available'
@@ -1401,6 +2628,24 @@ io.on('connection', (socket) => {
     console.log(`📊 Room memberships - Main room (${SHARED_ROOM_ID}): ${mainRoomClients} clients, Download room (${downloadRoom}): ${downloadRoomClients} clients`);
   });
 
+  // Pause/resume controls over the socket; the optional ack receives { ok, error }
+  const handleQueueCommand = (action) => async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    try {
+      await action(...args);
+      if (ack) ack({ ok: true });
+    } catch (error) {
+      console.error(`❌ Queue command failed for ${socket.id}:`, error.message);
+      if (ack) ack({ ok: false, error: error.message });
+    }
+  };
+
+  socket.on('pauseRom', handleQueueCommand((romName) => downloadProcessor.pauseRom(romName, sharedRoomData)));
+  socket.on('resumeRom', handleQueueCommand((romName) => downloadProcessor.resumeRom(romName, sharedRoomData)));
+  socket.on('pauseQueue', handleQueueCommand((options = {}) => downloadProcessor.pauseQueue(sharedRoomData, options?.mode || 'finish')));
+  socket.on('resumeQueue', handleQueueCommand(() => downloadProcessor.resumeQueue(sharedRoomData)));
+  socket.on('startNow', handleQueueCommand(() => downloadProcessor.startNow(sharedRoomData)));
+
   // Handle leaving rooms
   socket.on('leaveRoom', (roomId) => {
     socket.leave(roomId);
@@ -1422,32 +2667,60 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
 
-  // Load sessions on startup
+  // Load settings and sessions on startup
+  await settingsStore.load();
+  applyBandwidthSettings(settingsStore.get('bandwidth'));
+  applyDownloadWindows(settingsStore.get('downloadWindows'));
+  applyStorageSettings(settingsStore.get('storage'));
+  applyProxySettings(settingsStore.get('proxy'));
+  await refreshSourceSettings();
   await loadSessions();
+  await downloadProcessor.checkDiskSpace(sharedRoomData).catch(error => console.error(`❌ Error checking disk space:`, error));
+
+  // ROMs that were waiting to retry pick up their remaining backoff
+  downloadProcessor.restoreRetries(sharedRoomData);
+
+  // Carry on with the persisted queue without waiting for a browser to connect
+  const { status } = getEnhancedRoomData(sharedRoomData);
+  if (status === 'downloading' || status === 'ready') {
+    console.log(`🔄 Resuming the queue interrupted by the restart`);
+    await restartDownload(SHARED_ROOM_ID, sharedRoomData);
+  }
 });
 
 // Cleanup on exit
-process.on('SIGINT', async () => {
-  console.log('Shutting down server...');
+let shuttingDown = false;
 
-  // Shutdown download processor
+async function shutdownServer(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`Shutting down server (${signal})...`);
+
+  // Stop downloads first: the processor closes the downloader, which stops curl children
+  // and segment transfers and leaves resumable .part files behind
   try {
     await downloadProcessor.shutdown();
+    console.log('✅ Download processor shutdown completed');
   } catch (error) {
     console.error(`❌ Error shutting down download processor:`, error);
   }
 
+  // Close pooled browsers so no Chromium processes are left behind
+  try {
+    await browserPool.shutdown();
+  } catch (error) {
+    console.error(`❌ Error shutting down browser pool:`, error);
+  }
+
+  // Disconnect clients and stop accepting connections (closes the HTTP server too)
+  io.close();
+
   // Save sessions before exit
   console.log('💾 Saving sessions before exit...');
   await saveSessions();
 
-  // Download processor shutdown handles downloader cleanup
-  console.log('✅ Download processor shutdown completed');
-
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-  await saveSessions();
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdownServer('SIGINT'));
+process.on('SIGTERM', () => shutdownServer('SIGTERM'));
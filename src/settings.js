@@ -0,0 +1,139 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '../config');
+const SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.yaml');
+
+const DEFAULT_SETTINGS = {
+    bandwidth: {
+        limit: 0,
+        schedule: []
+    },
+    downloadWindows: [],
+    downloads: {
+        backend: 'auto'
+    },
+    storage: {
+        minFreeSpace: 0,
+        downloadsQuota: 0
+    },
+    proxy: {
+        url: '',
+        username: '',
+        password: '',
+        bypass: []
+    }
+};
+
+// Written on first start so the options are discoverable; saving from the API replaces it
+const SETTINGS_TEMPLATE = `# Download settings. Changes made through the API are written back to this file.
+
+bandwidth:
+  # Global cap shared by all active downloads, in bytes per second or with a unit (512KB, 2MB).
+  # 0 means unlimited.
+  limit: 0
+  # Time-of-day overrides. The first window containing the current time wins; windows may
+  # cross midnight. Outside every window the limit above applies.
+  schedule: []
+  # schedule:
+  #   - from: "01:00"
+  #     to: "07:00"
+  #     limit: 0
+
+# When the queue may start new downloads. Outside every window queued ROMs wait as
+# 'scheduled' (downloads already running finish). Empty means any time.
+downloadWindows: []
+# downloadWindows:
+#   - days: mon-fri
+#     from: "23:00"
+#     to: "07:00"
+#   - days: [sat, sun]
+#     from: "00:00"
+#     to: "24:00"
+
+downloads:
+  # auto uses the curl binary when it is installed and falls back to the built-in Node
+  # downloader otherwise; curl or node forces one. DOWNLOAD_BACKEND overrides this.
+  # Takes effect on restart.
+  backend: auto
+
+storage:
+  # Free space to keep on the downloads and organized volumes, in bytes or with a unit
+  # (500MB, 10GB). A download that would go below it pauses the queue. 0 means no margin.
+  minFreeSpace: 0
+  # Most the downloads directory may hold in total; 0 means no quota.
+  downloadsQuota: 0
+
+# Proxy for scraping and downloading: http://, https://, socks4:// or socks5:// (socks5h://
+# resolves names on the proxy). Credentials go here or in the URL. Hosts in bypass connect
+# directly: example.com (and its subdomains), host:port, 10.0.0.0/8, <local> or *.
+# Localhost is never proxied. Left empty, HTTPS_PROXY/HTTP_PROXY/ALL_PROXY and NO_PROXY apply.
+# A source in sources.yaml can set its own proxy section, or proxy: false to go direct.
+proxy:
+  url: ""
+  username: ""
+  password: ""
+  bypass: []
+`;
+
+/**
+ * Server settings stored in config/settings.yaml next to rulesets.yaml and sources.yaml.
+ * Sections are read with get() and replaced with update(), which saves the file and tells
+ * onChange listeners so running components can apply the new values straight away.
+ */
+export class SettingsStore {
+    constructor(filePath = SETTINGS_FILE) {
+        this.filePath = filePath;
+        this.settings = structuredClone(DEFAULT_SETTINGS);
+        this.listeners = new Set();
+    }
+
+    async load() {
+        try {
+            await fs.ensureDir(path.dirname(this.filePath));
+            if (!await fs.pathExists(this.filePath)) {
+                await fs.writeFile(this.filePath, SETTINGS_TEMPLATE, 'utf8');
+            }
+
+            const loaded = yaml.load(await fs.readFile(this.filePath, 'utf8')) || {};
+            this.settings = { ...structuredClone(DEFAULT_SETTINGS), ...loaded };
+            console.log(`⚙️ Loaded settings from ${this.filePath}`);
+        } catch (error) {
+            console.error(`❌ Error loading settings from ${this.filePath}, using defaults:`, error.message);
+            this.settings = structuredClone(DEFAULT_SETTINGS);
+        }
+        return this.settings;
+    }
+
+    get(section) {
+        return this.settings[section] ?? structuredClone(DEFAULT_SETTINGS[section]);
+    }
+
+    async update(section, value) {
+        this.settings[section] = value;
+
+        const yamlContent = yaml.dump(this.settings, {
+            indent: 2,
+            lineWidth: -1
+        });
+        await fs.writeFile(this.filePath, yamlContent, 'utf8');
+
+        for (const listener of this.listeners) {
+            listener(section, value);
+        }
+        return value;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+// Process-wide settings shared by the server and the downloaders
+export const settingsStore = new SettingsStore();
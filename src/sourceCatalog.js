@@ -0,0 +1,139 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '../config');
+const SOURCES_FILE = path.join(CONFIG_DIR, 'sources.yaml');
+
+const DEFAULT_SOURCES = [
+    {
+        id: 'no-intro',
+        name: 'No-Intro Collection',
+        baseUrl: 'https://myrient.erista.me/files/No-Intro/',
+        description: 'Verified ROM dumps with accurate checksums',
+        type: 'myrient',
+        enabled: true
+    },
+    {
+        id: 'redump',
+        name: 'Redump Collection',
+        baseUrl: 'https://myrient.erista.me/files/Redump/',
+        description: 'Disc-based games and systems',
+        type: 'myrient',
+        enabled: true
+    },
+    {
+        id: 'tosec',
+        name: 'TOSEC Collection',
+        baseUrl: 'https://myrient.erista.me/files/TOSEC/',
+        description: 'The Old School Emulation Center',
+        type: 'myrient',
+        enabled: true
+    }
+];
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'source';
+}
+
+// The id a new entry is stored under: its own id if it has one, else one made from its name
+export function sourceIdFor(source) {
+    return source.id ? slugify(source.id) : slugify(source.name);
+}
+
+/**
+ * Archive catalog - the archives shown on the browse page, stored in sources.yaml
+ * next to rulesets.yaml. Each entry names the source adapter (type) used to scrape it.
+ */
+export class SourceCatalog {
+    constructor() {
+        this.ensureConfigDir().catch(error => console.error('Error creating sources.yaml:', error));
+    }
+
+    async ensureConfigDir() {
+        await fs.ensureDir(CONFIG_DIR);
+
+        // Seed the catalog with the archives that used to be built into the browse page
+        if (!await fs.pathExists(SOURCES_FILE)) {
+            await this.saveCatalog({ sources: DEFAULT_SOURCES });
+        }
+    }
+
+    async loadCatalog() {
+        try {
+            const content = await fs.readFile(SOURCES_FILE, 'utf8');
+            const catalog = yaml.load(content) || {};
+            return { sources: catalog.sources || [] };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading sources:', error);
+            }
+            return { sources: [] };
+        }
+    }
+
+    // Write failures are thrown, so an API change that wasn't saved isn't reported as done
+    async saveCatalog(catalog) {
+        const yamlContent = yaml.dump(catalog, {
+            indent: 2,
+            lineWidth: -1
+        });
+        await fs.writeFile(SOURCES_FILE, yamlContent, 'utf8');
+        return true;
+    }
+
+    async getSources() {
+        const catalog = await this.loadCatalog();
+        return catalog.sources;
+    }
+
+    async getSource(id) {
+        const sources = await this.getSources();
+        return sources.find(source => source.id === id);
+    }
+
+    async addSource(source) {
+        const catalog = await this.loadCatalog();
+
+        const id = sourceIdFor(source);
+        if (catalog.sources.some(s => s.id === id)) {
+            throw new Error(`Source with id '${id}' already exists`);
+        }
+
+        const entry = { ...source, id };
+        catalog.sources.push(entry);
+        await this.saveCatalog(catalog);
+        return entry;
+    }
+
+    async updateSource(id, updatedSource) {
+        const catalog = await this.loadCatalog();
+        const index = catalog.sources.findIndex(s => s.id === id);
+
+        if (index === -1) {
+            throw new Error(`Source '${id}' not found`);
+        }
+
+        // The id stays fixed so renaming an archive doesn't break references to it
+        const entry = { ...catalog.sources[index], ...updatedSource, id };
+        catalog.sources[index] = entry;
+        await this.saveCatalog(catalog);
+        return entry;
+    }
+
+    async deleteSource(id) {
+        const catalog = await this.loadCatalog();
+        const index = catalog.sources.findIndex(s => s.id === id);
+
+        if (index === -1) {
+            throw new Error(`Source '${id}' not found`);
+        }
+
+        catalog.sources.splice(index, 1);
+        return await this.saveCatalog(catalog);
+    }
+}
@@ -0,0 +1,103 @@
+// File extensions treated as downloadable ROMs
+export const DEFAULT_ROM_EXTENSIONS = ['.zip', '.7z', '.rar', '.iso', '.bin', '.cue', '.chd', '.pbp', '.cso'];
+
+/**
+ * Generic source adapter for Apache/nginx style autoindex pages.
+ * Any http(s) URL is accepted, so this adapter doubles as the registry fallback.
+ *
+ * Adapters never fetch pages themselves - they receive a lister (a RomDownloader)
+ * whose listDirectory() handles the scrape cache and HTTP/Playwright selection.
+ */
+export class AutoindexSource {
+    constructor(options = {}) {
+        this.id = options.id || 'autoindex';
+        this.name = options.name || 'Autoindex';
+        this.description = options.description || 'Generic Apache/nginx directory listing';
+        this.scraper = options.scraper || null;
+        this.extensions = (options.extensions || DEFAULT_ROM_EXTENSIONS).map(ext => ext.toLowerCase());
+        this.collections = options.collections || [];
+    }
+
+    matches(url) {
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isRomFile(name) {
+        const lowerName = name.toLowerCase();
+        return this.extensions.some(ext => lowerName.endsWith(ext));
+    }
+
+    // The scraper mode asked for by the collection holding url, else by this adapter (null for no preference)
+    scraperFor(url) {
+        const collection = this.collections
+            .filter(entry => entry.baseUrl && url.startsWith(entry.baseUrl))
+            .sort((a, b) => b.baseUrl.length - a.baseUrl.length)[0];
+        return collection?.scraper || this.scraper;
+    }
+
+    // URL the downloader should fetch for a listed file
+    resolveDownloadUrl(file) {
+        return file.url;
+    }
+
+    toRomEntry(file) {
+        return {
+            name: file.name,
+            url: file.url,
+            downloadUrl: this.resolveDownloadUrl(file),
+            size: file.size,
+            sizeBytes: file.sizeBytes,
+            date: file.date,
+            modifiedAt: file.modifiedAt
+        };
+    }
+
+    // Fetch the raw { directories, files } listing for a URL
+    async fetchListing(lister, url, options = {}) {
+        return lister.listDirectory(url, options);
+    }
+
+    // List one directory, keeping only ROM files
+    async listDirectory(lister, url, options = {}) {
+        const listing = await this.fetchListing(lister, url, options);
+        return {
+            ...listing,
+            files: listing.files
+                .filter(file => this.isRomFile(file.name))
+                .map(file => this.toRomEntry(file))
+        };
+    }
+
+    async listCategories(lister, url, options = {}) {
+        const listing = await this.fetchListing(lister, url, options);
+        return listing.directories.map(directory => ({
+            name: directory.name,
+            url: directory.url
+        }));
+    }
+
+    async listFiles(lister, url, options = {}) {
+        const listing = await this.listDirectory(lister, url, options);
+        return listing.files;
+    }
+
+    // Public description used by /api/sources and the browse page
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            scraper: this.scraper,
+            collections: this.collections.map(collection => ({
+                ...collection,
+                source: this.id,
+                scraper: collection.scraper || this.scraper
+            }))
+        };
+    }
+}
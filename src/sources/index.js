@@ -0,0 +1,74 @@
+import { AutoindexSource } from './autoindexSource.js';
+import { MyrientSource } from './myrientSource.js';
+import { LocalSource } from './localSource.js';
+
+/**
+ * Registry of source adapters. An adapter implements:
+ *   matches(url), listCategories(lister, url, options), listFiles(lister, url, options),
+ *   listDirectory(lister, url, options), resolveDownloadUrl(file), scraperFor(url) and describe().
+ * Adapters registered later take precedence, so a specific archive registered after
+ * the generic autoindex adapter wins for its own URLs.
+ */
+export class SourceRegistry {
+    constructor() {
+        this.adapters = [];
+        this.catalogScrapers = [];
+    }
+
+    // Archive catalog entries (sources.yaml) that set a scraper mode for the URLs under their baseUrl
+    setCatalog(sources = []) {
+        this.catalogScrapers = sources
+            .filter(source => source.scraper && source.baseUrl)
+            .map(({ baseUrl, scraper }) => ({ baseUrl, scraper }))
+            // Most specific base URL first
+            .sort((a, b) => b.baseUrl.length - a.baseUrl.length);
+    }
+
+    // The scraper mode for url: a catalog entry's, else what the adapter asks for, else null
+    scraperFor(url, adapter = null) {
+        const entry = this.catalogScrapers.find(candidate => url.startsWith(candidate.baseUrl));
+        if (entry) return entry.scraper;
+        return adapter?.scraperFor ? adapter.scraperFor(url) : (adapter?.scraper || null);
+    }
+
+    register(adapter) {
+        if (!adapter || !adapter.id) {
+            throw new Error('Source adapters must have an id');
+        }
+        this.adapters = [adapter, ...this.adapters.filter(existing => existing.id !== adapter.id)];
+        return adapter;
+    }
+
+    get(id) {
+        return this.adapters.find(adapter => adapter.id === id) || null;
+    }
+
+    // Pick an adapter by id, or the first registered adapter that accepts the URL
+    resolve(url, id = null) {
+        if (id) {
+            const adapter = this.get(id);
+            if (!adapter) {
+                throw new Error(`Unknown source: ${id}`);
+            }
+            return adapter;
+        }
+
+        const adapter = this.adapters.find(candidate => candidate.matches(url));
+        if (!adapter) {
+            throw new Error(`No source adapter can handle ${url}`);
+        }
+        return adapter;
+    }
+
+    list() {
+        // Registration order is reversed for lookup, so report them in the order they were added
+        return [...this.adapters].reverse().map(adapter => adapter.describe());
+    }
+}
+
+export const sourceRegistry = new SourceRegistry();
+sourceRegistry.register(new AutoindexSource());
+sourceRegistry.register(new MyrientSource());
+sourceRegistry.register(new LocalSource());
+
+export { AutoindexSource, MyrientSource, LocalSource };
@@ -0,0 +1,136 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AutoindexSource } from './autoindexSource.js';
+import { formatListingSize } from '../listingParser.js';
+import { isWithin } from '../fileNames.js';
+
+// Parse LOCAL_SOURCE_ROOTS ("Name=/mnt/roms,/srv/dumps") into { id, name, path } roots
+export function parseLocalRoots(value = process.env.LOCAL_SOURCE_ROOTS) {
+    if (!value) return [];
+
+    return value.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map((item, index) => {
+            const separator = item.indexOf('=');
+            const rootPath = path.resolve(separator === -1 ? item : item.slice(separator + 1).trim());
+            const name = separator === -1 ? path.basename(rootPath) || rootPath : item.slice(0, separator).trim();
+            return { id: `root-${index + 1}`, name, path: rootPath };
+        });
+}
+
+// Resolve a file:// URL to a real path, refusing anything outside the configured roots
+// (symlinks are resolved first so they can't be used to escape a root)
+export async function resolveLocalPath(url, roots = parseLocalRoots()) {
+    let filePath;
+    try {
+        filePath = fileURLToPath(url);
+    } catch (error) {
+        throw new Error(`Invalid local URL: ${url}`);
+    }
+
+    const realPath = await fs.realpath(filePath);
+    for (const root of roots) {
+        const realRoot = await fs.realpath(root.path).catch(() => null);
+        if (realRoot && isWithin(realPath, realRoot)) {
+            return realPath;
+        }
+    }
+
+    throw new Error(`Path is outside the configured local source roots: ${filePath}`);
+}
+
+// Date text in the same "YYYY-MM-DD HH:MM" form autoindex pages use
+function formatListingDate(date) {
+    return date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Local/NAS source - lists directories on a mounted filesystem under LOCAL_SOURCE_ROOTS.
+ * Entries use file:// URLs, which the RomDownloader hands to the LocalFileDownloader.
+ */
+export class LocalSource extends AutoindexSource {
+    constructor(options = {}) {
+        const roots = options.roots || parseLocalRoots();
+
+        super({
+            id: 'local',
+            name: 'Local',
+            description: 'Mounted directories on the server',
+            collections: roots.map(root => ({
+                id: root.id,
+                name: root.name,
+                baseUrl: pathToFileURL(root.path).href.replace(/\/?$/, '/'),
+                description: root.path
+            })),
+            ...options
+        });
+
+        this.roots = roots;
+    }
+
+    matches(url) {
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol !== 'file:') return false;
+            const filePath = fileURLToPath(parsed);
+            return this.roots.some(root => isWithin(filePath, root.path));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Read the directory straight from disk; local listings are cheap so the scrape cache is skipped
+    async fetchListing(lister, url) {
+        const directoryPath = await resolveLocalPath(url, this.roots);
+        console.log(`📂 Listing local directory: ${directoryPath}`);
+
+        const dirents = await fs.readdir(directoryPath, { withFileTypes: true });
+        const directories = [];
+        const files = [];
+
+        for (const dirent of dirents) {
+            if (dirent.name.startsWith('.')) continue;
+
+            const entryPath = path.join(directoryPath, dirent.name);
+            let stats;
+            try {
+                // Hide links that point outside the roots - they couldn't be copied anyway
+                if (dirent.isSymbolicLink()) {
+                    await resolveLocalPath(pathToFileURL(entryPath).href, this.roots);
+                }
+
+                // stat (not lstat) so symlinked folders and files are listed like their targets
+                stats = await fs.stat(entryPath);
+            } catch (error) {
+                console.log(`⚠️ Skipping unreadable entry ${entryPath}: ${error.message}`);
+                continue;
+            }
+
+            const entry = {
+                name: dirent.name,
+                date: formatListingDate(stats.mtime),
+                modifiedAt: stats.mtime.toISOString()
+            };
+
+            if (stats.isDirectory()) {
+                directories.push({ type: 'directory', ...entry, url: `${pathToFileURL(entryPath).href}/` });
+            } else if (stats.isFile()) {
+                files.push({
+                    type: 'file',
+                    ...entry,
+                    url: pathToFileURL(entryPath).href,
+                    size: formatListingSize(stats.size),
+                    sizeBytes: stats.size
+                });
+            }
+        }
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        directories.sort(byName);
+        files.sort(byName);
+
+        return { url, directories, files, method: 'local' };
+    }
+}
@@ -0,0 +1,26 @@
+import { AutoindexSource } from './autoindexSource.js';
+
+const MYRIENT_HOST = 'myrient.erista.me';
+
+/**
+ * Myrient - serves a static autoindex table, so plain HTTP scraping is always enough
+ */
+export class MyrientSource extends AutoindexSource {
+    constructor(options = {}) {
+        super({
+            id: 'myrient',
+            name: 'Myrient',
+            description: 'Video game preservation archive',
+            scraper: 'http',
+            ...options
+        });
+    }
+
+    matches(url) {
+        try {
+            return new URL(url).hostname === MYRIENT_HOST;
+        } catch (error) {
+            return false;
+        }
+    }
+}
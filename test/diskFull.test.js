@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Transform } from 'stream';
+import { NativeCurlDownloader } from '../src/nativeCurlDownloader.js';
+import { DiskFullError } from '../src/downloadErrors.js';
+
+const FILE_SIZE = 2 * 1024 * 1024;
+
+let server;
+let baseUrl;
+let downloadDir;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Length': FILE_SIZE });
+        res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(FILE_SIZE));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'romulator-disk-full-'));
+});
+
+after(async () => {
+    server.close();
+    await fs.remove(downloadDir);
+});
+
+// Stands in for the shared limiter; its stream fails the way a full disk fails a write
+const fullDisk = {
+    throttle: () => new Transform({
+        transform(chunk, encoding, callback) {
+            callback(Object.assign(new Error('ENOSPC: no space left on device, write'), { code: 'ENOSPC' }));
+        }
+    })
+};
+
+test('a write failing with ENOSPC is reported as a full disk, not a curl error', async () => {
+    const downloader = new NativeCurlDownloader({
+        downloadDir,
+        bandwidthLimiter: fullDisk,
+        segments: { disabled: true }
+    });
+    await downloader.init();
+
+    await assert.rejects(
+        downloader.downloadRom({ name: 'game.bin', downloadUrl: `${baseUrl}/game.bin` }),
+        (error) => {
+            assert.ok(error instanceof DiskFullError, `expected DiskFullError, got ${error.name}: ${error.message}`);
+            assert.equal(error.kind, 'disk-full');
+            return true;
+        }
+    );
+});
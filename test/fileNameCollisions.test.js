@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeFileName } from '../src/fileNames.js';
+import { queueAdditions, dedupeFileNames } from '../src/queueOrder.js';
+
+test('names that sanitize to the same one are queued under different names', () => {
+    const selected = [
+        { name: 'Game: Part 1.zip', downloadUrl: 'http://example.com/a/1.zip' },
+        { name: 'Game? Part 1.zip', downloadUrl: 'http://example.com/b/1.zip' }
+    ];
+    const newRoms = selected.map(rom => ({ ...rom, name: safeFileName(rom.name, rom.downloadUrl), status: 'available' }));
+
+    const queue = queueAdditions([], newRoms);
+    assert.deepEqual(queue.map(rom => rom.name), ['Game_ Part 1.zip', 'Game_ Part 1 (2).zip']);
+});
+
+test('loaded entries whose sanitized names collide are renamed', () => {
+    const roms = [
+        { name: 'Game_ Part 1.zip', downloadUrl: 'http://example.com/a/1.zip', status: 'success' },
+        { name: 'game_ part 1.zip', downloadUrl: 'http://example.com/b/1.zip', relativePath: 'Disk 2/game? part 1.zip', status: 'available' },
+        // Queued again after finishing: same download, so the same name is fine
+        { name: 'Game_ Part 1.zip', downloadUrl: 'http://example.com/a/1.zip', status: 'available' }
+    ];
+
+    dedupeFileNames(roms);
+    assert.deepEqual(roms.map(rom => rom.name), ['Game_ Part 1.zip', 'game_ part 1 (Disk 2).zip', 'Game_ Part 1.zip']);
+});
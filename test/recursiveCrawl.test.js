@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { RomDownloader } from '../src/romDownloader.js';
+import { queueAdditions } from '../src/queueOrder.js';
+
+// A TOSEC-style tree: the same file name in two folders
+const PAGES = {
+    '/roms/': ['Disk 1/', 'Disk 2/'],
+    '/roms/Disk%201/': ['game.zip', 'readme.txt'],
+    '/roms/Disk%202/': ['game.zip']
+};
+
+function listingPage(links) {
+    const rows = links.map(link => `<a href="${encodeURIComponent(link.replace(/\/$/, ''))}${link.endsWith('/') ? '/' : ''}">${link}</a> 01-Jan-2024 10:00 1M`);
+    return `<html><body><pre>\n${rows.join('\n')}\n</pre></body></html>`;
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const links = PAGES[req.url];
+        if (links) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end(listingPage(links));
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// What /api/download queues for the selected ROMs
+function toQueueEntries(roms) {
+    return roms.map(rom => ({
+        name: rom.name,
+        relativePath: rom.relativePath,
+        downloadUrl: rom.downloadUrl || rom.url,
+        status: 'available'
+    }));
+}
+
+test('same-named files from different folders are queued under different names', async () => {
+    const downloader = new RomDownloader({ scraper: 'http' });
+    const { roms } = await downloader.crawlRomList(`${baseUrl}/roms/`, { maxDepth: 2, include: ['*.zip'] });
+    await downloader.close();
+
+    assert.deepEqual(roms.map(rom => rom.relativePath).sort(), ['Disk 1/game.zip', 'Disk 2/game.zip']);
+
+    const queue = queueAdditions([], toQueueEntries(roms));
+    assert.equal(queue.length, 2);
+    assert.deepEqual(queue.map(rom => rom.name).sort(), ['game (Disk 2).zip', 'game.zip']);
+
+    // Queueing the same crawl again adds nothing
+    assert.equal(queueAdditions(queue, toQueueEntries(roms)).length, 0);
+
+    // A third game.zip from elsewhere gets a counter once the folder name is taken too
+    const [third] = queueAdditions(queue, [{
+        name: 'GAME.zip',
+        relativePath: 'Extra/Disk 2/GAME.zip',
+        downloadUrl: `${baseUrl}/extra/GAME.zip`,
+        status: 'available'
+    }]);
+    assert.equal(third.name, 'GAME (2).zip');
+});
@@ -0,0 +1,70 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { RomDownloader } from '../src/romDownloader.js';
+import { sourceRegistry, AutoindexSource } from '../src/sources/index.js';
+
+let server;
+let baseUrl;
+let httpRequests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        httpRequests++;
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body><pre>\n<a href="game.zip">game.zip</a> 01-Jan-2024 10:00 1M\n</pre></body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+afterEach(() => {
+    sourceRegistry.setCatalog([]);
+    httpRequests = 0;
+});
+
+// Stands in for Chromium: records which URLs were rendered
+function fakeBrowserPool() {
+    const pool = {
+        pages: [],
+        async withPage(fn, options) {
+            pool.pages.push(options);
+            return { url: `${baseUrl}/roms/`, directories: [], files: [{ name: 'rendered.zip', url: `${baseUrl}/roms/rendered.zip` }], method: 'playwright' };
+        }
+    };
+    return pool;
+}
+
+test('a catalog entry set to playwright skips the HTTP scraper', async () => {
+    sourceRegistry.setCatalog([{ baseUrl: `${baseUrl}/roms/`, scraper: 'playwright' }]);
+    const browserPool = fakeBrowserPool();
+    const downloader = new RomDownloader({ browserPool });
+
+    const roms = await downloader.scrapeRomList(`${baseUrl}/roms/`);
+    assert.deepEqual(roms.map(rom => rom.name), ['rendered.zip']);
+    assert.equal(browserPool.pages.length, 1);
+    assert.equal(httpRequests, 0);
+});
+
+test('an adapter set to playwright skips the HTTP scraper', async () => {
+    const browserPool = fakeBrowserPool();
+    const source = new AutoindexSource({ id: 'js-archive', scraper: 'playwright' });
+    const downloader = new RomDownloader({ browserPool, source });
+
+    await downloader.scrapeRomList(`${baseUrl}/roms/`);
+    assert.equal(browserPool.pages.length, 1);
+    assert.equal(httpRequests, 0);
+});
+
+test('an explicit scraper option wins over the source', async () => {
+    sourceRegistry.setCatalog([{ baseUrl: `${baseUrl}/roms/`, scraper: 'playwright' }]);
+    const browserPool = fakeBrowserPool();
+    const downloader = new RomDownloader({ browserPool, scraper: 'http' });
+
+    const roms = await downloader.scrapeRomList(`${baseUrl}/roms/`);
+    assert.deepEqual(roms.map(rom => rom.name), ['game.zip']);
+    assert.equal(browserPool.pages.length, 0);
+    assert.equal(httpRequests, 1);
+});